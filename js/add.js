@@ -3,13 +3,13 @@ Vitals Tracker — BOF (Jyles Method Pass Header)
 Copyright © 2026 Wendell K. Jiles. All rights reserved.
 (Pen name: Keyth Jyles)
 
-PASS: Add Close Behavior (No Step1 Flash / True Exit)
-ImplementationId: JYLES-20260122-ADDCLOSE-001
+PASS: Orthostatic Vitals Protocol
+ImplementationId: JYLES-20261019-ORTHO-001
 App Version Authority: js/version.js
 
 File: js/add.js
-FileEditId: 15
-Edited: 2026-01-22
+FileEditId: 33
+Edited: 2026-10-19
 
 Prev (this pass): (none — BOF)
 Next (this pass): EOL, EOP
@@ -27,21 +27,25 @@ Next file to fetch: EOL, EOP, File 0 of 0
 
 
 Scope (this Pass)
-- Summary “Close” (and X) must exit Add and return Home cleanly.
-- Do NOT remount Step 1 before navigating away (prevents Step1 appearing during panel slide / mid-rotation).
-- Still guarantee next Add starts NEW at Step 1.
-- js/add.js only.
+- Step 1 "Readings: Orthostatic" (#sessionRow; new entries only): a guided test (js/orthostatic.js). Start test, then
+  timed prompts for lying (after 5 min rest), sitting (1 min), standing 1 and 3 min; each reading is its own record
+  tagged orthoId / orthoStep with position set to the step's posture. The first one is the anchor Steps 2–4 update.
+- Every test reading needs SYS, DIA and HR; Taken at is fixed to now. Cancel before the first reading saves nothing.
+- The summary shows the SYS / DIA drop and HR rise and whether the OH or POTS threshold is met (#sumOrthoLine).
+- Session plumbing generalized (newSession kind "avg" | "ortho", waitUntil(), nextReadyAt()); averaged sessions unchanged.
 ------------------------------------------------------------
 */
 
 (function () {
   "use strict";
 
-  // ---------- Wizard session (ephemeral only) ----------
+  // ---------- Wizard session (ephemeral; kept as a draft only when Settings opts in) ----------
   const WIZ = {
     step: 1,
-    key: null,          // {ts} after first save
+    mode: "new",        // "new" | "edit"
+    key: null,          // {id} after first save (or the edited record's id)
     createdTs: null,
+    measuredTs: null,   // Step 1 "Taken at" (validated on Continue); ts of the first save
     lastSaved: null,
     hasSaved: false
   };
@@ -51,16 +55,52 @@ Scope (this Pass)
     symptoms: [],
     distressComputed: null,
     distressFinal: null,
-    mood: null,
-    meds: []
+    distressTouched: false,   // true once the user moves the slider (override)
+    mood: null,               // VTMood vocabulary key
+    moodIntensity: null,      // 1–5 (optional)
+    meds: [],                 // [{name, dose, unit, takenAt}] (js/meds.js shape)
+    whenTouched: false,       // "Taken at" changed by the user (otherwise: now / the edited record's ts)
+    context: {},              // {position, arm, cuff, device} (js/context.js keys; new entries start from the last used)
+    session: newSession(1)    // Step 1 "Readings" (new entries only): averaged session or orthostatic test
   };
 
   let saving = false;
   let bound = false;
 
+  // "Taken at" sanity limits: no future times; far-past times need a confirm.
+  const WHEN_FUTURE_SLACK_MS = 60 * 1000;
+  const WHEN_CONFIRM_PAST_MS = 7 * 24 * 60 * 60 * 1000;
+
+  // Crisis retake reminder (in-app timer; a system notification too when the user allows it).
+  const RETAKE_MS = 5 * 60 * 1000;
+  const RETAKE_RECENT_MS = 15 * 60 * 1000;   // only offered for a reading taken just now (not a backdated one)
+  let _retakeTimer = 0;
+  let _retakeDue = 0;
+
+  // Multi-reading session: wait between readings (countdown on Step 1; skippable).
+  let _sessionTick = 0;
+  let _sessionReadyAt = 0;      // next reading allowed from (0 = now)
+
+  // Unfinished-entry draft (VTStore persists it only when Settings → "Keep unfinished entries" is on).
+  const DRAFT_DEBOUNCE_MS = 500;
+  const DRAFT_INPUTS = Object.freeze(["inSys", "inDia", "inHr", "inWhen", "inNotes", "inMedAdhoc"]);
+  let _draftTimer = 0;
+  let _draftOffer = null;       // saved draft waiting for Resume / Discard; autosave is paused meanwhile
+  let _offerSeq = 0;
+
   // Add-reset enforcement
   let _panelsGoWrapped = false;
   let _internalGoToAdd = false;
+  let _editPrimed = false;      // edit session mounted; next go("add") must not reset it
+
+  // Fields each step owns. In edit mode a step's save replaces exactly these,
+  // so clearing a value in the form clears it on the record.
+  const STEP_FIELDS = Object.freeze({
+    1: ["sys", "dia", "hr", "position", "arm", "cuff", "device"],
+    2: ["symptoms", "distressComputed", "distressFinal", "distressDelta"],
+    3: ["mood", "moodIntensity"],
+    4: ["meds", "notes"]
+  });
 
   // ---------- utilities ----------
   const nowTs = () => Date.now();
@@ -81,6 +121,22 @@ Scope (this Pass)
     return n;
   }
 
+  // <input type="datetime-local"> uses local wall-clock "YYYY-MM-DDTHH:MM".
+  function toLocalInputValue(ms) {
+    const d = new Date(ms);
+    if (!Number.isFinite(d.getTime())) return "";
+    const p2 = (n) => String(n).padStart(2, "0");
+    return d.getFullYear() + "-" + p2(d.getMonth() + 1) + "-" + p2(d.getDate()) +
+      "T" + p2(d.getHours()) + ":" + p2(d.getMinutes());
+  }
+
+  function parseLocalInputValue(v) {
+    const s = norm(v);
+    if (!s) return null;
+    const t = new Date(s).getTime();
+    return Number.isFinite(t) ? t : null;
+  }
+
   function readTxt(id) {
     const el = $(id);
     return norm(el && typeof el.value === "string" ? el.value : "");
@@ -165,6 +221,59 @@ Scope (this Pass)
         background:rgba(255,255,255,.10);
       }
 
+      /* Taken at (backdating) */
+      .vtWhenRow{
+        display:flex;
+        align-items:center;
+        gap:12px;
+        margin-top:12px;
+      }
+      .vtWhenRow .vtFieldLabel{
+        flex:0 0 auto;
+        margin-bottom:0;
+      }
+      .vtWhenRow input.addInput{
+        flex:1 1 auto;
+        min-width:0;
+      }
+
+      /* Measurement context chips (position / arm / cuff / device) */
+      .vtCtxBox{
+        display:flex;
+        flex-direction:column;
+        gap:8px;
+        margin-top:12px;
+      }
+      .vtCtxRow{
+        display:flex;
+        align-items:center;
+        flex-wrap:wrap;
+        gap:6px;
+      }
+      .vtCtxRow .vtFieldLabel{
+        flex:0 0 5.5em;
+        margin-bottom:0;
+        font-size:11px;
+      }
+
+      /* Readings 1 / 2 / 3 / Orthostatic (locked once the session or test has started) */
+      .vtSessionRow{
+        display:flex;
+        align-items:center;
+        flex-wrap:wrap;
+        gap:6px;
+        margin-top:12px;
+      }
+      .vtSessionRow[hidden]{ display:none; }
+      .vtSessionRow .vtFieldLabel{
+        flex:0 0 5.5em;
+        margin-bottom:0;
+        font-size:11px;
+      }
+      .vtSessionRow .vtCtxChip{ min-width:44px; text-align:center; }
+      .vtCtxChip:disabled{ opacity:.45; }
+      .vtSessionStatus{ margin:12px 0 0; }
+
       /* Continue: preserve prior behavior (full-width, large tap target) */
       .vtContinueRow{ margin-top:14px; }
       .vtContinueRow .primaryBtn{
@@ -173,6 +282,7 @@ Scope (this Pass)
         font-weight:900;
         font-size:18px;
       }
+      .vtContinueRow .primaryBtn:disabled{ opacity:.55; }
     `;
 
     const styleEl = document.createElement("style");
@@ -181,17 +291,885 @@ Scope (this Pass)
     document.head.appendChild(styleEl);
   }
 
+  function ensureStep2Style() {
+    if (document.getElementById("vtAddStep2Style")) return;
+
+    const css = `
+      /* Step 2 symptom grid (js/add.js injected; Step-2-specific) */
+      .vtSymScore{
+        font-weight:900;
+        font-size:15px;
+        letter-spacing:.04em;
+        color:rgba(235,245,255,.86);
+        white-space:nowrap;
+      }
+      .vtSymGrid{
+        display:flex;
+        flex-direction:column;
+        gap:12px;
+        max-height:46vh;
+        overflow-y:auto;
+        padding-right:2px;
+      }
+      .vtSymGroupH{
+        font-size:12px;
+        font-weight:800;
+        letter-spacing:.10em;
+        text-transform:uppercase;
+        color:rgba(235,245,255,.58);
+        margin-bottom:6px;
+      }
+      /* Distress override (computed vs final) */
+      .vtDistressBox{
+        padding-top:10px;
+        border-top:1px solid rgba(255,255,255,0.10);
+      }
+      .vtDistressVal{
+        font-size:22px;
+        font-weight:900;
+        color:rgba(255,255,255,.92);
+        min-width:3ch;
+        text-align:right;
+      }
+      .vtDistressBox input[type="range"]{
+        width:100%;
+        padding:0;
+        border:0;
+        background:transparent;
+        box-shadow:none;
+        accent-color:#3a63a6;
+        height:36px;
+      }
+
+      .vtDistressMeta{
+        display:flex;
+        align-items:center;
+        justify-content:space-between;
+        gap:10px;
+        font-size:12px;
+        color:rgba(235,245,255,.58);
+      }
+    `;
+
+    const styleEl = document.createElement("style");
+    styleEl.id = "vtAddStep2Style";
+    styleEl.textContent = css;
+    document.head.appendChild(styleEl);
+  }
+
+  function ensureStep4Style() {
+    if (document.getElementById("vtAddStep4Style")) return;
+
+    const css = `
+      /* Step 4 med events */
+      .vtMedEvents{
+        display:flex;
+        flex-direction:column;
+        gap:8px;
+      }
+      .vtMedEvent{
+        display:grid;
+        grid-template-columns:1fr 1fr;
+        gap:8px;
+        padding:10px;
+        border-radius:14px;
+        border:1px solid rgba(180,210,255,.18);
+        background:rgba(10,16,30,.40);
+      }
+      .vtMedEventHead{
+        grid-column:1 / -1;
+        display:flex;
+        align-items:center;
+        justify-content:space-between;
+        gap:8px;
+        font-weight:750;
+        color:rgba(255,255,255,.90);
+      }
+      .vtMedEvent .vtMedWhen{ grid-column:1 / -1; }
+      .vtMedEvent select{
+        width:100%;
+        padding:10px 12px;
+        border-radius:12px;
+        border:1px solid var(--stroke2);
+        background:rgba(10,16,30,.55);
+        color:var(--text);
+        box-shadow:var(--shadowInset);
+      }
+      .vtMedEventHead button{
+        width:32px; height:32px; border-radius:999px;
+        background:rgba(180,60,80,.16);
+        color:rgba(235,245,255,.86);
+      }
+    `;
+
+    const styleEl = document.createElement("style");
+    styleEl.id = "vtAddStep4Style";
+    styleEl.textContent = css;
+    document.head.appendChild(styleEl);
+  }
+
+  function ensureWizardStyle() {
+    if (document.getElementById("vtAddWizardStyle")) return;
+
+    const css = `
+      /* Add wizard, all steps (js/add.js injected): chips, save failure banner, unfinished entry offer, edit mode delete */
+      .vtSymChip,
+      .vtMoodChip,
+      .vtMedChip,
+      .vtCtxChip{
+        min-height:40px;
+        padding:0 12px;
+        border-radius:999px;
+        border:1px solid rgba(180,210,255,.18);
+        background:rgba(10,16,30,.40);
+        color:rgba(235,245,255,.86);
+        font-weight:650;
+        font-size:13px;
+        text-align:left;
+      }
+      .vtSymChip[aria-pressed="true"],
+      .vtMoodChip[aria-pressed="true"],
+      .vtMedChip[aria-pressed="true"],
+      .vtCtxChip[aria-pressed="true"]{
+        background:rgba(80,140,220,.30);
+        border-color:rgba(180,210,255,.55);
+        color:rgba(255,255,255,.96);
+      }
+      .vtSymChip:active,
+      .vtMoodChip:active,
+      .vtMedChip:active,
+      .vtCtxChip:active{ transform:scale(.985); }
+
+      /* Save failure banner */
+      .vtSaveError{
+        margin:0 0 12px;
+        padding:10px 12px;
+        border-radius:14px;
+        border:1px solid rgba(235,110,110,.55);
+        background:rgba(180,40,60,.22);
+        color:rgba(255,220,220,.96);
+        font-weight:700;
+        font-size:14px;
+        line-height:1.35;
+      }
+
+      /* Unfinished entry offer (Resume / Discard) */
+      .vtDraftOffer{
+        display:flex;
+        flex-wrap:wrap;
+        align-items:center;
+        justify-content:space-between;
+        gap:8px 10px;
+        margin:0 0 12px;
+        padding:10px 12px;
+        border-radius:14px;
+        border:1px solid rgba(180,210,255,.40);
+        background:rgba(58,99,166,.22);
+        color:rgba(235,245,255,.92);
+        font-weight:700;
+        font-size:14px;
+      }
+      .vtDraftOffer[hidden]{ display:none; }
+      .vtDraftOffer.vtRetakeOffer{
+        border-color:rgba(235,110,110,.55);
+        background:rgba(180,40,60,.22);
+      }
+      .vtDraftOfferBtns{
+        display:flex;
+        gap:8px;
+      }
+
+      /* Edit mode delete */
+      .vtEditDeleteRow{
+        display:flex;
+        justify-content:center;
+        margin-top:14px;
+      }
+      .vtEditDeleteBtn{
+        padding:8px 14px;
+        border-radius:999px;
+        border:1px solid rgba(235,110,110,.35);
+        background:rgba(180,60,80,.12);
+        color:rgba(255,190,190,.92);
+        font-weight:750;
+      }
+    `;
+
+    const styleEl = document.createElement("style");
+    styleEl.id = "vtAddWizardStyle";
+    styleEl.textContent = css;
+    document.head.appendChild(styleEl);
+  }
+
+  // ---------- symptom catalog (js/symptoms.js is ESM; loaded on demand) ----------
+  let _symMod = null;
+  let _symModPromise = null;
+
+  function loadSymptomsModule() {
+    if (_symMod) return Promise.resolve(_symMod);
+    if (!_symModPromise) {
+      // Resolved relative to this script (js/), not the document.
+      _symModPromise = import("./symptoms.js")
+        .then((m) => { _symMod = m; return m; })
+        .catch(() => { _symModPromise = null; return null; });
+    }
+    return _symModPromise;
+  }
+
+  function updateSymptomScore() {
+    const mod = _symMod;
+    if (mod) {
+      UI.symptoms = mod.normalizeSelection(UI.symptoms);
+      // An override with no symptoms still records what the catalog says (0).
+      UI.distressComputed = (UI.symptoms.length || UI.distressTouched) ? mod.computeScore(UI.symptoms) : null;
+    }
+
+    // Until the user overrides, the final value follows the computed score.
+    if (!UI.distressTouched) UI.distressFinal = UI.distressComputed;
+
+    const n = UI.symptoms.length;
+    safeSetText("symScore", UI.distressComputed != null
+      ? ("Distress " + UI.distressComputed + (n ? " · " + n + " selected" : ""))
+      : "Distress —");
+
+    renderDistress();
+  }
+
+  // ---------- distress override (Step 2) ----------
+  function renderDistress() {
+    const slider = $("inDistress");
+    const reset = $("btnDistressReset");
+    const c = UI.distressComputed;
+    const f = UI.distressFinal;
+
+    if (slider) slider.value = String(f != null ? f : (c != null ? c : 0));
+    safeSetText("distressVal", f != null ? String(f) : "—");
+
+    let meta = "Computed " + (c != null ? c : "—");
+    if (UI.distressTouched && c != null && f != null) {
+      const d = f - c;
+      meta += " · override " + (d > 0 ? "+" : "") + d;
+    }
+    safeSetText("distressMeta", meta);
+
+    if (reset) reset.hidden = !UI.distressTouched;
+  }
+
+  function onDistressInput() {
+    const slider = $("inDistress");
+    if (!slider) return;
+
+    UI.distressTouched = true;
+    UI.distressFinal = clamp(Math.round(Number(slider.value) || 0), 0, 100);
+    if (UI.distressComputed == null && _symMod) UI.distressComputed = _symMod.computeScore(UI.symptoms);
+    renderDistress();
+  }
+
+  function resetDistressToComputed() {
+    UI.distressTouched = false;
+    updateSymptomScore();
+  }
+
+  function filterSymptomGrid(query) {
+    const grid = $("symGrid");
+    if (!grid) return;
+
+    const q = norm(query).toLowerCase();
+    let anyVisible = false;
+
+    grid.querySelectorAll(".vtSymGroup").forEach((g) => {
+      const groupHit = !!q && String(g.dataset.group || "").toLowerCase().includes(q);
+      let visible = 0;
+      g.querySelectorAll(".vtSymChip").forEach((chip) => {
+        const on = !q || groupHit || String(chip.textContent || "").toLowerCase().includes(q);
+        chip.hidden = !on;
+        if (on) visible++;
+      });
+      g.hidden = visible === 0;
+      if (visible) anyVisible = true;
+    });
+
+    const empty = $("symEmpty");
+    if (empty) empty.hidden = anyVisible;
+  }
+
+  async function renderSymptomGrid() {
+    const mod = await loadSymptomsModule();
+    const grid = $("symGrid");
+    if (!grid) return;
+
+    if (!mod) {
+      grid.innerHTML = `<div class="muted addHint">Symptom list could not be loaded. You can still Save & Next.</div>`;
+      return;
+    }
+
+    const selected = new Set(mod.normalizeSelection(UI.symptoms));
+    grid.innerHTML = "";
+
+    for (const g of mod.getCatalog()) {
+      const groupEl = document.createElement("div");
+      groupEl.className = "vtSymGroup";
+      groupEl.dataset.group = g.group;
+
+      const head = document.createElement("div");
+      head.className = "vtSymGroupH";
+      head.textContent = g.group;
+
+      const list = document.createElement("div");
+      list.className = "tagList";
+
+      for (const it of g.items) {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "vtSymChip";
+        chip.dataset.key = it.key;
+        chip.textContent = it.label;
+        chip.setAttribute("aria-pressed", selected.has(it.key) ? "true" : "false");
+
+        chip.addEventListener("click", () => {
+          const on = chip.getAttribute("aria-pressed") !== "true";
+          chip.setAttribute("aria-pressed", on ? "true" : "false");
+          if (on) UI.symptoms = UI.symptoms.concat(it.key);
+          else UI.symptoms = UI.symptoms.filter((k) => k !== it.key);
+          updateSymptomScore();
+        });
+
+        list.appendChild(chip);
+      }
+
+      groupEl.appendChild(head);
+      groupEl.appendChild(list);
+      grid.appendChild(groupEl);
+    }
+
+    const empty = document.createElement("div");
+    empty.className = "muted addHint";
+    empty.id = "symEmpty";
+    empty.textContent = "No matching symptoms.";
+    empty.hidden = true;
+    grid.appendChild(empty);
+
+    filterSymptomGrid(readTxt("inSymSearch"));
+    updateSymptomScore();
+  }
+
+  // ---------- mood (Step 3; vocabulary owned by js/mood.js) ----------
+  function renderMoodIntensity() {
+    const field = $("moodIntensityField");
+    const row = $("moodIntensityRow");
+    if (!field || !row) return;
+
+    field.hidden = !UI.mood;
+    row.querySelectorAll(".distressBtn").forEach((b) => {
+      b.classList.toggle("active", Number(b.dataset.intensity) === UI.moodIntensity);
+    });
+  }
+
+  // Step 1 context: one row per field, at most one chip on per row (tap again to clear).
+  function renderContextChips() {
+    const box = $("ctxBox");
+    const VC = window.VTContext;
+    if (!box) return;
+    box.innerHTML = "";
+    if (!VC) return;
+
+    for (const f of VC.FIELDS) {
+      const row = document.createElement("div");
+      row.className = "vtCtxRow";
+      row.setAttribute("role", "group");
+      row.setAttribute("aria-label", VC.FIELD_LABELS[f]);
+
+      const lab = document.createElement("div");
+      lab.className = "vtFieldLabel";
+      lab.textContent = VC.FIELD_LABELS[f].toUpperCase();
+      row.appendChild(lab);
+
+      for (const o of VC.getOptions(f)) {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "vtCtxChip";
+        chip.dataset.key = o.key;
+        chip.textContent = o.label;
+        chip.setAttribute("aria-pressed", UI.context[f] === o.key ? "true" : "false");
+
+        chip.addEventListener("click", () => {
+          if (UI.context[f] === o.key) delete UI.context[f];
+          else UI.context[f] = o.key;
+          row.querySelectorAll(".vtCtxChip").forEach((c) => {
+            c.setAttribute("aria-pressed", c.dataset.key === UI.context[f] ? "true" : "false");
+          });
+        });
+
+        row.appendChild(chip);
+      }
+      box.appendChild(row);
+    }
+  }
+
+  function lastContext() {
+    try {
+      if (window.VTSettings && typeof window.VTSettings.getLastContext === "function") return window.VTSettings.getLastContext();
+    } catch (_) {}
+    return {};
+  }
+
+  // New entries only: an edit of an old reading does not change tomorrow's defaults.
+  function rememberContext() {
+    if (WIZ.mode !== "new") return;
+    try {
+      if (window.VTSettings && typeof window.VTSettings.setLastContext === "function") window.VTSettings.setLastContext(UI.context);
+    } catch (_) {}
+  }
+
+  // ---------- multi-reading session / orthostatic test (Step 1) ----------
+  // kind "avg": `size` readings averaged (js/sessions.js); kind "ortho": one reading per posture step
+  // (js/orthostatic.js owns the steps, their timing and the result).
+  // readings: what was saved so far ({ ts, sys, dia, hr, step }) — for the status line, the mean/result and drafts.
+  function newSession(size, kind) {
+    return { kind: kind || "avg", size, id: null, startTs: null, startedAt: null, readings: [] };
+  }
+
+  function sessionInterval() {
+    return (window.VTSessions && window.VTSessions.INTERVAL_MS) || 60 * 1000;
+  }
+
+  function isOrtho() {
+    return WIZ.mode === "new" && UI.session.kind === "ortho";
+  }
+
+  // A session of 2+ readings or an orthostatic test is being entered (new entries only; an edit changes one reading).
+  function inSession() {
+    return isOrtho() || (WIZ.mode === "new" && UI.session.size > 1);
+  }
+
+  // First reading saved (or, for the orthostatic test, the rest period begun).
+  function sessionStarted() {
+    return inSession() && (UI.session.readings.length > 0 || UI.session.startedAt != null);
+  }
+
+  // Mean of the readings saved in this session (2+), timed at the first one; null otherwise.
+  function sessionMean() {
+    const S = UI.session;
+    if (WIZ.mode !== "new" || S.kind !== "avg" || S.readings.length < 2 || !window.VTSessions) return null;
+    return Object.assign({ ts: S.readings[0].ts, count: S.readings.length }, window.VTSessions.mean(S.readings));
+  }
+
+  // The orthostatic step the next reading belongs to (null when the test is complete).
+  function orthoStep() {
+    return (isOrtho() && window.VTOrtho) ? (window.VTOrtho.STEPS[UI.session.readings.length] || null) : null;
+  }
+
+  function orthoResult() {
+    return (isOrtho() && window.VTOrtho) ? window.VTOrtho.evaluate(UI.session.readings) : null;
+  }
+
+  // When the next reading may be taken (0 = now). Averaged readings typed in later from a log sheet
+  // (Taken at changed) have no wait.
+  function nextReadyAt() {
+    const S = UI.session;
+    if (S.kind === "ortho") return window.VTOrtho ? window.VTOrtho.readyAt(S.readings.length, S.startedAt, S.readings) : 0;
+    const last = S.readings[S.readings.length - 1];
+    return (last && isNum(last.ts) && !UI.whenTouched) ? last.ts + sessionInterval() : 0;
+  }
+
+  function fmtCountdown(ms) {
+    const sec = Math.max(0, Math.ceil(ms / 1000));
+    return Math.floor(sec / 60) + ":" + String(sec % 60).padStart(2, "0");
+  }
+
+  function fmtSaved(r) {
+    if (!r || r.sys == null) return "";
+    return " (" + r.sys + "/" + r.dia + (r.hr != null ? ", HR " + r.hr : "") + ")";
+  }
+
+  // "READINGS 1 2 3 Orthostatic"; the choice and Taken at are locked once started.
+  function renderSessionRow() {
+    const row = $("sessionRow");
+    const VS = window.VTSessions;
+    const VO = window.VTOrtho;
+    const when = $("inWhen");
+    if (when) when.disabled = sessionStarted() || isOrtho();
+    if (!row) return;
+    row.innerHTML = "";
+    row.hidden = WIZ.mode !== "new" || !VS;
+    if (row.hidden) return;
+
+    const lab = document.createElement("div");
+    lab.className = "vtFieldLabel";
+    lab.textContent = "READINGS";
+    row.appendChild(lab);
+
+    const addChip = (text, on, pick) => {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "vtCtxChip";
+      chip.textContent = text;
+      chip.setAttribute("aria-pressed", on ? "true" : "false");
+      chip.disabled = sessionStarted();
+      chip.addEventListener("click", () => {
+        if (sessionStarted()) return;
+        pick();
+        renderSessionRow();
+        renderSessionStatus();
+      });
+      row.appendChild(chip);
+      return chip;
+    };
+
+    for (const n of VS.SIZES) {
+      addChip(String(n), UI.session.kind === "avg" && UI.session.size === n, () => { UI.session = newSession(n); })
+        .dataset.size = String(n);
+    }
+    if (VO) {
+      // Timed live: Taken at goes back to now.
+      addChip("Orthostatic", UI.session.kind === "ortho", () => {
+        UI.session = newSession(VO.STEPS.length, "ortho");
+        UI.whenTouched = false;
+        setWhenInput(nowTs());
+      }).dataset.kind = "ortho";
+    }
+  }
+
+  // Status line + Continue label ("Wait 0:42" | "Save reading 2 of 3" | "Save standing 1 min reading").
+  function renderSessionStatus() {
+    const box = $("sessionStatus");
+    const b1 = $("btnStep1Continue");
+    const S = UI.session;
+    const done = S.readings.length;
+    const last = S.readings[done - 1];
+    const waitMs = _sessionReadyAt ? _sessionReadyAt - nowTs() : 0;
+    const wait = waitMs > 0 ? fmtCountdown(waitMs) : "";
+    const step = orthoStep();
+
+    let label = "Continue";
+    let text = "";
+    if (isOrtho() && S.startedAt == null && !done) {
+      label = "Start test";
+      text = "Orthostatic test: 5 min lying down, then lying, sitting and standing (1 and 3 min) readings. " +
+        "Tap Start test and lie down; each reading is prompted.";
+    } else if (isOrtho() && step) {
+      label = wait ? "Wait " + wait : "Save " + step.label.toLowerCase() + " reading";
+      text = (last ? window.VTOrtho.stepLabel(last.step) + " reading saved" + fmtSaved(last) + ". " : "") +
+        (wait ? step.waitText + " " + step.label + " reading in " + wait + "." : step.nowText);
+    } else if (inSession()) {
+      label = wait ? "Wait " + wait : "Save reading " + (done + 1) + " of " + S.size;
+      text = "Reading " + done + " of " + S.size + " saved" + fmtSaved(last) + ". " +
+        (wait ? "Next in " + wait + "; stay seated and still." : "Take reading " + (done + 1) + " now.");
+    }
+
+    if (b1) {
+      b1.disabled = !!wait && inSession();
+      b1.textContent = label;
+    }
+    if (!box) return;
+    box.hidden = !(isOrtho() || sessionStarted());
+    if (box.hidden) return;
+
+    safeSetText("sessionText", text);
+    const skip = $("btnSessionSkip");
+    const stop = $("btnSessionStop");
+    if (skip) skip.hidden = !wait;
+    if (stop) {
+      stop.hidden = !sessionStarted();
+      stop.textContent = done ? "Stop here" : "Cancel";
+    }
+  }
+
+  function stopSessionWait() {
+    if (_sessionTick) { clearInterval(_sessionTick); _sessionTick = 0; }
+    _sessionReadyAt = 0;
+  }
+
+  function endSessionWait(cue) {
+    stopSessionWait();
+    renderSessionStatus();
+    if (cue) { try { navigator.vibrate?.(200); } catch (_) {} }
+    try { $("inSys")?.focus?.(); } catch (_) {}
+  }
+
+  // Count down to `at` (Continue stays disabled; Skip wait ends it early).
+  function waitUntil(at) {
+    stopSessionWait();
+    if (!(at > nowTs())) {
+      endSessionWait(false);
+      return;
+    }
+    _sessionReadyAt = at;
+    _sessionTick = setInterval(() => {
+      if (nowTs() >= _sessionReadyAt) endSessionWait(true);
+      else renderSessionStatus();
+    }, 1000);
+    renderSessionStatus();
+  }
+
+  // Orthostatic: the 5-minute lying rest starts now.
+  function startOrtho() {
+    const VO = window.VTOrtho;
+    if (!VO) return;
+    UI.session.startedAt = nowTs();
+    UI.session.id = VO.newId();
+    renderSessionRow();
+    waitUntil(nextReadyAt());
+  }
+
+  // Reading saved, more to come: clear the vitals and count down to the next one.
+  function nextSessionReading() {
+    ["inSys", "inDia", "inHr"].forEach((id) => setInputValue(id, ""));
+    renderSessionRow();
+    waitUntil(nextReadyAt());
+  }
+
+  // One record per reading. The first is the anchor Steps 2–4 update; the rest carry the vitals
+  // and context only. Orthostatic readings take the step's posture. Runs inside savePatchIfAny (saving lock held).
+  async function saveSessionReading(patch, when) {
+    const S = UI.session;
+    const index = S.readings.length + 1;
+    const step = orthoStep();
+    const ortho = S.kind === "ortho";
+    if (ortho && !step) return { ok: true, more: false };
+    if (patch.sys == null || (ortho && patch.hr == null)) {
+      alert(ortho
+        ? "Enter SYS, DIA and HR for the " + step.label.toLowerCase() + " reading."
+        : "Enter SYS and DIA for reading " + index + " of " + S.size + ".");
+      return { ok: false };
+    }
+    const VX = ortho ? window.VTOrtho : window.VTSessions;
+    if (!ensureStore() || !VX) {
+      showSaveError({ code: "no-storage", message: "storage is unavailable in this build." });
+      return { ok: false };
+    }
+
+    // Later readings: now, or (averaged, backdated) one interval apart from the first.
+    let ts = (when != null) ? when : nowTs();
+    if (index > 1) ts = (!ortho && UI.whenTouched && isNum(S.startTs)) ? S.startTs + (index - 1) * sessionInterval() : nowTs();
+    if (!S.id) S.id = VX.newId();
+    rememberContext();
+
+    const tag = ortho
+      ? { orthoId: S.id, orthoStep: step.key, position: step.position }
+      : { sessionId: S.id, sessionIndex: index, sessionSize: S.size };
+    const rec = Object.assign({ ts, enteredAt: nowTs() }, patchContext(), patch, tag);
+    const saved = await window.VTStore.add(rec);
+    clearSaveError();
+
+    if (index === 1) {
+      S.startTs = ts;
+      WIZ.key = (saved && saved.id) ? { id: saved.id } : { ts };
+      WIZ.createdTs = ts;
+      WIZ.lastSaved = saved || rec;
+      WIZ.hasSaved = true;
+    }
+    S.readings.push({ ts, sys: patch.sys, dia: patch.dia, hr: isNum(patch.hr) ? patch.hr : null, step: step ? step.key : null });
+    return { ok: true, more: index < S.size };
+  }
+
+  function renderMoodPicker() {
+    const grid = $("moodGrid");
+    const row = $("moodIntensityRow");
+    const VM = window.VTMood;
+    if (!grid || !row) return;
+
+    grid.innerHTML = "";
+    row.innerHTML = "";
+
+    if (!VM) {
+      grid.innerHTML = `<div class="muted addHint">Mood list is unavailable in this build.</div>`;
+      return;
+    }
+
+    for (const m of VM.getMoods()) {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "vtMoodChip";
+      chip.dataset.key = m.key;
+      chip.textContent = m.label;
+      chip.setAttribute("aria-pressed", UI.mood === m.key ? "true" : "false");
+
+      chip.addEventListener("click", () => {
+        UI.mood = (UI.mood === m.key) ? null : m.key;
+        if (!UI.mood) UI.moodIntensity = null;
+        grid.querySelectorAll(".vtMoodChip").forEach((c) => {
+          c.setAttribute("aria-pressed", c.dataset.key === UI.mood ? "true" : "false");
+        });
+        renderMoodIntensity();
+      });
+
+      grid.appendChild(chip);
+    }
+
+    for (let i = VM.INTENSITY_MIN; i <= VM.INTENSITY_MAX; i++) {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "distressBtn";
+      b.dataset.intensity = String(i);
+      b.textContent = String(i);
+      b.setAttribute("aria-label", "Intensity " + i + " of " + VM.INTENSITY_MAX);
+
+      b.addEventListener("click", () => {
+        UI.moodIntensity = (UI.moodIntensity === i) ? null : i;
+        renderMoodIntensity();
+      });
+
+      row.appendChild(b);
+    }
+
+    renderMoodIntensity();
+  }
+
+  // ---------- medication events (Step 4; names from VTSettings) ----------
+  function savedMedNames() {
+    try { return window.VTSettings ? window.VTSettings.getMedNames() : []; } catch (_) { return []; }
+  }
+
+  function hasMed(name) {
+    const k = norm(name).toLowerCase();
+    return UI.meds.some((m) => norm(m.name).toLowerCase() === k);
+  }
+
+  function addMedEvent(name) {
+    const v = norm(name);
+    if (!v || hasMed(v)) return false;
+    const unit = (window.VTMeds && window.VTMeds.DEFAULT_UNIT) || "mg";
+    UI.meds = UI.meds.concat({ name: v, dose: null, unit, takenAt: nowTs() });
+    return true;
+  }
+
+  function removeMedEvent(name) {
+    const k = norm(name).toLowerCase();
+    UI.meds = UI.meds.filter((m) => norm(m.name).toLowerCase() !== k);
+  }
+
+  function renderMedPickList() {
+    const host = $("medPickList");
+    if (!host) return;
+
+    const names = savedMedNames();
+    host.innerHTML = "";
+
+    if (!names.length) {
+      host.innerHTML = `<div class="muted addHint">No saved medications yet. Add one below or in Settings.</div>`;
+      return;
+    }
+
+    for (const name of names) {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "vtMedChip";
+      chip.textContent = name;
+      chip.setAttribute("aria-pressed", hasMed(name) ? "true" : "false");
+
+      chip.addEventListener("click", () => {
+        if (hasMed(name)) removeMedEvent(name);
+        else addMedEvent(name);
+        renderMeds();
+      });
+
+      host.appendChild(chip);
+    }
+  }
+
+  function renderMedEvents() {
+    const host = $("medEventList");
+    if (!host) return;
+
+    host.innerHTML = "";
+    const units = (window.VTMeds && window.VTMeds.UNITS) || [];
+
+    UI.meds.forEach((m) => {
+      const card = document.createElement("div");
+      card.className = "vtMedEvent";
+
+      const head = document.createElement("div");
+      head.className = "vtMedEventHead";
+      const title = document.createElement("span");
+      title.textContent = m.name;
+      const rm = document.createElement("button");
+      rm.type = "button";
+      rm.textContent = "×";
+      rm.setAttribute("aria-label", "Remove " + m.name);
+      rm.addEventListener("click", () => { removeMedEvent(m.name); renderMeds(); });
+      head.appendChild(title);
+      head.appendChild(rm);
+
+      const dose = document.createElement("input");
+      dose.className = "addInput";
+      dose.inputMode = "decimal";
+      dose.placeholder = "Dose";
+      dose.setAttribute("aria-label", m.name + " dose");
+      dose.value = m.dose != null ? String(m.dose) : "";
+      dose.addEventListener("input", () => {
+        const n = Number(dose.value);
+        m.dose = (norm(dose.value) && Number.isFinite(n) && n > 0) ? n : null;
+      });
+
+      const unit = document.createElement("select");
+      unit.className = "addInput";
+      unit.setAttribute("aria-label", m.name + " unit");
+      for (const u of units) {
+        const o = document.createElement("option");
+        o.value = u;
+        o.textContent = u;
+        unit.appendChild(o);
+      }
+      unit.value = m.unit;
+      unit.addEventListener("change", () => { m.unit = unit.value; });
+
+      const when = document.createElement("input");
+      when.className = "addInput vtMedWhen";
+      when.type = "datetime-local";
+      when.setAttribute("aria-label", m.name + " time taken");
+      when.value = toLocalInputValue(m.takenAt);
+      when.addEventListener("change", () => {
+        const t = parseLocalInputValue(when.value);
+        if (t != null) m.takenAt = t;
+        else when.value = toLocalInputValue(m.takenAt);
+      });
+
+      card.appendChild(head);
+      card.appendChild(dose);
+      card.appendChild(unit);
+      card.appendChild(when);
+      host.appendChild(card);
+    });
+  }
+
+  function renderMeds() {
+    renderMedPickList();
+    renderMedEvents();
+  }
+
+  function addAdhocMed() {
+    const input = $("inMedAdhoc");
+    const v = norm(input && input.value);
+    if (!v) return;
+
+    addMedEvent(v);
+    if (input) input.value = "";
+
+    const known = savedMedNames().some((n) => n.toLowerCase() === v.toLowerCase());
+    if (!known && window.VTSettings && typeof window.VTSettings.addMedName === "function") {
+      if (window.confirm("Save “" + v + "” to your medication list for next time?")) {
+        window.VTSettings.addMedName(v);
+      }
+    }
+
+    renderMeds();
+  }
+
   // ---------- DOM injection (wizard skeleton) ----------
   function injectWizardUI() {
     const bodyEl = $("addBody");
     if (!bodyEl) return;
 
+    ensureWizardStyle();
     ensureStep1Style();
+    ensureStep2Style();
+    ensureStep4Style();
 
     bodyEl.innerHTML = `
       <div class="addCard" id="addCard">
         <div class="addWizTopRow">
-          <div class="addWizTitle" aria-label="Step title">Vitals</div>
+          <div class="addWizTitle" id="addWizTitle" aria-label="Step title">Vitals</div>
           <button class="addWizX" id="btnWizAbortX" type="button" aria-label="Close">
             <svg width="18" height="18" viewBox="0 0 24 24" fill="none" aria-hidden="true">
               <path d="M6 6l12 12M18 6L6 18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
@@ -199,8 +1177,27 @@ Scope (this Pass)
           </button>
         </div>
 
+        <!-- Unfinished entry from a closed tab (only ever resumed by tapping Resume) -->
+        <div class="vtDraftOffer" id="draftOffer" role="status" hidden>
+          <span id="draftOfferText">Resume unfinished entry?</span>
+          <div class="vtDraftOfferBtns">
+            <button class="pillBtn" id="btnDraftDiscard" type="button">Discard</button>
+            <button class="pillBtn" id="btnDraftResume" type="button">Resume</button>
+          </div>
+        </div>
+
+        <!-- Crisis-range reading just saved: one tap for a retake reminder -->
+        <div class="vtDraftOffer vtRetakeOffer" id="retakeOffer" role="status" hidden>
+          <span id="retakeText">Crisis-range reading. Sit quietly, then retake it to confirm.</span>
+          <button class="pillBtn" id="btnRetake" type="button">Retake in 5 min</button>
+        </div>
+
+        <!-- Save failure (hard, visible; cleared by the next successful save) -->
+        <div class="vtSaveError" id="saveError" role="alert" hidden></div>
+
         <!-- STEP 1: Vitals -->
         <div class="wizStep" id="wizStep1">
+          <div class="muted addHint" id="editHint" hidden></div>
           <div class="vtStep1Row" role="group" aria-label="Vitals inputs">
             <div class="vtField">
               <div class="vtFieldLabel">SYS</div>
@@ -218,28 +1215,64 @@ Scope (this Pass)
             </div>
           </div>
 
+          <div class="vtWhenRow">
+            <label class="vtFieldLabel" for="inWhen">TAKEN AT</label>
+            <input class="addInput" id="inWhen" type="datetime-local" aria-label="Time the reading was taken" />
+          </div>
+
+          <div class="vtSessionRow" id="sessionRow" role="group" aria-label="Readings in this sitting"></div>
+
+          <!-- Session in progress: countdown to the next reading -->
+          <div class="vtDraftOffer vtSessionStatus" id="sessionStatus" role="status" aria-live="polite" hidden>
+            <span id="sessionText"></span>
+            <div class="vtDraftOfferBtns">
+              <button class="pillBtn" id="btnSessionSkip" type="button" hidden>Skip wait</button>
+              <button class="pillBtn" id="btnSessionStop" type="button">Stop here</button>
+            </div>
+          </div>
+
+          <div class="vtCtxBox" id="ctxBox" role="group" aria-label="Measurement context (optional)"></div>
+
           <div class="vtContinueRow">
             <button class="primaryBtn" id="btnStep1Continue" type="button">Continue</button>
           </div>
         </div>
 
-        <!-- STEP 2: Symptoms + Distress (existing scaffold retained) -->
+        <!-- STEP 2: Symptoms + Distress (catalog-driven; js/symptoms.js) -->
         <div class="wizStep" id="wizStep2" hidden>
-          <div class="addSectionTitle">Symptoms</div>
-          <div class="muted addHint">
-            Symptom selection UI is wired for future expansion. You can still Save & Next to create a symptoms-only entry later.
+          <div class="addSectionH">
+            <div class="addSectionTitle">Symptoms</div>
+            <div class="vtSymScore" id="symScore" aria-live="polite">Distress —</div>
+          </div>
+          <input class="addInput vtSymSearch" id="inSymSearch" type="search" placeholder="Search symptoms…" aria-label="Search symptoms" autocomplete="off" />
+          <div class="vtSymGrid" id="symGrid" role="group" aria-label="Symptoms">
+            <div class="muted addHint">Loading symptoms…</div>
+          </div>
+          <div class="vtDistressBox">
+            <div class="addSectionH">
+              <label class="addLabel" for="inDistress">Distress (your rating, 0–100)</label>
+              <div class="vtDistressVal" id="distressVal">—</div>
+            </div>
+            <input id="inDistress" type="range" min="0" max="100" step="1" value="0" aria-describedby="distressMeta" />
+            <div class="vtDistressMeta">
+              <span id="distressMeta">Computed —</span>
+              <button class="pillBtn" id="btnDistressReset" type="button" hidden>Use computed</button>
+            </div>
           </div>
           <div class="addRow">
             <button class="primaryBtn" id="btnStep2Save" type="button">Save & Next</button>
           </div>
         </div>
 
-        <!-- STEP 3: Mood (existing scaffold retained) -->
+        <!-- STEP 3: Mood (fixed vocabulary; js/mood.js) -->
         <div class="wizStep" id="wizStep3" hidden>
           <div class="addSectionTitle">Mood</div>
-          <div class="muted addHint">
-            Mood UI is a placeholder in this pass (no invented defaults). When you add the dropdown, this step will persist mood-only records.
+          <div class="tagList" id="moodGrid" role="group" aria-label="Mood"></div>
+          <div class="addField" id="moodIntensityField" hidden>
+            <div class="addLabel">Intensity (optional)</div>
+            <div class="distressRow" id="moodIntensityRow" role="group" aria-label="Mood intensity"></div>
           </div>
+          <div class="muted addHint">Optional. Tap a mood again to clear it.</div>
           <div class="addRow">
             <button class="primaryBtn" id="btnStep3Save" type="button">Save & Next</button>
           </div>
@@ -248,12 +1281,21 @@ Scope (this Pass)
         <!-- STEP 4: Meds + Notes (existing scaffold retained) -->
         <div class="wizStep" id="wizStep4" hidden>
           <div class="addSectionTitle">Meds & Notes</div>
+          <div class="addField">
+            <div class="addLabel">Medications taken</div>
+            <div class="tagList" id="medPickList" role="group" aria-label="Saved medications"></div>
+            <div class="medsRow">
+              <input class="addInput" id="inMedAdhoc" placeholder="Other medication…" aria-label="Other medication name" autocomplete="off" />
+              <button class="medsAddBtn" id="btnMedAdhoc" type="button">Add</button>
+            </div>
+            <div class="vtMedEvents" id="medEventList" aria-label="Medication doses"></div>
+          </div>
           <div class="addField">
             <label class="addLabel" for="inNotes">Notes</label>
             <textarea class="addTextarea" id="inNotes" rows="4" placeholder="Optional notes…"></textarea>
           </div>
           <div class="muted addHint">
-            Meds events will be added in a later pass. Notes are saved only when non-empty.
+            Time taken defaults to now; adjust it so readings can be placed before or after a dose. Notes are saved only when non-empty.
           </div>
           <div class="addRow">
             <button class="primaryBtn" id="btnStep4Save" type="button">Save & Finish</button>
@@ -264,8 +1306,11 @@ Scope (this Pass)
         <div class="wizStep" id="wizStep5" hidden>
           <div class="addSectionTitle">Saved</div>
           <div class="summaryGrid">
+            <div class="summaryLine"><span class="muted">Taken</span> <span id="sumWhen">—</span></div>
             <div class="summaryLine"><span class="muted">BP</span> <span id="sumBP">—</span></div>
             <div class="summaryLine"><span class="muted">HR</span> <span id="sumHR">—</span></div>
+            <div class="summaryLine"><span class="muted">Context</span> <span id="sumContext">—</span></div>
+            <div class="summaryLine" id="sumOrthoLine" hidden><span class="muted">Orthostatic</span> <span id="sumOrtho">—</span></div>
             <div class="summaryLine"><span class="muted">Distress</span> <span id="sumDistress">—</span></div>
             <div class="summaryLine"><span class="muted">Mood</span> <span id="sumMood">Mood: —</span></div>
             <div class="summaryLine"><span class="muted">Symptoms</span> <span id="sumSymptoms">Symptoms: —</span></div>
@@ -276,10 +1321,49 @@ Scope (this Pass)
             <button class="primaryBtn" id="btnSummaryClose" type="button">Close</button>
           </div>
         </div>
+
+        <!-- Edit mode only: delete the reading being edited (VTUI confirm + undo) -->
+        <div class="vtEditDeleteRow" id="editDeleteRow" hidden>
+          <button class="vtEditDeleteBtn" id="btnEditDelete" type="button">Delete this reading</button>
+        </div>
       </div>
     `;
   }
 
+  // ---------- Taken at (Step 1; defaults to now, or the edited record's time) ----------
+  function setWhenInput(ms) {
+    const el = $("inWhen");
+    if (!el) return;
+    el.max = toLocalInputValue(nowTs() + WHEN_FUTURE_SLACK_MS);
+    el.value = toLocalInputValue(ms);
+  }
+
+  // Measurement time for this entry, or null (after telling the user why) when it is not acceptable.
+  function readWhen() {
+    const el = $("inWhen");
+    const orig = (WIZ.mode === "edit" && WIZ.lastSaved && isNum(WIZ.lastSaved.ts)) ? WIZ.lastSaved.ts : null;
+    if (!el || !UI.whenTouched) return orig != null ? orig : nowTs();
+
+    // The input has minute precision: an unchanged minute keeps the exact stored time.
+    if (orig != null && el.value === toLocalInputValue(orig)) return orig;
+
+    const t = parseLocalInputValue(el.value);
+    if (t == null) {
+      alert("Enter the date and time the reading was taken.");
+      return null;
+    }
+    const now = nowTs();
+    if (t > now + WHEN_FUTURE_SLACK_MS) {
+      alert("The time a reading was taken cannot be in the future.");
+      return null;
+    }
+    if (now - t > WHEN_CONFIRM_PAST_MS &&
+      !window.confirm("This reading is dated " + new Date(t).toLocaleString() + ", more than 7 days ago.\n\nSave it with that time?")) {
+      return null;
+    }
+    return t;
+  }
+
   // ---------- patch builders (module-owned only; omit empties) ----------
   function patchVitalsStep1() {
     const sys = readNumNZ("inSys");
@@ -292,12 +1376,45 @@ Scope (this Pass)
       return { __invalid: true };
     }
 
+    // Plausibility (js/ranges.js): impossible values are refused, extreme ones confirmed.
+    const R = window.VTRanges;
+    if (R) {
+      const res = R.check({ sys, dia, hr }, vitalChecks(), changedVitals({ sys, dia, hr }));
+      if (res.errors.length) {
+        alert("Check the reading:\n\n" + res.errors.join("\n"));
+        return { __invalid: true };
+      }
+      if (res.warnings.length && !window.confirm(res.warnings.join("\n") + "\n\nSave this reading?")) {
+        return { __invalid: true };
+      }
+    }
+
     const p = {};
     if (sys != null && dia != null) { p.sys = sys; p.dia = dia; }
     if (hr != null) { p.hr = hr; }
     return p;
   }
 
+  function vitalChecks() {
+    try {
+      if (window.VTSettings && typeof window.VTSettings.getVitalChecks === "function") return window.VTSettings.getVitalChecks();
+    } catch (_) {}
+    return null;
+  }
+
+  // Edit mode: only values the user changed are confirmed again (null = check every field).
+  function changedVitals(v) {
+    if (WIZ.mode !== "edit" || !WIZ.lastSaved) return null;
+    const r = WIZ.lastSaved;
+    return ["sys", "dia", "hr"].filter((f) => v[f] != null && v[f] !== r[f]);
+  }
+
+  // Context rides along with the vitals; it never creates a record on its own.
+  function patchContext() {
+    const VC = window.VTContext;
+    return VC ? VC.pick(UI.context) : {};
+  }
+
   function patchSymptoms() {
     const p = {};
     if (Array.isArray(UI.symptoms) && UI.symptoms.length) p.symptoms = UI.symptoms.slice();
@@ -309,13 +1426,18 @@ Scope (this Pass)
 
   function patchMood() {
     const p = {};
-    if (UI.mood) p.mood = UI.mood;
+    if (UI.mood) {
+      p.mood = UI.mood;
+      const i = window.VTMood ? window.VTMood.normalizeIntensity(UI.moodIntensity) : null;
+      if (i != null) p.moodIntensity = i;
+    }
     return p;
   }
 
   function patchMedsNotes() {
     const p = {};
-    if (Array.isArray(UI.meds) && UI.meds.length) p.meds = UI.meds.slice();
+    const meds = window.VTMeds ? window.VTMeds.normalizeList(UI.meds) : UI.meds.filter((m) => m && norm(m.name));
+    if (meds.length) p.meds = meds;
     const notes = readTxt("inNotes");
     if (notes) p.notes = notes;
     return p;
@@ -336,10 +1458,28 @@ Scope (this Pass)
   }
 
   // ---------- persistence ----------
+  function showSaveError(err) {
+    const code = (err && err.code) || "";
+    const msg = (code === "quota-exceeded")
+      ? "Not saved: device storage is full. Export a backup and free space, then try again (Settings → Storage)."
+      : "Not saved: " + ((err && err.message) || "the reading could not be written.") + " Your entries are still here; try again.";
+
+    const el = $("saveError");
+    if (el) {
+      el.textContent = msg;
+      el.hidden = false;
+    }
+    try { alert(msg); } catch (_) {}
+  }
+
+  function clearSaveError() {
+    const el = $("saveError");
+    if (el) el.hidden = true;
+  }
+
   async function savePatchIfAny(step) {
     // Step 1 requirement: advance either way; save only if non-null and non-zero values exist.
-    if (saving) return { ok: true };
-    if (!ensureStore()) return { ok: true };
+    if (saving) return { ok: false };
 
     saving = true;
     await initStore();
@@ -348,26 +1488,55 @@ Scope (this Pass)
       const patch = buildPatch(step);
       if (patch && patch.__invalid) return { ok: false };
 
-      if (!hasMeaning(patch)) return { ok: true };
+      if (step === 1) {
+        if (sessionStarted()) return await saveSessionReading(patch, null);
+        const when = readWhen();
+        if (when == null) return { ok: false };
+        WIZ.measuredTs = when;
+        if (inSession()) return await saveSessionReading(patch, when);
+      }
 
-      if (!WIZ.hasSaved) {
-        const ts = nowTs();
-        const rec = Object.assign({ ts }, patch);
-        await window.VTStore.add(rec);
+      // Edit mode always writes back so that clearing a field is saved too.
+      if (!hasMeaning(patch) && WIZ.mode !== "edit") return { ok: true };
+      if (step === 1) rememberContext();
 
-        WIZ.key = { ts };
+      if (!ensureStore()) {
+        showSaveError({ code: "no-storage", message: "storage is unavailable in this build." });
+        return { ok: false };
+      }
+
+      if (!WIZ.hasSaved) {
+        // ts = when it was taken (Step 1), enteredAt = now; they differ for a backdated reading.
+        const ts = (WIZ.measuredTs != null) ? WIZ.measuredTs : nowTs();
+        const rec = Object.assign({ ts, enteredAt: nowTs() }, patchContext(), patch);
+        const saved = await window.VTStore.add(rec);
+        clearSaveError();
+
+        // Later steps update by the store-assigned immutable id.
+        WIZ.key = (saved && saved.id) ? { id: saved.id } : { ts };
         WIZ.createdTs = ts;
-        WIZ.lastSaved = rec;
+        WIZ.lastSaved = saved || rec;
         WIZ.hasSaved = true;
         return { ok: true };
       }
 
-      const base = WIZ.lastSaved || {};
-      const merged = Object.assign({}, base, patch, { ts: base.ts });
-      await window.VTStore.update(WIZ.key, merged);
-
-      WIZ.lastSaved = merged;
+      const base = Object.assign({}, WIZ.lastSaved || {});
+      if (WIZ.mode === "edit") {
+        for (const k of (STEP_FIELDS[step] || [])) delete base[k];
+      }
+      // Step 1 may correct the time; later steps keep it.
+      const ts = (step === 1 && WIZ.measuredTs != null) ? WIZ.measuredTs : base.ts;
+      const merged = Object.assign({}, base, (step === 1) ? patchContext() : null, patch, { id: base.id, ts });
+      // New entries are still being completed; edits append to the record's revision history.
+      const updated = await window.VTStore.update(WIZ.key, merged, { entry: WIZ.mode !== "edit" });
+      clearSaveError();
+
+      WIZ.lastSaved = updated || merged;
       return { ok: true };
+    } catch (err) {
+      // VTStore rejects when the write did not land: stay on this step, keep the inputs.
+      showSaveError(err);
+      return { ok: false };
     } finally {
       saving = false;
     }
@@ -388,35 +1557,338 @@ Scope (this Pass)
   }
 
   // ---------- summary ----------
+  function fmtDistress(r) {
+    const f = isNum(r.distressFinal) ? r.distressFinal : null;
+    const c = isNum(r.distressComputed) ? r.distressComputed : null;
+    if (f == null) return c != null ? String(c) : "—";
+    if (c == null || f === c) return String(f);
+    const d = isNum(r.distressDelta) ? r.distressDelta : (f - c);
+    return f + " (computed " + c + ", " + (d > 0 ? "+" : "") + d + ")";
+  }
+
   function renderSummary() {
     if (!WIZ.lastSaved) return;
     const r = WIZ.lastSaved;
 
-    safeSetText("sumBP", (typeof r.sys === "number" && typeof r.dia === "number") ? (r.sys + "/" + r.dia) : "—");
-    safeSetText("sumHR", isNum(r.hr) ? String(r.hr) : "—");
-    safeSetText("sumDistress", isNum(r.distressFinal) ? String(r.distressFinal) : "—");
-    safeSetText("sumMood", r.mood ? ("Mood: " + r.mood) : "Mood: —");
-    safeSetText("sumSymptoms", (r.symptoms && r.symptoms.length) ? ("Symptoms: " + r.symptoms.length) : "Symptoms: —");
-    safeSetText("sumMeds", (r.meds && r.meds.length) ? ("Meds: " + r.meds.map(m => (m && m.name) ? m.name : "").filter(Boolean).join(", ")) : "Meds: —");
+    const H = window.VTHistory;
+    const note = (H && typeof H.entryNote === "function") ? H.entryNote(r) : "";
+    safeSetText("sumWhen", (isNum(r.ts) ? new Date(r.ts).toLocaleString() : "—") + (note ? " · " + note : ""));
+    // A session shows its mean (what the chart plots).
+    const m = sessionMean();
+    const v = m || r;
+    const of = m ? " (mean of " + m.count + ")" : "";
+    safeSetText("sumBP", (typeof v.sys === "number" && typeof v.dia === "number") ? (v.sys + "/" + v.dia + of) : "—");
+    safeSetText("sumHR", isNum(v.hr) ? String(v.hr) + of : "—");
+    safeSetText("sumContext", (window.VTContext && window.VTContext.format(r)) || "—");
+    const orthoLine = $("sumOrthoLine");
+    if (orthoLine) orthoLine.hidden = !isOrtho();
+    if (isOrtho()) {
+      const res = orthoResult();
+      safeSetText("sumOrtho", res ? res.text : "Incomplete: a lying or sitting reading and a standing one are needed for a result.");
+    }
+    safeSetText("sumDistress", fmtDistress(r));
+    const moodTxt = window.VTMood ? window.VTMood.format(r) : (r.mood || "");
+    safeSetText("sumMood", moodTxt ? ("Mood: " + moodTxt) : "Mood: —");
+    safeSetText("sumSymptoms", (r.symptoms && r.symptoms.length)
+      ? ("Symptoms: " + (_symMod ? _symMod.labelsForKeys(r.symptoms).join(", ") : String(r.symptoms.length)))
+      : "Symptoms: —");
+    const medsTxt = window.VTMeds
+      ? window.VTMeds.format(r)
+      : (r.meds || []).map(m => (m && m.name) ? m.name : "").filter(Boolean).join(", ");
+    safeSetText("sumMeds", medsTxt ? ("Meds: " + medsTxt) : "Meds: —");
     safeSetText("sumNotes", r.notes ? ("Notes: " + String(r.notes).slice(0, 120)) : "Notes: —");
   }
 
+  // ---------- crisis retake reminder ----------
+  function fmtClock(ms) {
+    try {
+      return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    } catch (_) {
+      return "";
+    }
+  }
+
+  function renderRetakeOffer(show) {
+    const box = $("retakeOffer");
+    const btn = $("btnRetake");
+    if (!box) return;
+    if (show != null) box.hidden = !show;
+    if (btn) btn.hidden = !!_retakeDue;
+    safeSetText("retakeText", _retakeDue
+      ? "Retake reminder set for " + fmtClock(_retakeDue) + "."
+      : "Crisis-range reading. Sit quietly, then retake it to confirm.");
+  }
+
+  // A new reading taken just now in the crisis range (VTRanges.CRISIS) gets the offer (a session: its mean).
+  function offerRetake() {
+    const r = sessionMean() || WIZ.lastSaved;
+    if (WIZ.mode !== "new" || !r || !window.VTRanges || !window.VTRanges.isCrisis(r)) return;
+    if (!isNum(r.ts) || nowTs() - r.ts > RETAKE_RECENT_MS) return;
+    renderRetakeOffer(true);
+  }
+
+  function askNotificationPermission() {
+    try {
+      if (!("Notification" in window) || Notification.permission !== "default") return;
+      const p = Notification.requestPermission();
+      if (p && typeof p.catch === "function") p.catch(() => {});
+    } catch (_) {}
+  }
+
+  function systemNotify(text) {
+    try {
+      if (!("Notification" in window) || Notification.permission !== "granted") return;
+      // Mobile browsers only allow notifications through the service worker.
+      const sw = navigator.serviceWorker;
+      const viaPage = () => { try { new Notification("Vitals Tracker", { body: text }); } catch (_) {} };
+      if (sw && typeof sw.getRegistration === "function") {
+        sw.getRegistration().then((reg) => {
+          if (reg && typeof reg.showNotification === "function") reg.showNotification("Vitals Tracker", { body: text, tag: "vt-retake" });
+          else viaPage();
+        }).catch(viaPage);
+      } else {
+        viaPage();
+      }
+    } catch (_) {}
+  }
+
+  function fireRetake() {
+    _retakeTimer = 0;
+    _retakeDue = 0;
+    renderRetakeOffer();
+    const text = "Time to retake your blood pressure.";
+    systemNotify(text);
+    try {
+      if (window.VTUI && typeof window.VTUI.toast === "function") {
+        window.VTUI.toast(text, { actionLabel: "Add reading", onAction: () => window.VTAdd.openNew(), ms: 60000 });
+      }
+    } catch (_) {}
+  }
+
+  function scheduleRetake() {
+    if (_retakeTimer) clearTimeout(_retakeTimer);
+    _retakeDue = nowTs() + RETAKE_MS;
+    _retakeTimer = setTimeout(fireRetake, RETAKE_MS);
+    askNotificationPermission();
+    renderRetakeOffer();
+  }
+
+  // ---------- unfinished-entry draft (autosave + explicit resume) ----------
+  function hasDraftApi() {
+    return !!(window.VTStore &&
+      typeof window.VTStore.setDraft === "function" &&
+      typeof window.VTStore.getPersistedDraft === "function");
+  }
+
+  // Everything needed to rebuild the wizard as it is now; null when there is nothing to keep.
+  function captureDraft() {
+    if (WIZ.step > 4) return null;
+
+    const inputs = {};
+    let typed = false;
+    for (const id of DRAFT_INPUTS) {
+      // "Taken at" always holds a value; it only counts once the user changed it.
+      if (id === "inWhen" && !UI.whenTouched) continue;
+      const el = $(id);
+      const v = (el && typeof el.value === "string") ? el.value : "";
+      if (norm(v)) { inputs[id] = v; typed = true; }
+    }
+    const picked = UI.symptoms.length || UI.mood || UI.meds.length || UI.distressTouched;
+    if (!typed && !picked && !WIZ.hasSaved) return null;
+
+    return {
+      version: 1,
+      mode: WIZ.mode,
+      step: WIZ.step,
+      key: WIZ.key ? Object.assign({}, WIZ.key) : null,
+      createdTs: WIZ.createdTs,
+      ui: JSON.parse(JSON.stringify(UI)),
+      inputs
+    };
+  }
+
+  function saveDraftNow() {
+    if (_draftTimer) { clearTimeout(_draftTimer); _draftTimer = 0; }
+    if (_draftOffer || !hasDraftApi()) return;
+    try {
+      const d = captureDraft();
+      if (d) window.VTStore.setDraft(d);
+      else window.VTStore.clearDraft();
+    } catch (_) {}
+  }
+
+  function scheduleDraftSave() {
+    if (_draftOffer) return;
+    if (_draftTimer) clearTimeout(_draftTimer);
+    _draftTimer = setTimeout(saveDraftNow, DRAFT_DEBOUNCE_MS);
+  }
+
+  function discardDraft() {
+    if (_draftTimer) { clearTimeout(_draftTimer); _draftTimer = 0; }
+    _offerSeq++;
+    _draftOffer = null;
+    try { if (hasDraftApi()) window.VTStore.clearDraft(); } catch (_) {}
+  }
+
+  function fmtDraftTime(ms) {
+    try {
+      return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    } catch (_) {
+      return "";
+    }
+  }
+
+  function renderDraftOffer() {
+    const box = $("draftOffer");
+    if (!box) return;
+    const o = _draftOffer;
+    box.hidden = !o;
+    if (!o) return;
+    const what = (o.draft && o.draft.mode === "edit") ? "edit" : "entry";
+    const when = fmtDraftTime(o.savedAt);
+    safeSetText("draftOfferText", "Resume unfinished " + what + (when ? " from " + when : "") + "?");
+  }
+
+  // Fresh Add: look for a saved draft and offer it. Never applied without a tap on Resume.
+  function offerDraft() {
+    const seq = ++_offerSeq;
+    _draftOffer = null;
+    if (!hasDraftApi()) return;
+
+    window.VTStore.getPersistedDraft().then((o) => {
+      if (seq !== _offerSeq || !o || !o.draft) return;
+      // The user already started typing a new entry in this mount: keep the old draft, don't interrupt.
+      if (WIZ.mode !== "new" || WIZ.hasSaved) return;
+      _draftOffer = o;
+      renderDraftOffer();
+    }).catch(() => {});
+  }
+
+  function draftUI(ui) {
+    const u = (ui && typeof ui === "object") ? ui : {};
+    const num = (v) => isNum(v) ? v : null;
+    return {
+      symptoms: Array.isArray(u.symptoms) ? u.symptoms.map(String) : [],
+      distressComputed: num(u.distressComputed),
+      distressFinal: num(u.distressFinal),
+      distressTouched: u.distressTouched === true,
+      mood: u.mood ? String(u.mood) : null,
+      moodIntensity: num(u.moodIntensity),
+      meds: Array.isArray(u.meds) ? u.meds.filter((m) => m && typeof m === "object").map((m) => Object.assign({}, m)) : [],
+      whenTouched: u.whenTouched === true,
+      context: (u.context && typeof u.context === "object") ? Object.assign({}, u.context) : {},
+      session: draftSession(u.session)
+    };
+  }
+
+  function draftSession(s) {
+    const src = (s && typeof s === "object") ? s : {};
+    const sizes = window.VTSessions ? window.VTSessions.SIZES : [1];
+    const out = (src.kind === "ortho" && window.VTOrtho)
+      ? newSession(window.VTOrtho.STEPS.length, "ortho")
+      : newSession(sizes.indexOf(src.size) >= 0 ? src.size : 1);
+    const num = (v) => isNum(v) ? v : null;
+    if (typeof src.id === "string" && src.id) out.id = src.id;
+    out.startTs = num(src.startTs);
+    out.startedAt = num(src.startedAt);
+    if (Array.isArray(src.readings)) {
+      out.readings = src.readings.filter((x) => x && typeof x === "object")
+        .map((x) => ({ ts: num(x.ts), sys: num(x.sys), dia: num(x.dia), hr: num(x.hr), step: x.step ? String(x.step) : null }));
+    }
+    return out;
+  }
+
+  function findStored(key) {
+    if (!key || !key.id) return null;
+    try {
+      const all = window.VTStore.getAll() || [];
+      return all.find((r) => r && r.id === key.id) || null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async function resumeDraft() {
+    const o = _draftOffer;
+    _offerSeq++;
+    _draftOffer = null;
+    renderDraftOffer();
+    if (!o || !o.draft) return;
+
+    const d = o.draft;
+    await initStore();
+    const rec = findStored(d.key);
+
+    if (d.mode === "edit") {
+      if (!rec || !mountEdit(rec)) {
+        discardDraft();
+        alert("The reading this edit belonged to no longer exists.");
+        return;
+      }
+      _editPrimed = false;   // already on Add
+    } else {
+      resetSession();
+      injectWizardUI();
+      bind();
+      setWhenInput(nowTs());
+      WIZ.createdTs = isNum(d.createdTs) ? d.createdTs : null;
+      if (rec) {
+        WIZ.key = { id: rec.id };
+        WIZ.lastSaved = rec;
+        WIZ.hasSaved = true;
+      }
+    }
+
+    Object.assign(UI, draftUI(d.ui));
+    // The session's first reading is gone: start the session (or test) over.
+    if (!WIZ.hasSaved) UI.session = newSession(UI.session.size, UI.session.kind);
+    const inputs = (d.inputs && typeof d.inputs === "object") ? d.inputs : {};
+    for (const id of DRAFT_INPUTS) {
+      const v = typeof inputs[id] === "string" ? inputs[id] : "";
+      if (id === "inWhen" && !v) continue;   // keep the mounted default
+      setInputValue(id, v);
+    }
+
+    // A new entry whose first save is gone restarts at Step 1 (later steps update that record).
+    const step = Math.round(Number(d.step)) || 1;
+    showStep((d.mode === "new" && !WIZ.hasSaved) ? 1 : clamp(step, 1, 4));
+    renderSessionRow();
+    // An orthostatic step keeps its timing; an averaged session resumes ready for its next reading.
+    if (WIZ.step === 1 && isOrtho() && sessionStarted()) waitUntil(nextReadyAt());
+    else renderSessionStatus();
+    renderContextChips();
+    renderSymptomGrid();
+    renderMoodPicker();
+    renderMeds();
+
+    scheduleDraftSave();
+  }
+
   // ---------- session reset (hard) ----------
   function resetSession() {
     WIZ.step = 1;
+    WIZ.mode = "new";
     WIZ.key = null;
     WIZ.createdTs = null;
+    WIZ.measuredTs = null;
     WIZ.lastSaved = null;
     WIZ.hasSaved = false;
 
     UI.symptoms = [];
     UI.distressComputed = null;
     UI.distressFinal = null;
+    UI.distressTouched = false;
     UI.mood = null;
+    UI.moodIntensity = null;
     UI.meds = [];
+    UI.whenTouched = false;
+    UI.context = {};
+    UI.session = newSession(1);
+    stopSessionWait();
 
     saving = false;
     bound = false;
+    _editPrimed = false;
   }
 
   // ---------- mount fresh Step 1 (deterministic Add launch) ----------
@@ -424,16 +1896,136 @@ Scope (this Pass)
     resetSession();
     injectWizardUI();
     bind();
+    setWhenInput(nowTs());
+    UI.context = lastContext();
     showStep(1);
+    renderSessionRow();
+    renderSessionStatus();
+    renderContextChips();
+    renderSymptomGrid();
+    renderMoodPicker();
+    renderMeds();
+    offerDraft();
 
     // Best-effort focus SYS for speed; ignore failures.
     try { $("inSys")?.focus?.(); } catch (_) {}
   }
 
+  // ---------- edit session (Log "Edit" → vt:addOpen {mode:"edit"} / vt:editRecord) ----------
+  function resolveEditRecord(payload) {
+    if (!payload || typeof payload !== "object") return null;
+
+    // Log passes {id, ts, sys, dia, hr, notes, raw}; raw is the full stored record.
+    const src = (payload.raw && typeof payload.raw === "object") ? payload.raw : payload;
+    const id = src.id || payload.id || null;
+    const ts = isNum(src.ts) ? src.ts : (isNum(payload.ts) ? payload.ts : null);
+    if (ts == null && !id) return null;
+
+    // Prefer the store's copy so every pass-through field is preserved on save.
+    try {
+      const all = window.VTStore && typeof window.VTStore.getAll === "function" ? window.VTStore.getAll() : [];
+      const hit = (all || []).find((r) => r && (id ? r.id === id : r.ts === ts));
+      if (hit) return hit;
+    } catch (_) {}
+    if (ts == null) return null;
+
+    const rec = Object.assign({}, src, { ts });
+    delete rec.raw;
+    return rec;
+  }
+
+  function setInputValue(id, v) {
+    const el = $(id);
+    if (el) el.value = (v == null) ? "" : String(v);
+  }
+
+  function mountEdit(payload) {
+    const rec = resolveEditRecord(payload);
+    if (!rec) return false;
+
+    resetSession();
+    _offerSeq++;
+    _draftOffer = null;
+
+    WIZ.mode = "edit";
+    WIZ.key = rec.id ? { id: rec.id } : { ts: rec.ts };
+    WIZ.createdTs = rec.ts;
+    WIZ.lastSaved = rec;
+    WIZ.hasSaved = true;
+
+    UI.symptoms = Array.isArray(rec.symptoms) ? rec.symptoms.map(String) : [];
+    UI.distressComputed = isNum(rec.distressComputed) ? rec.distressComputed : null;
+    UI.distressFinal = isNum(rec.distressFinal) ? rec.distressFinal : null;
+    UI.distressTouched = UI.distressFinal != null && UI.distressFinal !== UI.distressComputed;
+    UI.mood = rec.mood ? String(rec.mood) : null;
+    UI.moodIntensity = isNum(rec.moodIntensity) ? rec.moodIntensity : null;
+    UI.meds = Array.isArray(rec.meds) ? rec.meds.map((m) => Object.assign({}, m)) : [];
+    UI.context = window.VTContext ? window.VTContext.pick(rec) : {};
+
+    injectWizardUI();
+    bind();
+
+    safeSetText("addWizTitle", "Edit");
+    const hint = $("editHint");
+    if (hint) {
+      const member = window.VTSessions ? window.VTSessions.memberText(rec) : "";
+      const orthoStepKey = (window.VTOrtho && window.VTOrtho.idOf(rec)) ? rec.orthoStep : "";
+      hint.textContent = "Editing reading from " + new Date(rec.ts).toLocaleString() + ". Change Taken at only to correct its time." +
+        (member ? " This is " + member.toLowerCase() + " of a session; the session mean follows this edit." : "") +
+        (orthoStepKey ? " This is the " + window.VTOrtho.stepLabel(orthoStepKey).toLowerCase() + " reading of an orthostatic test; the test result follows this edit." : "");
+      hint.hidden = false;
+    }
+    const delRow = $("editDeleteRow");
+    if (delRow) delRow.hidden = false;
+
+    setInputValue("inSys", isNum(rec.sys) ? rec.sys : null);
+    setInputValue("inDia", isNum(rec.dia) ? rec.dia : null);
+    setInputValue("inHr", isNum(rec.hr) ? rec.hr : null);
+    setInputValue("inNotes", rec.notes || "");
+    setWhenInput(rec.ts);
+
+    showStep(1);
+    renderSessionRow();
+    renderSessionStatus();
+    renderContextChips();
+    renderSymptomGrid();
+    renderMoodPicker();
+    renderMeds();
+
+    _editPrimed = true;
+    return true;
+  }
+
+  function onAddOpen(e) {
+    const d = (e && e.detail) || {};
+    if (d.mode === "edit" && d.record) mountEdit(d.record);
+    else mountFreshStep1();
+  }
+
+  function onEditRecord(e) {
+    const d = (e && e.detail) || {};
+    if (d.record) mountEdit(d.record);
+  }
+
+  async function deleteEditedRecord() {
+    if (WIZ.mode !== "edit" || !WIZ.key || !window.VTUI || typeof window.VTUI.deleteRecord !== "function") return;
+
+    const rec = Object.assign({}, WIZ.lastSaved || {});
+    const done = await window.VTUI.deleteRecord(rec, {
+      onChange: () => { try { window.VTLog?.render?.(); } catch (_) {} }
+    });
+    if (done) closeWizard();
+  }
+
   // IMPORTANT: Close must exit Add FIRST, then reset Step1 AFTER navigation
   // to avoid flashing Step1 in a mid-rotation / sliding panel state.
   function closeWizard() {
-    try { window.VTPanels?.go?.("home", true); } catch (_) {}
+    // Edits start from the Log; return there so the change is visible.
+    const target = WIZ.mode === "edit" ? "log" : "home";
+
+    // Closing (X / Close / delete) ends the entry on purpose: nothing left to resume.
+    discardDraft();
+    try { window.VTPanels?.go?.(target, true); } catch (_) {}
 
     // After leaving Add, prep next Add launch as NEW Step1 without visual artifacts.
     // (0ms is enough to get off the current click stack; no timing assumptions beyond that.)
@@ -453,27 +2045,109 @@ Scope (this Pass)
     const b3 = $("btnStep3Save");
     const b4 = $("btnStep4Save");
     const bClose = $("btnSummaryClose");
+    const inSym = $("inSymSearch");
 
     if (bX) bX.addEventListener("click", closeWizard);
 
+    const bRetake = $("btnRetake");
+    if (bRetake) bRetake.addEventListener("click", scheduleRetake);
+
+    const bResume = $("btnDraftResume");
+    const bDiscard = $("btnDraftDiscard");
+    if (bResume) bResume.addEventListener("click", () => { resumeDraft(); });
+    if (bDiscard) bDiscard.addEventListener("click", () => {
+      discardDraft();
+      renderDraftOffer();
+    });
+
+    const bDelete = $("btnEditDelete");
+    if (bDelete) bDelete.addEventListener("click", deleteEditedRecord);
+
+    if (inSym) inSym.addEventListener("input", () => filterSymptomGrid(inSym.value));
+
+    const bMedAdhoc = $("btnMedAdhoc");
+    const inMedAdhoc = $("inMedAdhoc");
+    if (bMedAdhoc) bMedAdhoc.addEventListener("click", addAdhocMed);
+    if (inMedAdhoc) inMedAdhoc.addEventListener("keydown", (e) => {
+      if (e && e.key === "Enter") {
+        try { e.preventDefault(); } catch (_) {}
+        addAdhocMed();
+      }
+    });
+
+    const inWhen = $("inWhen");
+    if (inWhen) {
+      ["input", "change"].forEach((t) => inWhen.addEventListener(t, () => { UI.whenTouched = true; }));
+      inWhen.addEventListener("focus", () => { inWhen.max = toLocalInputValue(nowTs() + WHEN_FUTURE_SLACK_MS); });
+    }
+
+    const inDistress = $("inDistress");
+    const bDistressReset = $("btnDistressReset");
+    if (inDistress) inDistress.addEventListener("input", onDistressInput);
+    if (bDistressReset) bDistressReset.addEventListener("click", resetDistressToComputed);
+
+    const finishStep1 = () => {
+      stopSessionWait();
+      renderSessionStatus();
+      showStep(2);
+      offerRetake();
+      scheduleDraftSave();
+    };
+
     if (b1) b1.addEventListener("click", async () => {
+      if (inSession() && _sessionReadyAt > nowTs()) return;
+      if (isOrtho() && !sessionStarted()) {
+        startOrtho();
+        scheduleDraftSave();
+        return;
+      }
       const res = await savePatchIfAny(1);
-      if (res && res.ok) showStep(2);
+      if (res && res.ok && res.more) {
+        nextSessionReading();
+        scheduleDraftSave();
+      } else if (res && res.ok) {
+        finishStep1();
+      }
+    });
+
+    const bSkip = $("btnSessionSkip");
+    const bStop = $("btnSessionStop");
+    if (bSkip) bSkip.addEventListener("click", () => endSessionWait(false));
+    // Fewer readings than planned: the ones saved stay (a single one reads as an ordinary reading).
+    // Nothing saved yet (orthostatic rest period): cancel the test.
+    if (bStop) bStop.addEventListener("click", () => {
+      if (!sessionStarted()) return;
+      if (UI.session.readings.length) {
+        finishStep1();
+        return;
+      }
+      stopSessionWait();
+      UI.session = newSession(1);
+      renderSessionRow();
+      renderSessionStatus();
+      scheduleDraftSave();
     });
 
     if (b2) b2.addEventListener("click", async () => {
       const res = await savePatchIfAny(2);
-      if (res && res.ok) showStep(3);
+      if (res && res.ok) {
+        showStep(3);
+        scheduleDraftSave();
+      }
     });
 
     if (b3) b3.addEventListener("click", async () => {
       const res = await savePatchIfAny(3);
-      if (res && res.ok) showStep(4);
+      if (res && res.ok) {
+        showStep(4);
+        scheduleDraftSave();
+      }
     });
 
     if (b4) b4.addEventListener("click", async () => {
       const res = await savePatchIfAny(4);
       if (res && res.ok) {
+        discardDraft();
         renderSummary();
         showStep(5);
       }
@@ -499,17 +2173,20 @@ Scope (this Pass)
 
     function wrappedGo(panel, instant) {
       try {
-        if (panel === "add" && !_internalGoToAdd) {
+        if (panel === "add" && !_internalGoToAdd && !_editPrimed) {
           // External navigation to Add: force NEW/Step1 deterministically before showing Add.
           mountFreshStep1();
         }
+        if (panel === "add") _editPrimed = false;
       } catch (_) {}
 
       return origGo(panel, instant);
     }
     wrappedGo.__vtAddResetWrapped = true;
 
-    vp.go = wrappedGo;
+    // VTPanels is frozen, so this assignment can be rejected; vt:addOpen
+    // (panels.js openAdd) still drives the reset in that case.
+    try { vp.go = wrappedGo; } catch (_) {}
     _panelsGoWrapped = true;
   }
 
@@ -536,6 +2213,21 @@ Scope (this Pass)
     // Legacy compatibility: enforce Step 1 even if caller only "ensures" UI.
     ensureMounted() {
       mountFreshStep1();
+    },
+
+    // Opens Add prefilled from an existing record; saves keep the original ts.
+    openEdit(record) {
+      if (!mountEdit(record)) return false;
+      try {
+        _internalGoToAdd = true;
+        window.VTPanels?.go?.("add", true);
+      } catch (_) {
+        // no-op
+      } finally {
+        _internalGoToAdd = false;
+        _editPrimed = false;
+      }
+      return true;
     }
   });
 
@@ -544,11 +2236,39 @@ Scope (this Pass)
     injectWizardUI();
     resetSession();
     bind();
+    setWhenInput(nowTs());
+    UI.context = lastContext();
     showStep(1);
+    renderSessionRow();
+    renderSessionStatus();
+    renderContextChips();
+    renderSymptomGrid();
+    renderMoodPicker();
+    renderMeds();
 
     // Enforce global guarantee: any VTPanels.go("add") starts NEW/Step1.
     wrapPanelsGoForAddReset();
 
+    // Edit entry points (panels.js openAdd({mode:"edit"}) and log.js compatibility event).
+    document.addEventListener("vt:addOpen", onAddOpen);
+    document.addEventListener("vt:editRecord", onEditRecord);
+
+    // Autosave the unfinished entry (typing, chips, sliders); #addBody is re-filled, never replaced.
+    const addBody = $("addBody");
+    if (addBody) {
+      ["input", "change", "click"].forEach((t) => addBody.addEventListener(t, scheduleDraftSave));
+    }
+    // The tab may be killed while hidden: write the pending draft now.
+    window.addEventListener("pagehide", () => { if (_draftTimer) saveDraftNow(); });
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden" && _draftTimer) saveDraftNow();
+    });
+
+    // Keep the Step 4 med picker in sync with Settings edits.
+    document.addEventListener("vt:settingsChanged", () => {
+      try { renderMedPickList(); } catch (_) {}
+    });
+
     // Hard-hide any Home button that may exist in the Add header (index-owned).
     try {
       const btnHome = document.getElementById("btnHomeFromAdd");
@@ -569,13 +2289,13 @@ Vitals Tracker — EOF (Jyles Method Pass Footer)
 Copyright © 2026 Wendell K. Jiles. All rights reserved.
 (Pen name: Keyth Jyles)
 
-PASS: Add Close Behavior (No Step1 Flash / True Exit)
-ImplementationId: JYLES-20260122-ADDCLOSE-001
+PASS: Orthostatic Vitals Protocol
+ImplementationId: JYLES-20261019-ORTHO-001
 App Version Authority: js/version.js
 
 File: js/add.js
-FileEditId: 15
-Edited: 2026-01-22
+FileEditId: 33
+Edited: 2026-10-19
 
 Current file: js/add.js, File 1 of 1
 
@@ -589,10 +2309,21 @@ Beacon: update FileEditId by incrementing by one each time you generate a new fu
 Current file (pasted/edited in this step): js/add.js
 
 Acceptance checks
-- On Saved screen: tapping Close returns fully to Home (no mid-panel rotation showing Step 1).
-- Tapping X behaves the same as Close.
-- Next time Add is tapped, Step 1 starts NEW (fresh wizard).
-- No changes to save semantics.
+- Storage full: tapping Continue / Save & Next shows "Not saved: device storage is full…" and stays on the step.
+- After freeing space, the same tap saves and advances; the banner disappears.
+- Normal saves behave as before (new entries and edits keyed by id).
+- With "Keep unfinished entries" on: type notes on Step 4, reload; opening Add offers the entry, Resume restores Step 4 with the notes
+  and Save & Finish updates the same record (no duplicate).
+- Discard, Close or a draft older than 30 minutes: opening Add shows a fresh Step 1 with no offer.
+- Taken at 03:00 today, saved at breakfast: the record has ts 03:00 and enteredAt = save time; a time tomorrow is refused.
+- 1320/84, 80/120 and HR 7 are refused on Continue; 185/95 asks first; a crisis reading offers "Retake in 5 min" and the
+  reminder toast opens a new entry.
+- Pick Standing + Left, save: the record has position/arm and the next new entry starts with the same chips on;
+  an Add closed without vitals saves nothing.
+- Readings 3: three records share one sessionId (index 1–3); Continue reads "Wait 0:59" between them; the summary shows
+  the mean "(mean of 3)" and symptoms/mood/meds/notes land on reading 1 only.
+- Readings: Orthostatic → Start test: Continue reads "Wait 4:59", then saves Lying, Sitting, Standing 1 min, Standing 3 min
+  (four records, one orthoId); 120/80 HR 65 lying and 98/70 HR 72 standing show "SYS −22 … orthostatic hypotension".
 
 Test and regroup for next pass.
 ------------------------------------------------------------
@@ -36,6 +36,28 @@ Stabilization Pass: Render Recovery + Swipe Feel
     if(el) el.textContent = text;
   }
 
+  // Vault mode: nothing loads until the passphrase is entered (VTVault owns the lock screen).
+  async function safeUnlockVault(){
+    try{
+      const V = window.VTVault;
+      if(V && V.isEnabled() && !V.isUnlocked()) await V.showLockScreen();
+    }catch(_){}
+  }
+
+  // Idle auto-lock / "Lock now": flush sealed writes, drop the key, reload to clear decrypted data from memory.
+  let locking = false;
+  async function lockVault(){
+    if(locking) return;
+    locking = true;
+    try{
+      if(window.VTStorage && typeof window.VTStorage.flushMirror === "function") await window.VTStorage.flushMirror();
+    }catch(_){}
+    try{ if(window.VTVault) window.VTVault.lock(); }catch(_){}
+    try{ location.reload(); }catch(_){}
+  }
+
+  document.addEventListener("vt:vaultLock", () => { lockVault(); });
+
   async function safeInitStore(){
     try{
       if(window.VTStore && typeof window.VTStore.init === "function"){
@@ -44,6 +66,15 @@ Stabilization Pass: Render Recovery + Swipe Feel
     }catch(_){}
   }
 
+  // First run: ask the browser to keep our data (no prompt on most browsers; never blocks boot).
+  function safeRequestPersistence(){
+    try{
+      if(window.VTStorage && typeof window.VTStorage.requestPersistence === "function"){
+        window.VTStorage.requestPersistence();
+      }
+    }catch(_){}
+  }
+
   function safeInitPanels(){
     try{
       if(window.VTPanels && typeof window.VTPanels.init === "function"){
@@ -100,12 +131,15 @@ Stabilization Pass: Render Recovery + Swipe Feel
 
     /*
       CRITICAL BOOT ORDER (LOCKED):
+      0) VTVault unlock   -> only when vault mode is on (blocks until unlocked)
       1) VTStore.init()   -> data layer ready for chart/log
       2) VTPanels.init()  -> deck DOM cached + transform set + swipe API ready
       3) VTUI.init()      -> buttons wired (load-order safe)
       4) VTPWA.init()     -> install prompt etc. (optional)
     */
+    await safeUnlockVault();
     await safeInitStore();
+    safeRequestPersistence();
     safeInitPanels();
     safeInitUI();
     safeInitPWA();
@@ -128,4 +162,6 @@ File: js/app.js
 App Version: (authority) js/version.js
 Pass: Render Recovery + Swipe Feel
 Notes: Boot order fixed. Removed duplicate UI wiring from app.js (ui.js owns buttons).
+Edited: 2026-10-19 — after VTStore.init(), request persistent storage once (VTStorage.requestPersistence; non-blocking).
+Edited: 2026-10-19 — vault mode: lock screen before VTStore.init(); vt:vaultLock (idle / Lock now) flushes, locks and reloads.
 */
@@ -0,0 +1,354 @@
+/*
+Vitals Tracker — BOF (Jyles Method Pass Header)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Tamper-Evident Hash Chain
+ImplementationId: JYLES-20261019-EVENTS-001
+App Version Authority: js/version.js
+
+File: js/chain.js
+FileEditId: 2
+Edited: 2026-10-19
+
+Role / Ownership (LOCKED)
+- SHA-256 hash chain (WebCrypto) over the record log: one ledger entry per add / edit / delete / restore.
+- Chain head + per-entry short hashes for exports; verify() for an exported JSON (Settings → Verify).
+- Ledger persistence is owned by js/storage.js (readChain/writeChain; sealed in vault mode).
+- Must NOT write records (js/store.js calls sync() after each successful save).
+- Must NOT render panels or own navigation.
+
+Ledger entry
+- { seq, at, op:"add"|"edit"|"delete"|"restore", id, rh, prev, hash }
+- rh   = SHA-256(canonical(record)) — null for "delete"
+- hash = SHA-256(prev | seq | at | op | id | rh); the first entry's prev is GENESIS.
+- canonical(record): JSON with sorted keys; empty values (null, undefined, "", []) left out, so the
+  app's two normalizers (js/storage.js, js/store.js) and a JSON round-trip hash the same.
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+------------------------------------------------------------
+*/
+
+(function () {
+  "use strict";
+
+  const ALGORITHM = "SHA-256";
+  const GENESIS = "0".repeat(64);
+  const SHORT_LEN = 12;
+
+  let _entries = null;          // last ledger read/written (null until the first sync)
+  let _latest = new Map();      // id -> latest entry
+  const _rhMemo = new Map();    // id -> { text, rh } (skip re-hashing unchanged records)
+  let _queue = Promise.resolve(true);
+
+  function subtle() {
+    try { return (window.crypto && window.crypto.subtle) || null; } catch (_) { return null; }
+  }
+
+  function isSupported() {
+    return !!subtle();
+  }
+
+  // ---- canonical form + hashing ----
+  function isEmpty(v) {
+    return v == null || v === "" || (Array.isArray(v) && !v.length);
+  }
+
+  function canonicalValue(v) {
+    if (Array.isArray(v)) return v.map(canonicalValue);
+    if (v && typeof v === "object") {
+      const out = {};
+      Object.keys(v).sort().forEach((k) => {
+        const x = v[k];
+        if (isEmpty(x) || typeof x === "function") return;
+        out[k] = canonicalValue(x);
+      });
+      return out;
+    }
+    return v;
+  }
+
+  function canonical(rec) {
+    return JSON.stringify(canonicalValue(rec));
+  }
+
+  async function sha256Hex(text) {
+    const buf = await subtle().digest(ALGORITHM, new TextEncoder().encode(String(text)));
+    const u8 = new Uint8Array(buf);
+    let s = "";
+    for (let i = 0; i < u8.length; i++) s += u8[i].toString(16).padStart(2, "0");
+    return s;
+  }
+
+  function linkText(e) {
+    return [e.prev, e.seq, e.at, e.op, e.id, e.rh || ""].join("|");
+  }
+
+  function short(hash) {
+    return typeof hash === "string" ? hash.slice(0, SHORT_LEN) : "";
+  }
+
+  function latestById(entries) {
+    const m = new Map();
+    for (const e of entries) m.set(String(e.id), e);
+    return m;
+  }
+
+  // ---- ledger ----
+  // null while the vault is locked (never treated as an empty ledger).
+  function load() {
+    const S = window.VTStorage;
+    if (!S || typeof S.readChain !== "function") return null;
+    const list = S.readChain();
+    if (!list) return null;
+    _entries = list;
+    _latest = latestById(list);
+    return list;
+  }
+
+  async function recordHash(id, text) {
+    const memo = _rhMemo.get(id);
+    if (memo && memo.text === text) return memo.rh;
+    const rh = await sha256Hex(text);
+    _rhMemo.set(id, { text, rh });
+    return rh;
+  }
+
+  async function syncNow(snap) {
+    if (!isSupported()) return false;
+    const list = load();
+    if (!list) return false;
+
+    const latest = latestById(list);
+    const live = new Set();
+    const added = [];
+    let last = list.length ? list[list.length - 1] : null;
+
+    async function push(op, id, rh) {
+      const e = {
+        seq: last ? last.seq + 1 : 1,
+        at: Date.now(),
+        op,
+        id,
+        rh: rh || null,
+        prev: last ? last.hash : GENESIS
+      };
+      e.hash = await sha256Hex(linkText(e));
+      added.push(e);
+      last = e;
+    }
+
+    for (const r of snap) {
+      live.add(r.id);
+      const cur = latest.get(r.id);
+      const rh = await recordHash(r.id, r.text);
+      if (cur && cur.op !== "delete" && cur.rh === rh) continue;
+      await push(!cur ? "add" : (cur.op === "delete" ? "restore" : "edit"), r.id, rh);
+    }
+
+    for (const [id, e] of latest) {
+      if (e.op !== "delete" && !live.has(id)) await push("delete", id, null);
+    }
+
+    if (!added.length) return true;
+
+    const next = list.concat(added);
+    if (!window.VTStorage.writeChain(next)) return false;
+    _entries = next;
+    _latest = latestById(next);
+    return true;
+  }
+
+  // Chains whatever changed: new/edited/restored records and records that are gone.
+  // The canonical text is taken now (callers may mutate their array afterwards); oldest first.
+  function sync(records) {
+    const snap = (Array.isArray(records) ? records : [])
+      .filter((r) => r && r.id != null && r.id !== "")
+      .slice()
+      .sort((a, b) => (Number(a.ts) || 0) - (Number(b.ts) || 0))
+      .map((r) => ({ id: String(r.id), text: canonical(r) }));
+
+    _queue = _queue.then(() => syncNow(snap)).catch(() => false);
+    return _queue;
+  }
+
+  // Resolves once queued syncs have landed (exports call this first).
+  function settled() {
+    return _queue;
+  }
+
+  function entries() {
+    const list = _entries || load() || [];
+    return list.slice();
+  }
+
+  // { seq, hash, at, count } | null
+  function head() {
+    const list = _entries || load() || [];
+    if (!list.length) return null;
+    const last = list[list.length - 1];
+    return { seq: last.seq, hash: last.hash, at: last.at, count: list.length };
+  }
+
+  // Short hash of the record's latest ledger entry ("" when not chained yet).
+  function shortFor(id) {
+    if (!_entries) load();
+    const e = (id != null) ? _latest.get(String(id)) : null;
+    return (e && e.op !== "delete") ? short(e.hash) : "";
+  }
+
+  // One line for report headers.
+  function headText() {
+    const h = head();
+    if (!h) return "Hash chain: not started on this device.";
+    return "Hash chain head (" + ALGORITHM + "): " + h.hash + " (entry #" + h.seq + ")";
+  }
+
+  // `chain` section for JSON exports (next to the full `records` set, so missing readings show up).
+  function exportSection() {
+    const list = entries();
+    return {
+      version: 1,
+      algorithm: ALGORITHM,
+      head: list.length ? list[list.length - 1].hash : null,
+      entries: list
+    };
+  }
+
+  // ---- verify (exported JSON) ----
+  function recordLabel(r) {
+    let when = "";
+    try { when = new Date(Number(r.ts)).toLocaleString(); } catch (_) {}
+    const bp = (r.sys != null || r.dia != null) ? (" " + (r.sys ?? "—") + "/" + (r.dia ?? "—")) : "";
+    return "Reading " + (when || String(r.id)) + bp;
+  }
+
+  // Resolves { ok, entries, records, matched, head, startedAt, notIncluded, problems:[{ kind, text }] }.
+  // kind: "no-chain" | "gap" | "link" | "entry-modified" | "head" | "record-modified" |
+  //       "record-unchained" | "record-deleted" | "record-missing"
+  async function verify(data) {
+    const problems = [];
+    const chain = data && data.chain;
+    const list = (chain && Array.isArray(chain.entries)) ? chain.entries : null;
+    const recs = (data && Array.isArray(data.records)) ? data.records : [];
+
+    if (!list || !list.length) {
+      problems.push({ kind: "no-chain", text: "This file has no hash chain." });
+      return { ok: false, entries: 0, records: recs.length, matched: 0, head: null, startedAt: null, notIncluded: 0, problems };
+    }
+    if (!isSupported()) throw new Error("chain-unsupported");
+
+    let prev = GENESIS;
+    let expect = 1;
+    for (const e of list) {
+      const seq = Number(e && e.seq);
+      if (seq > expect) {
+        problems.push({ kind: "gap", text: "Entries #" + expect + (seq - 1 > expect ? "–#" + (seq - 1) : "") + " are missing." });
+      } else if (seq < expect) {
+        problems.push({ kind: "gap", text: "Entry #" + seq + " is duplicated or out of order." });
+      }
+      if (!e || e.prev !== prev) {
+        problems.push({ kind: "link", text: "Entry #" + seq + " does not link to the entry before it." });
+      }
+      if (!e || (await sha256Hex(linkText(e))) !== e.hash) {
+        problems.push({ kind: "entry-modified", text: "Entry #" + seq + " was modified." });
+      }
+      prev = e && e.hash;
+      expect = seq + 1;
+    }
+
+    if (chain.head && chain.head !== prev) {
+      problems.push({ kind: "head", text: "The chain head does not match the last entry." });
+    }
+
+    const latest = latestById(list);
+    const seen = new Set();
+    let matched = 0;
+    for (const r of recs) {
+      const id = (r && r.id != null) ? String(r.id) : "";
+      const e = id ? latest.get(id) : null;
+      if (id) seen.add(id);
+      if (!e) {
+        problems.push({ kind: "record-unchained", text: recordLabel(r || {}) + " is not in the chain." });
+      } else if (e.op === "delete") {
+        problems.push({ kind: "record-deleted", text: recordLabel(r) + " is marked deleted in the chain (entry #" + e.seq + ")." });
+      } else if ((await sha256Hex(canonical(r))) !== e.rh) {
+        problems.push({ kind: "record-modified", text: recordLabel(r) + " differs from chain entry #" + e.seq + " (" + short(e.hash) + ")." });
+      } else {
+        matched++;
+      }
+    }
+
+    // Full exports must contain every live chained record; a partial report may leave some out.
+    let notIncluded = 0;
+    for (const [id, e] of latest) {
+      if (e.op !== "delete" && !seen.has(id)) notIncluded++;
+    }
+    const full = !!data && (data.kind === "backup" || data.kind === "evidence");
+    if (full && notIncluded) {
+      problems.push({ kind: "record-missing", text: notIncluded + " chained reading" + (notIncluded === 1 ? " is" : "s are") + " missing from this file." });
+    }
+
+    return {
+      ok: !problems.length,
+      entries: list.length,
+      records: recs.length,
+      matched,
+      head: prev,
+      startedAt: Number(list[0] && list[0].at) || null,
+      notIncluded,
+      problems
+    };
+  }
+
+  // Another tab may have appended entries: re-read the ledger on next use.
+  try {
+    window.addEventListener("storage", () => { _entries = null; });
+    document.addEventListener("vt:recordsChanged", (e) => {
+      if (e && e.detail && e.detail.source === "remote") _entries = null;
+    });
+  } catch (_) {}
+
+  window.VTChain = Object.freeze({
+    ALGORITHM: ALGORITHM,
+    GENESIS: GENESIS,
+    isSupported: isSupported,
+    canonical: canonical,
+    short: short,
+    sync: sync,
+    settled: settled,
+    entries: entries,
+    head: head,
+    headText: headText,
+    shortFor: shortFor,
+    exportSection: exportSection,
+    verify: verify
+  });
+
+})();
+
+/*
+Vitals Tracker — EOF (Jyles Method Pass Footer)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Tamper-Evident Hash Chain
+ImplementationId: JYLES-20261019-EVENTS-001
+App Version Authority: js/version.js
+
+File: js/chain.js
+FileEditId: 2
+Edited: 2026-10-19
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+
+Acceptance checks
+- window.VTChain exists before js/store.js loads (index.html order).
+- An unchanged record is never re-chained; an edit appends one "edit" entry; a delete appends "delete".
+- verify() of an untouched export is ok; changing a reading, an entry, or dropping an entry is reported.
+- While the vault is locked sync() writes nothing (readChain() is null).
+- Entries appended by another tab show up in head()/shortFor() after its change event.
+
+Test and regroup for next pass.
+------------------------------------------------------------
+*/
@@ -8,7 +8,7 @@ Context: Prime Pass. Only update this header and the EOF metadata footer block.
 Chart Engine Note: chart.js is a known-good working chart engine baseline. Preserve behavior.
 Master Schema vs Implementation Schema: This edit is a Prime Pass metadata alignment step (no code change).
 
-FileEditId: 0
+FileEditId: 4
 RULE (PERSIST UNTIL USER CHANGES IT): On EVERY subsequent full-file edit of THIS file, increment FileEditId by +1.
 If a conflict arises with instructions, stop and ask the user.
 
@@ -21,12 +21,13 @@ Next: Step 12
 /* Vitals Tracker — BOF Version/Detail Notes (REQUIRED)
 File: js/chart.js
 App Version Authority: js/version.js
-Pass: Chart Line Persistence Fix (CLP-1)
+Pass: Multi-Reading Sessions (JYLES-20261019-SESSION-001)
 
 CHANGE (THIS EDIT ONLY)
-- Fix line segments “dropping” when points fall outside the visible window.
-- Draw series using the full dataset, but CLIP to the chart rect so only the visible portion renders.
-- Do NOT change styling, axes, bands, labels, gestures, data sourcing, or layout.
+- Readings of one session (sessionId; js/sessions.js) are plotted as a single point: their mean, at the first reading's time.
+- Do NOT change styling, axes, bands, labels, gestures, or layout.
+
+Previous: Measurement Context (JYLES-20261019-CONTEXT-001) — #chartFilter context filter goes into VTStore.query().
 */
 
 (function () { "use strict";
@@ -74,6 +75,9 @@ const STATE = {
   // STATIC Y axis for the session based on FULL dataset max
   yMaxStatic: null,
 
+  // dataset cache (cleared on vt:recordsChanged / vt:contextFilterChanged)
+  _data: null,
+
   // render guards
   _rendering: false,
   _queued: false
@@ -165,8 +169,22 @@ function normalizeData(raw) {
 
 function safeArray(v) { return Array.isArray(v) ? v : []; }
 
+// Position / arm / cuff / device filter shared with the Log (js/context.js).
+function contextFilter() {
+  try { return window.VTContext ? window.VTContext.getFilter() : {}; } catch (_) { return {}; }
+}
+
+function isFiltering() {
+  try { return !!window.VTContext && window.VTContext.isFiltering(); } catch (_) { return false; }
+}
+
 async function getFromVTStore() {
   try {
+    // Indexed read (ts order) instead of a full getAll() clone.
+    if (window.VTStore && typeof window.VTStore.query === "function") {
+      const res = await window.VTStore.query(Object.assign({ order: "asc" }, contextFilter()));
+      return safeArray(res && res.records);
+    }
     if (window.VTStore && typeof window.VTStore.getAll === "function") {
       const res = window.VTStore.getAll();
       const arr = (res && typeof res.then === "function") ? await res : res;
@@ -257,6 +275,7 @@ function getFromLocalStorageScan() {
 async function getRawDataMultiSource() {
   const a = await getFromVTStore();
   if (a && a.length) return a;
+  if (isFiltering()) return [];
 
   const b = await getFromVTStorage();
   if (b && b.length) return b;
@@ -267,6 +286,19 @@ async function getRawDataMultiSource() {
   return [];
 }
 
+// Session readings (js/sessions.js) plot as one point: their mean at the first reading's time.
+function collapseSessions(raw) {
+  try { return window.VTSessions ? window.VTSessions.collapse(raw) : raw; } catch (_) { return raw; }
+}
+
+// Pan/zoom redraw every frame: keep the normalized dataset until records change.
+async function getData() {
+  if (STATE._data) return STATE._data;
+  const data = normalizeData(collapseSessions(await getRawDataMultiSource()));
+  if (data.length) STATE._data = data;
+  return data;
+}
+
 // ===== Canvas sizing/layout =====
 function ensureCanvasFillsWrap(canvas) {
   try {
@@ -996,8 +1028,7 @@ async function render() {
 
     ensureLegendUI(legendEl);
 
-    const raw = await getRawDataMultiSource();
-    const data = normalizeData(raw);
+    const data = await getData();
 
     const sized = sizeToCSS(canvas, ctx);
     const pxW = sized.pxW;
@@ -1012,7 +1043,7 @@ async function render() {
       ctx.font = "14px system-ui";
       ctx.textAlign = "left";
       ctx.textBaseline = "top";
-      ctx.fillText("No data to display.", L.plotX, L.plotY);
+      ctx.fillText(isFiltering() ? "No readings match the filter." : "No data to display.", L.plotX, L.plotY);
       return;
     }
 
@@ -1087,6 +1118,18 @@ function bindRenderTriggers() {
     try { if (e?.detail?.active === "charts") requestRender(); } catch (_) {}
   });
 
+  // Saves (this tab or another) redraw a visible chart; a hidden one redraws on show.
+  document.addEventListener("vt:recordsChanged", function () {
+    STATE._data = null;
+    try { if ($("panelCharts")?.classList.contains("active")) requestRender(); } catch (_) {}
+  });
+
+  document.addEventListener("vt:contextFilterChanged", function () {
+    STATE._data = null;
+    try { if ($("panelCharts")?.classList.contains("active")) requestRender(); } catch (_) {}
+  });
+  try { if (window.VTContext) window.VTContext.bindFilter($("chartFilter")); } catch (_) {}
+
   window.addEventListener("resize", function () { requestRender(); }, { passive: true });
 }
 
@@ -0,0 +1,219 @@
+/*
+Vitals Tracker — BOF (Jyles Method Pass Header)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Measurement Context (position, arm, cuff, device)
+ImplementationId: JYLES-20261019-CONTEXT-001
+App Version Authority: js/version.js
+
+File: js/context.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Role / Ownership (LOCKED)
+- Canonical context vocabulary (fixed keys + labels) for Add Step 1 chips, Log rows, the summary and exports.
+- The Log / Chart context filter (this session only; both panels share it) and the selects that set it.
+- Must NOT read/write storage (sticky last-used values are persisted by js/settings.js).
+- Must NOT render panels or own navigation.
+
+Record shape (persisted by js/add.js; imported kimi/3.0 readings carry position/arm too)
+- position: "lying" | "sitting" | "standing"
+- arm: "left" | "right"
+- cuff: "small" | "regular" | "large" | "xl"
+- device: "upper_arm" | "wrist" | "manual" | "clinic"
+All optional; a missing field means "not recorded".
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+------------------------------------------------------------
+*/
+
+(function () {
+  "use strict";
+
+  const FIELDS = Object.freeze(["position", "arm", "cuff", "device"]);
+
+  const FIELD_LABELS = Object.freeze({ position: "Position", arm: "Arm", cuff: "Cuff", device: "Device" });
+
+  // Keys are persisted on records — never rename a key; add new ones instead.
+  // label = chip text; text = how a record reads ("Left arm", "Large cuff").
+  const OPTIONS = Object.freeze({
+    position: Object.freeze([
+      Object.freeze({ key: "lying",    label: "Lying",    text: "Lying" }),
+      Object.freeze({ key: "sitting",  label: "Sitting",  text: "Sitting" }),
+      Object.freeze({ key: "standing", label: "Standing", text: "Standing" })
+    ]),
+    arm: Object.freeze([
+      Object.freeze({ key: "left",  label: "Left",  text: "Left arm" }),
+      Object.freeze({ key: "right", label: "Right", text: "Right arm" })
+    ]),
+    cuff: Object.freeze([
+      Object.freeze({ key: "small",   label: "Small",       text: "Small cuff" }),
+      Object.freeze({ key: "regular", label: "Regular",     text: "Regular cuff" }),
+      Object.freeze({ key: "large",   label: "Large",       text: "Large cuff" }),
+      Object.freeze({ key: "xl",      label: "Extra large", text: "Extra-large cuff" })
+    ]),
+    device: Object.freeze([
+      Object.freeze({ key: "upper_arm", label: "Upper-arm", text: "Upper-arm monitor" }),
+      Object.freeze({ key: "wrist",     label: "Wrist",     text: "Wrist monitor" }),
+      Object.freeze({ key: "manual",    label: "Manual",    text: "Manual cuff" }),
+      Object.freeze({ key: "clinic",    label: "Clinic",    text: "Clinic / pharmacy" })
+    ])
+  });
+
+  const _byKey = {};
+  FIELDS.forEach((f) => { _byKey[f] = new Map(OPTIONS[f].map((o) => [o.key, o])); });
+
+  let _filter = {};
+
+  function getOptions(field) {
+    return (OPTIONS[field] || []).map((o) => ({ key: o.key, label: o.label, text: o.text }));
+  }
+
+  function isKey(field, key) {
+    return !!_byKey[field] && _byKey[field].has(String(key || "").trim());
+  }
+
+  function textFor(field, key) {
+    const k = String(key || "").trim();
+    if (!k) return "";
+    const o = _byKey[field] && _byKey[field].get(k);
+    // Unknown keys (older builds / hand-edited data) are shown verbatim rather than dropped.
+    return o ? o.text : k;
+  }
+
+  // { position, arm, cuff, device } with only known keys (missing fields left out).
+  function normalize(obj) {
+    const src = (obj && typeof obj === "object") ? obj : {};
+    const out = {};
+    FIELDS.forEach((f) => {
+      const k = String(src[f] || "").trim();
+      if (isKey(f, k)) out[f] = k;
+    });
+    return out;
+  }
+
+  // The record's context fields as stored (unknown keys kept, so exports never lose them).
+  function pick(rec) {
+    const out = {};
+    if (!rec || typeof rec !== "object") return out;
+    FIELDS.forEach((f) => {
+      if (typeof rec[f] === "string" && rec[f].trim()) out[f] = rec[f].trim();
+    });
+    return out;
+  }
+
+  // "Sitting · Left arm · Large cuff · Wrist monitor" | ""
+  function format(rec) {
+    const c = pick(rec);
+    return FIELDS.filter((f) => c[f]).map((f) => textFor(f, c[f])).join(" · ");
+  }
+
+  // ---- Log / Chart filter (same filter on both panels; not persisted) ----
+  function getFilter() {
+    return Object.assign({}, _filter);
+  }
+
+  function isFiltering() {
+    return Object.keys(_filter).length > 0;
+  }
+
+  function matches(rec, filter) {
+    const f = filter || _filter;
+    const c = pick(rec);
+    return FIELDS.every((k) => !f[k] || c[k] === f[k]);
+  }
+
+  function setFilter(next) {
+    const f = normalize(next);
+    if (JSON.stringify(f) === JSON.stringify(_filter)) return;
+    _filter = f;
+    try {
+      document.dispatchEvent(new CustomEvent("vt:contextFilterChanged", { detail: { filter: getFilter() } }));
+    } catch (_) {}
+  }
+
+  // One <select> per field inside host ("Any position", "Sitting", …), kept in step with the filter.
+  function bindFilter(host) {
+    if (!host || host.dataset.vtCtxFilter === "1") return;
+    host.dataset.vtCtxFilter = "1";
+
+    const selects = {};
+    FIELDS.forEach((f) => {
+      const sel = document.createElement("select");
+      sel.className = "ctxFilterSel";
+      sel.dataset.field = f;
+      sel.setAttribute("aria-label", "Filter by " + FIELD_LABELS[f].toLowerCase());
+
+      const any = document.createElement("option");
+      any.value = "";
+      any.textContent = "Any " + FIELD_LABELS[f].toLowerCase();
+      sel.appendChild(any);
+      OPTIONS[f].forEach((o) => {
+        const opt = document.createElement("option");
+        opt.value = o.key;
+        opt.textContent = o.text;
+        sel.appendChild(opt);
+      });
+
+      sel.addEventListener("change", () => {
+        const next = getFilter();
+        if (sel.value) next[f] = sel.value;
+        else delete next[f];
+        setFilter(next);
+      });
+
+      selects[f] = sel;
+      host.appendChild(sel);
+    });
+
+    const sync = () => {
+      FIELDS.forEach((f) => { selects[f].value = _filter[f] || ""; });
+      host.classList.toggle("active", isFiltering());
+    };
+    document.addEventListener("vt:contextFilterChanged", sync);
+    sync();
+  }
+
+  window.VTContext = Object.freeze({
+    FIELDS: FIELDS,
+    FIELD_LABELS: FIELD_LABELS,
+    getOptions: getOptions,
+    isKey: isKey,
+    textFor: textFor,
+    normalize: normalize,
+    pick: pick,
+    format: format,
+    getFilter: getFilter,
+    setFilter: setFilter,
+    isFiltering: isFiltering,
+    matches: matches,
+    bindFilter: bindFilter
+  });
+
+})();
+
+/*
+Vitals Tracker — EOF (Jyles Method Pass Footer)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Measurement Context (position, arm, cuff, device)
+ImplementationId: JYLES-20261019-CONTEXT-001
+App Version Authority: js/version.js
+
+File: js/context.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+
+Acceptance checks
+- window.VTContext exists before js/log.js and js/chart.js load (index.html order).
+- format({ position:"sitting", arm:"left" }) === "Sitting · Left arm"; unknown keys are shown verbatim.
+- normalize() drops unknown keys; setFilter() fires vt:contextFilterChanged only when the filter changes.
+- Both panels' selects show the same filter after either one changes it.
+
+Test and regroup for next pass.
+------------------------------------------------------------
+*/
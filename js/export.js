@@ -16,7 +16,11 @@ Latest Update (v2.001):
   - exportAsPDF() opens a clean print window and triggers print() (user chooses Save as PDF).
 */
 
-import { fmtDateTime } from "./utils.js";
+import {
+  fmtDateTime,
+  moodText, contextText, sessionText, orthoStepText, orthoSummaryText,
+  medsText, historyLines, chainHeadText, chainHash
+} from "./utils.js";
 
 function isShareAvailable(){
   return !!(navigator.share && typeof navigator.share === "function");
@@ -56,6 +60,7 @@ export function buildReportHeader({appVersion, title, rangeLabel, extraNotes}){
   const important =
     "What matters to a medical or claim reviewer:\n" +
     "- These readings are patient-entered, time-stamped, and stored locally on-device.\n" +
+    "- Every save, edit and deletion is chained with SHA-256; each entry's hash links to the chain head above.\n" +
     "- Look for sustained elevation, spikes with symptoms, and clustering during crisis episodes.\n" +
     "- Note associated symptoms/notes and whether readings improve after meds or rest.\n";
 
@@ -63,7 +68,10 @@ export function buildReportHeader({appVersion, title, rangeLabel, extraNotes}){
     "Method of capture:\n" +
     "- Readings are entered manually into Vitals Tracker on this device.\n" +
     "- Data is stored locally on the phone (no cloud sync, no account).\n" +
-    "- Each record may include BP (systolic/diastolic), Heart Rate, Symptoms, and Notes.\n";
+    "- Each record may include BP (systolic/diastolic), Heart Rate, measurement context (position, arm, cuff, device), Symptoms, Mood, Meds, and Notes.\n" +
+    "- Each entry states when it was originally entered and when it was last modified (edits are kept as history).\n" +
+    "- Readings taken as a session (2–3 readings about a minute apart) are listed individually; charts and summary statistics use the session mean.\n" +
+    "- An orthostatic test (lying, sitting, standing 1 and 3 min) is listed reading by reading and summarized once with its SYS/DIA drop and HR rise. The orthostatic hypotension (drop of SYS ≥ 20 or DIA ≥ 10) and POTS (HR rise ≥ 30) flags are screening thresholds, not a diagnosis.\n";
 
   const lines = [
     "Vitals Tracker — Export Report",
@@ -71,6 +79,7 @@ export function buildReportHeader({appVersion, title, rangeLabel, extraNotes}){
     `Report: ${title}`,
     `Generated: ${now}`,
     rangeLabel ? `Range: ${rangeLabel}` : "",
+    chainHeadText(),
     "",
     capture,
     important,
@@ -88,9 +97,17 @@ export function buildEntriesText(recs){
     const bp = `BP ${r.sys ?? "—"}/${r.dia ?? "—"}`;
     const hr = `HR ${r.hr ?? "—"}`;
     const sym = (r.symptoms && r.symptoms.length) ? r.symptoms.join(", ") : "None";
+    const mood = moodText(r) || "None";
+    const ctx = contextText(r) || "Not recorded";
+    const sess = sessionText(r);
+    const ortho = orthoStepText(r);
+    const meds = medsText(r) || "None";
     const notes = (r.notes && r.notes.trim()) ? r.notes.trim() : "None";
+    const hist = historyLines(r).join("\n");
+    const hash = chainHash(r);
 
-    return `${dt}\n${bp} • ${hr}\nSymptoms: ${sym}\nNotes: ${notes}\n`;
+    return `${dt}\n${bp} • ${hr}\n${sess ? `Session: ${sess}\n` : ""}${ortho ? `Orthostatic test: ${ortho}\n` : ""}Context: ${ctx}\nSymptoms: ${sym}\nMood: ${mood}\nMeds: ${meds}\nNotes: ${notes}\n${hist}\n` +
+      (hash ? `Hash: ${hash}\n` : "");
   }).join("\n");
 }
 
@@ -134,7 +151,7 @@ export function exportChartVisibleRange({appVersion, recordsAsc, viewMin, viewMa
       "- This export reflects ONLY the currently visible chart window (after pan/zoom).\n"
   });
 
-  const body = buildEntriesText(recs);
+  const body = orthoSummaryText(recs) + buildEntriesText(recs);
   return header + body;
 }
 
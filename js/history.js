@@ -0,0 +1,210 @@
+/*
+Vitals Tracker — BOF (Jyles Method Pass Header)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Measurement Context (position, arm, cuff, device)
+ImplementationId: JYLES-20261019-CONTEXT-001
+App Version Authority: js/version.js
+
+File: js/history.js
+FileEditId: 3
+Edited: 2026-10-19
+
+Role / Ownership (LOCKED)
+- Formatting of a record's revision history for the Log diff view and for exports
+  (measurement time vs original-entry time vs last-modified time).
+- Must NOT read/write storage (js/store.js appends revisions on update()).
+- Must NOT render panels or own navigation.
+
+Record shape (maintained by js/store.js)
+- ts: number(ms)                     when the reading was taken (Add Step 1 "Taken at"; editable)
+- enteredAt: number(ms)              when it was typed in (js/add.js; immutable; older records fall back to createdAt)
+- createdAt: number(ms)              original entry time (missing on records saved before the history pass)
+- updatedAt: number(ms)              time of the last revision
+- position / arm / cuff / device     measurement context keys (js/context.js; labels for the diff view)
+- revisions: [{ at:number(ms), changes:{ field:{ from, to } } }]   append-only, oldest first
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+------------------------------------------------------------
+*/
+
+(function () {
+  "use strict";
+
+  const LABELS = Object.freeze({
+    ts: "Time",
+    sys: "Systolic",
+    dia: "Diastolic",
+    hr: "Heart rate",
+    notes: "Notes",
+    symptoms: "Symptoms",
+    mood: "Mood",
+    moodIntensity: "Mood intensity",
+    meds: "Medications",
+    distressFinal: "Distress",
+    distressComputed: "Distress (computed)",
+    distressDelta: "Distress adjustment",
+    position: "Position",
+    arm: "Arm",
+    cuff: "Cuff",
+    device: "Device"
+  });
+
+  // Entered this long after it was taken = backdated (a reading entered right away takes a minute or two).
+  const BACKDATED_MS = 10 * 60 * 1000;
+
+  function fmtTime(ms) {
+    try {
+      const d = new Date(ms);
+      if (!Number.isFinite(d.getTime())) return "";
+      return d.toLocaleString();
+    } catch (_) {
+      return "";
+    }
+  }
+
+  function label(field) {
+    return LABELS[field] || String(field);
+  }
+
+  function formatValue(field, v) {
+    if (v == null || v === "" || (Array.isArray(v) && !v.length)) return "—";
+    if (field === "ts") return fmtTime(v) || String(v);
+    if (window.VTContext && window.VTContext.FIELDS.indexOf(field) >= 0) return window.VTContext.textFor(field, v);
+    if (field === "meds") {
+      try {
+        if (window.VTMeds && typeof window.VTMeds.format === "function") {
+          const s = window.VTMeds.format({ meds: v });
+          if (s) return s;
+        }
+      } catch (_) {}
+    }
+    if (Array.isArray(v)) {
+      return v.map((x) => (x && typeof x === "object") ? (x.name || JSON.stringify(x)) : String(x)).join(", ");
+    }
+    if (typeof v === "object") {
+      try { return JSON.stringify(v); } catch (_) { return String(v); }
+    }
+    return String(v);
+  }
+
+  // "3 h 5 min" | "2 d 4 h" | "25 min"
+  function fmtGap(ms) {
+    const min = Math.max(0, Math.round(Number(ms) / 60000));
+    const d = Math.floor(min / 1440);
+    const h = Math.floor((min % 1440) / 60);
+    const m = min % 60;
+    if (d) return d + " d" + (h ? " " + h + " h" : "");
+    if (h) return h + " h" + (m ? " " + m + " min" : "");
+    return m + " min";
+  }
+
+  function enteredAt(rec) {
+    if (!rec) return null;
+    const e = Number(rec.enteredAt);
+    if (Number.isFinite(e) && e > 0) return e;
+    const c = Number(rec.createdAt);
+    return (Number.isFinite(c) && c > 0) ? c : null;
+  }
+
+  function isBackdated(rec) {
+    const e = enteredAt(rec);
+    const ts = Number(rec && rec.ts);
+    return e != null && Number.isFinite(ts) && (e - ts) > BACKDATED_MS;
+  }
+
+  // "Entered 10/19/2026, 8:05:00 AM (5 h 5 min later)" for backdated readings | ""
+  function entryNote(rec) {
+    if (!isBackdated(rec)) return "";
+    const e = enteredAt(rec);
+    return "Entered " + fmtTime(e) + " (" + fmtGap(e - Number(rec.ts)) + " later)";
+  }
+
+  function revisions(rec) {
+    return (rec && Array.isArray(rec.revisions)) ? rec.revisions.filter((r) => r && r.changes) : [];
+  }
+
+  function isEdited(rec) {
+    return revisions(rec).length > 0;
+  }
+
+  // ["Systolic: 120 → 128", ...] for one revision.
+  function changeLines(rev) {
+    const out = [];
+    const ch = (rev && rev.changes) || {};
+    Object.keys(ch).forEach((f) => {
+      const c = ch[f] || {};
+      out.push(label(f) + ": " + formatValue(f, c.from) + " → " + formatValue(f, c.to));
+    });
+    return out;
+  }
+
+  // "Edited 2× · last 10/19/2026, 9:14:00 AM" | ""
+  function summary(rec) {
+    const revs = revisions(rec);
+    if (!revs.length) return "";
+    const last = Number(rec.updatedAt) || Number(revs[revs.length - 1].at);
+    const when = fmtTime(last);
+    return "Edited " + revs.length + "×" + (when ? " · last " + when : "");
+  }
+
+  // Lines for text/PDF exports: measurement time vs original entry vs last modified.
+  function reportLines(rec) {
+    if (!rec || typeof rec !== "object") return [];
+    const revs = revisions(rec);
+    const entered = enteredAt(rec);
+    const out = ["Measured: " + (fmtTime(rec.ts) || "not recorded")];
+    out.push("Entered: " + (entered != null
+      ? fmtTime(entered) + (isBackdated(rec) ? " (backdated " + fmtGap(entered - Number(rec.ts)) + ")" : "")
+      : "not recorded"));
+    if (revs.length) {
+      const last = Number(rec.updatedAt) || Number(revs[revs.length - 1].at);
+      out.push("Last modified: " + fmtTime(last) + " (edited " + revs.length + "×)");
+    } else {
+      out.push("Last modified: never edited");
+    }
+    return out;
+  }
+
+  window.VTHistory = Object.freeze({
+    LABELS: LABELS,
+    label: label,
+    formatValue: formatValue,
+    enteredAt: enteredAt,
+    isBackdated: isBackdated,
+    entryNote: entryNote,
+    revisions: revisions,
+    isEdited: isEdited,
+    changeLines: changeLines,
+    summary: summary,
+    reportLines: reportLines
+  });
+
+})();
+
+/*
+Vitals Tracker — EOF (Jyles Method Pass Footer)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Measurement Context (position, arm, cuff, device)
+ImplementationId: JYLES-20261019-CONTEXT-001
+App Version Authority: js/version.js
+
+File: js/history.js
+FileEditId: 3
+Edited: 2026-10-19
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+
+Acceptance checks
+- window.VTHistory exists before js/log.js loads (index.html order).
+- changeLines() lists every changed field of a revision as "Label: from → to".
+- reportLines() always states the measurement time, the entry time ("not recorded" for older records) and the last-modified time.
+- A reading entered more than 10 minutes after its "Taken at" time is marked backdated (reportLines(), entryNote()).
+- Changing the position chip in an edit shows "Position: Sitting → Standing".
+
+Test and regroup for next pass.
+------------------------------------------------------------
+*/
@@ -5,8 +5,8 @@ App Version Authority: js/version.js
 Prime Pass: File 12 of 23
 Prev: js/chart.js
 Next: js/panels.js
-FileEditId: 0
-Edited: 2026-01-21
+FileEditId: 13
+Edited: 2026-10-19
 
 NEXT FILE TO FETCH/PASTE (THIS RUN ONLY): js/panels.js
 
@@ -17,12 +17,26 @@ Persist these Prime Pass rules in comments until the user changes them.
 On every subsequent full-file edit of this file, increment FileEditId by +1.
 
 Role / Ownership
-- Log panel rendering + row layout + Edit link behavior wiring.
+- Log panel rendering + row layout + Edit/Delete link behavior wiring.
 - Must remain purely behavioral/UI for Log panel only.
 
 Implemented (facts only)
 - Log list rendering with severity coloring.
 - Edit link dispatches vt:editRecord and attempts Add panel open/prefill.
+- Delete link hands off to VTUI.deleteRecord() (confirm + undo toast) and re-renders.
+- Edit/Delete payloads carry the record's immutable id (ts kept for display/legacy listeners).
+- Rows show the measurement context when a record carries it (position/arm/cuff/device; VTContext.format()).
+- #logFilter selects (VTContext.bindFilter) narrow the list by context; the filter goes into VTStore.query() and is
+  shared with the Chart; live inserts that do not match it are skipped.
+- Edited rows show "Edited N× · last <time>"; tapping it expands the per-revision diff (js/history.js).
+- Readings of one multi-reading session (js/sessions.js) show as one row with their mean; "Mean of N readings" expands
+  the readings (each with Edit). Row Edit opens the first reading; Delete moves the whole session (VTUI.deleteSession()).
+  A change to any session reading re-renders from the first page.
+- An orthostatic test (js/orthostatic.js) shows as one "Orthostatic test" row with its SYS/DIA drop, HR rise and the
+  threshold it meets (OH / POTS flagged in red); its step readings expand like a session's. Delete moves the whole test.
+- Backdated rows (entered well after "Taken at") add "Entered <time> (N later)" to the time line (VTHistory.entryNote()).
+- Rows are keyed by record id and patched in place on vt:recordsChanged (local saves and other tabs); no visibility polling.
+- Rows come from VTStore.query() one page (PAGE_SIZE) at a time; "Show older readings" (#btnLogMore) loads the next page.
 - Notes wrapping enabled with safe long-word wrapping.
 
 Drift locks (do not change without intentional decision)
@@ -40,13 +54,21 @@ Drift locks (do not change without intentional decision)
   const loadingEl = document.getElementById("logLoading");
 
   const btnAdd = document.getElementById("btnAddFromLog");
+  const moreBtn = document.getElementById("btnLogMore");
+  const filterEl = document.getElementById("logFilter");
 
   if (!listEl) return;
 
+  // Rows per VTStore.query() page (newest first).
+  const PAGE_SIZE = 200;
+
   let renderInFlight = false;
+  let renderQueued = false;
   let lastRenderSig = "";
-  let visPollTimer = 0;
-  let lastVisActive = false;
+  let nextCursor = null;
+
+  // groupKey() -> normalized members shown so far (a page boundary may split a session or test).
+  const shownSessions = new Map();
 
   function safeText(v) {
     try { return (v == null) ? "" : String(v); } catch (_) { return ""; }
@@ -63,12 +85,13 @@ Drift locks (do not change without intentional decision)
   }
 
   function num(v) {
+    if (v == null || v === "") return null;
     const n = Number(v);
     return Number.isFinite(n) ? n : null;
   }
 
   function normalize(r) {
-    if (!r || typeof r !== "object") return { ts: null, sys: null, dia: null, hr: null, notes: "", raw: r };
+    if (!r || typeof r !== "object") return { id: null, ts: null, sys: null, dia: null, hr: null, notes: "", mood: "", meds: "", raw: r };
 
     const ts =
       parseTs(r.ts) ??
@@ -105,7 +128,108 @@ Drift locks (do not change without intentional decision)
 
     const notes = safeText(r.notes ?? r.note ?? r.comment ?? r.memo ?? "");
 
-    return { ts, sys, dia, hr, notes, raw: r };
+    const mood = moodText(r);
+    const meds = medsText(Object.assign({}, r, { ts }));
+    const context = contextText(r);
+    const edited = editedText(r);
+    const entered = enteredText(r);
+
+    const id = (r.id != null && r.id !== "") ? String(r.id) : null;
+
+    return { id, ts, sys, dia, hr, notes, mood, meds, context, edited, entered, raw: r };
+  }
+
+  // "Edited 2× · last <time>" when the record has revision history (js/history.js formats).
+  function editedText(r) {
+    try {
+      if (window.VTHistory && typeof window.VTHistory.summary === "function") return window.VTHistory.summary(r);
+    } catch (_) {}
+    return (r && Array.isArray(r.revisions) && r.revisions.length) ? ("Edited " + r.revisions.length + "×") : "";
+  }
+
+  // "Entered <time> (5 h later)" for backdated readings (js/history.js decides).
+  function enteredText(r) {
+    try {
+      if (window.VTHistory && typeof window.VTHistory.entryNote === "function") return window.VTHistory.entryNote(r);
+    } catch (_) {}
+    return "";
+  }
+
+  // One block per revision, oldest first: time, then "Field: from → to" lines.
+  function makeDiff(raw) {
+    const box = document.createElement("div");
+    box.className = "logDiff";
+    box.hidden = true;
+
+    const H = window.VTHistory;
+    const revs = (H && typeof H.revisions === "function") ? H.revisions(raw) : [];
+    for (const rev of revs) {
+      const when = document.createElement("div");
+      when.className = "logDiffWhen";
+      when.textContent = fmtTs(rev.at);
+      box.appendChild(when);
+
+      for (const line of H.changeLines(rev)) {
+        const el = document.createElement("div");
+        el.className = "logDiffLine";
+        el.textContent = line;
+        box.appendChild(el);
+      }
+    }
+    return box;
+  }
+
+  // "Reading 1 · 8:02 AM · BP 132/84 · HR 70   Edit" per session member ("Standing 1 min · …" for a test).
+  function makeMembers(members, ortho) {
+    const box = document.createElement("div");
+    box.className = "logMembers";
+    box.hidden = true;
+    members.forEach((m, i) => {
+      const line = document.createElement("div");
+      line.className = "logMember";
+
+      const text = document.createElement("span");
+      let clock = "";
+      try { clock = new Date(m.ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }); } catch (_) {}
+      const parts = [(ortho && window.VTOrtho)
+        ? window.VTOrtho.stepLabel(m.raw && m.raw.orthoStep)
+        : "Reading " + (num(m.raw && m.raw.sessionIndex) || (i + 1))];
+      if (clock) parts.push(clock);
+      parts.push("BP " + (m.sys == null ? "--" : m.sys) + "/" + (m.dia == null ? "--" : m.dia));
+      if (m.hr != null) parts.push("HR " + m.hr);
+      text.textContent = parts.join(" · ");
+
+      line.appendChild(text);
+      line.appendChild(makeEditLink(m));
+      box.appendChild(line);
+    });
+    return box;
+  }
+
+  // Context keys -> "Sitting · Left arm · Large cuff · Wrist monitor" (js/context.js vocabulary)
+  function contextText(r) {
+    try {
+      if (window.VTContext && typeof window.VTContext.format === "function") return window.VTContext.format(r);
+    } catch (_) {}
+    const cap = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+    const parts = [];
+    if (r && typeof r.position === "string" && r.position) parts.push(cap(r.position));
+    if (r && typeof r.arm === "string" && r.arm) parts.push(cap(r.arm) + " arm");
+    return parts.join(" · ");
+  }
+
+  function moodText(r) {
+    try {
+      if (window.VTMood && typeof window.VTMood.format === "function") return window.VTMood.format(r);
+    } catch (_) {}
+    return r && r.mood ? safeText(r.mood) : "";
+  }
+
+  function medsText(r) {
+    try {
+      if (window.VTMeds && typeof window.VTMeds.format === "function") return window.VTMeds.format(r);
+    } catch (_) {}
+    return "";
   }
 
   function fmtTs(ts) {
@@ -263,9 +387,10 @@ Drift locks (do not change without intentional decision)
     a.addEventListener("click", function (e) {
       try { e.preventDefault(); } catch (_) {}
 
-      // Build a canonical payload that preserves the original timestamp.
+      // Build a canonical payload keyed by the record's immutable id (ts kept for older listeners).
       // IMPORTANT: We never generate a new time here.
       const payload = {
+        id: recordNorm.id,
         ts: recordNorm.ts,
         sys: recordNorm.sys,
         dia: recordNorm.dia,
@@ -291,9 +416,37 @@ Drift locks (do not change without intentional decision)
     return a;
   }
 
+  function makeDeleteLink(recordNorm) {
+    const a = document.createElement("a");
+    a.href = "#";
+    a.className = "logDeleteLink";
+    a.textContent = "Delete";
+
+    a.addEventListener("click", function (e) {
+      try { e.preventDefault(); } catch (_) {}
+
+      if (!window.VTUI || typeof window.VTUI.deleteRecord !== "function") {
+        try { alert("Delete is not available in this build."); } catch (_) {}
+        return;
+      }
+
+      // Confirmation + undo window are owned by VTUI; re-render after delete and after undo.
+      const grp = recordNorm.session || recordNorm.ortho;
+      if (grp && typeof window.VTUI.deleteSession === "function") {
+        window.VTUI.deleteSession(grp.members, { onChange: render, what: recordNorm.ortho ? "orthostatic test" : "session" });
+        return;
+      }
+      window.VTUI.deleteRecord(recordNorm, { onChange: render });
+    });
+
+    return a;
+  }
+
   function renderRow(r) {
     const row = document.createElement("div");
     row.className = "logRow";
+    row.dataset.key = rowKey(r);
+    row.dataset.ts = String(r.ts);
 
     // Header row: readings (left) + edit (right)
     const headRow = document.createElement("div");
@@ -302,7 +455,11 @@ Drift locks (do not change without intentional decision)
     const leftReadings = document.createElement("div");
     leftReadings.className = "logTitle";
 
-    const editLink = makeEditLink(r);
+    // A session row shows the mean, a test row its result; Edit opens the first reading
+    // (symptoms, mood, meds, notes live there).
+    const grp = r.session || r.ortho;
+    const editLink = makeEditLink(grp ? grp.anchor : r);
+    const deleteLink = makeDeleteLink(r);
 
     const sysText = (r.sys == null) ? "--" : String(r.sys);
     const diaText = (r.dia == null) ? "--" : String(r.dia);
@@ -328,17 +485,31 @@ Drift locks (do not change without intentional decision)
     hrSpan.textContent = `HR ${hrText}`;
     if (hrColor && hrL !== "normal") hrSpan.style.color = hrColor;
 
-    leftReadings.appendChild(bpSpan);
-    leftReadings.appendChild(dot);
-    leftReadings.appendChild(hrSpan);
+    if (r.ortho) {
+      const res = r.ortho.result;
+      const title = document.createElement("span");
+      title.textContent = "Orthostatic test";
+      leftReadings.appendChild(title);
+      if (res && (res.oh || res.pots)) {
+        const flag = document.createElement("span");
+        flag.textContent = res.oh ? "  •  OH threshold" : "  •  POTS threshold";
+        flag.style.color = colorForLevel("stage2") || "";
+        leftReadings.appendChild(flag);
+      }
+    } else {
+      leftReadings.appendChild(bpSpan);
+      leftReadings.appendChild(dot);
+      leftReadings.appendChild(hrSpan);
+    }
 
     headRow.appendChild(leftReadings);
     headRow.appendChild(editLink);
+    headRow.appendChild(deleteLink);
 
     // Timestamp
     const tsEl = document.createElement("div");
     tsEl.className = "logSub";
-    tsEl.textContent = fmtTs(r.ts);
+    tsEl.textContent = fmtTs(r.ts) + (r.entered ? "  ·  " + r.entered : "");
 
     // Notes (wrap)
     const notesEl = document.createElement("div");
@@ -347,23 +518,117 @@ Drift locks (do not change without intentional decision)
 
     row.appendChild(headRow);
     row.appendChild(tsEl);
+
+    // Orthostatic result: SYS / DIA / HR change and which threshold (if any) is met
+    if (r.ortho) {
+      const resEl = document.createElement("div");
+      resEl.className = "logSub logOrtho";
+      resEl.textContent = r.ortho.result ? r.ortho.result.change + "  ·  " + r.ortho.result.verdict : "Incomplete test (no result).";
+      row.appendChild(resEl);
+    }
+
+    // Session (mean of N readings) / test readings: tap to list them, each with its own Edit
+    if (grp) {
+      const sessEl = document.createElement("button");
+      sessEl.type = "button";
+      sessEl.className = "logSub logSession";
+      sessEl.textContent = r.ortho
+        ? grp.members.length + " readings (lying → standing)"
+        : "Mean of " + grp.members.length + " readings";
+      sessEl.setAttribute("aria-expanded", "false");
+
+      const membersEl = makeMembers(grp.members, !!r.ortho);
+      sessEl.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        membersEl.hidden = !membersEl.hidden;
+        sessEl.setAttribute("aria-expanded", membersEl.hidden ? "false" : "true");
+      });
+
+      row.appendChild(sessEl);
+      row.appendChild(membersEl);
+    }
+
+    // Mood (only when recorded)
+    if (r.mood) {
+      const moodEl = document.createElement("div");
+      moodEl.className = "logSub logMood";
+      moodEl.textContent = "Mood: " + r.mood;
+      row.appendChild(moodEl);
+    }
+
+    // Position / arm (only when recorded)
+    if (r.context) {
+      const ctxEl = document.createElement("div");
+      ctxEl.className = "logSub logContext";
+      ctxEl.textContent = r.context;
+      row.appendChild(ctxEl);
+    }
+
+    // Meds (with timing relative to this reading)
+    if (r.meds) {
+      const medsEl = document.createElement("div");
+      medsEl.className = "logSub logMeds";
+      medsEl.textContent = "Meds: " + r.meds;
+      row.appendChild(medsEl);
+    }
+
+    // Revision history (only when edited): tap to show what changed
+    if (r.edited) {
+      const editedEl = document.createElement("button");
+      editedEl.type = "button";
+      editedEl.className = "logSub logEdited";
+      editedEl.textContent = r.edited;
+      editedEl.setAttribute("aria-expanded", "false");
+
+      const diffEl = makeDiff(r.raw);
+      editedEl.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        diffEl.hidden = !diffEl.hidden;
+        editedEl.setAttribute("aria-expanded", diffEl.hidden ? "false" : "true");
+      });
+
+      row.appendChild(editedEl);
+      row.appendChild(diffEl);
+    }
+
     row.appendChild(notesEl);
 
     applyRowFallbackStyles(row, headRow, tsEl, notesEl, editLink, leftReadings);
 
+    // Delete link (same fallback look as Edit, muted red)
+    try {
+      deleteLink.style.color = "rgba(235,110,110,0.95)";
+      deleteLink.style.textDecoration = "underline";
+      deleteLink.style.fontWeight = "700";
+      deleteLink.style.fontSize = "13px";
+      deleteLink.style.flex = "0 0 auto";
+      deleteLink.style.marginLeft = "12px";
+    } catch (_) {}
+
     return row;
   }
 
-  async function getDataAsync() {
+  // One page, newest first: { rows, cursor } (cursor null when nothing older is left).
+  async function getPageAsync(cursor) {
     try {
-      if (!window.VTStore) return [];
+      if (!window.VTStore) return { rows: [], cursor: null };
       if (typeof window.VTStore.init === "function") {
         await window.VTStore.init();
       }
-      if (typeof window.VTStore.getAll !== "function") return [];
 
-      const raw = window.VTStore.getAll() || [];
-      if (!Array.isArray(raw)) return [];
+      let raw = [];
+      let next = null;
+      if (typeof window.VTStore.query === "function") {
+        const q = Object.assign({ order: "desc", limit: PAGE_SIZE, cursor: cursor || null }, contextFilter());
+        const res = await window.VTStore.query(q);
+        raw = (res && res.records) || [];
+        next = (res && res.cursor) || null;
+      } else if (typeof window.VTStore.getAll === "function") {
+        raw = window.VTStore.getAll() || [];
+      }
+      if (!Array.isArray(raw)) return { rows: [], cursor: null };
 
       const norm = [];
       for (const rr of raw) {
@@ -371,18 +636,123 @@ Drift locks (do not change without intentional decision)
         if (n.ts == null) continue;
         norm.push(n);
       }
-      return norm;
+      return { rows: norm.sort((a, b) => b.ts - a.ts), cursor: next };
     } catch (_) {
-      return [];
+      return { rows: [], cursor: null };
     }
   }
 
+  // Position / arm / cuff / device filter shared with the Chart (js/context.js).
+  function contextFilter() {
+    try {
+      if (window.VTContext) return window.VTContext.getFilter();
+    } catch (_) {}
+    return {};
+  }
+
+  function inFilter(rec) {
+    try {
+      if (window.VTContext) return window.VTContext.matches(rec);
+    } catch (_) {}
+    return true;
+  }
+
+  function emptyText() {
+    try {
+      if (window.VTContext && window.VTContext.isFiltering()) return "No readings match the filter.";
+    } catch (_) {}
+    return "No readings yet.";
+  }
+
+  // Group key of a record: "o:<orthoId>" (orthostatic test) | "s:<sessionId>" (averaged session) | "".
+  function groupKey(rec) {
+    const o = window.VTOrtho ? window.VTOrtho.idOf(rec) : "";
+    if (o) return "o:" + o;
+    const id = window.VTSessions ? window.VTSessions.idOf(rec) : "";
+    return id ? "s:" + id : "";
+  }
+
+  // Orthostatic tests (js/orthostatic.js) become one row with their result; session members (js/sessions.js)
+  // one row with their mean, timed at the first reading. Members already shown from an earlier page are
+  // grouped with the new ones.
+  function groupRows(rows) {
+    const VS = window.VTSessions;
+    const VO = window.VTOrtho;
+    if (!VS && !VO) return rows;
+
+    const byRaw = new Map();
+    const input = [];
+    const take = (n) => {
+      if (byRaw.has(n.raw)) return;
+      byRaw.set(n.raw, n);
+      input.push(n.raw);
+    };
+    for (const n of rows) {
+      const prev = shownSessions.get(groupKey(n.raw));
+      if (prev) prev.forEach(take);
+      take(n);
+    }
+
+    const items = VO ? VO.group(input) : input.map((record) => ({ kind: "single", record }));
+    const sessionOf = new Map();
+    if (VS) {
+      VS.group(items.filter((it) => it.kind === "single").map((it) => it.record)).forEach((it) => {
+        if (it.kind === "session") it.members.forEach((m) => sessionOf.set(m, it));
+      });
+    }
+
+    const out = [];
+    const placed = new Set();
+    for (const it of items) {
+      if (it.kind === "test") {
+        const members = it.members.map((m) => byRaw.get(m));
+        shownSessions.set("o:" + it.id, members);
+        out.push(Object.assign({}, members[0], {
+          ts: Math.min.apply(null, members.map((m) => m.ts)),
+          // The anchor's posture is the first step's, not the test's.
+          context: contextText(Object.assign({}, members[0].raw, { position: "" })),
+          ortho: { id: it.id, anchor: members[0], members, result: it.result }
+        }));
+        continue;
+      }
+
+      const sess = sessionOf.get(it.record);
+      if (!sess) {
+        const n = byRaw.get(it.record);
+        const key = groupKey(n.raw);
+        if (key) shownSessions.set(key, [n]);
+        out.push(n);
+        continue;
+      }
+      if (placed.has(sess)) continue;
+      placed.add(sess);
+      const members = sess.members.map((m) => byRaw.get(m));
+      shownSessions.set("s:" + sess.id, members);
+      out.push(Object.assign({}, members[0], {
+        ts: Math.min.apply(null, members.map((m) => m.ts)),
+        sys: sess.mean.sys,
+        dia: sess.mean.dia,
+        hr: sess.mean.hr,
+        session: { id: sess.id, anchor: members[0], members }
+      }));
+    }
+    return out;
+  }
+
   function makeSig(arr) {
     try {
       if (!arr || !arr.length) return "0";
       const first = arr[0];
       const last = arr[arr.length - 1];
-      return `${arr.length}|${first.ts}|${last.ts}`;
+
+      // Content fingerprint of the rendered fields so in-place edits (same ts) re-render.
+      let h = 0;
+      for (const r of arr) {
+        const s = `${r.id}|${r.ts}|${r.sys}|${r.dia}|${r.hr}|${r.notes}|${r.mood}|${r.meds}|${r.context}|${r.edited}`;
+        for (let i = 0; i < s.length; i++) h = (h * 31 + s.charCodeAt(i)) | 0;
+      }
+
+      return `${arr.length}|${first.ts}|${last.ts}|${h}`;
     } catch (_) {
       return "";
     }
@@ -402,54 +772,153 @@ Drift locks (do not change without intentional decision)
   }
 
   async function render() {
-    if (renderInFlight) return;
+    if (renderInFlight) { renderQueued = true; return; }
     renderInFlight = true;
 
     try {
       setLoading(true);
 
-      const data = (await getDataAsync()).slice().sort((a, b) => b.ts - a.ts);
+      const page = await getPageAsync(null);
+      const data = page.rows;
 
+      // Same first page: keep the list as is (including older pages already shown).
       const sig = makeSig(data);
       if (sig && sig === lastRenderSig) {
         setLoading(false);
-        setEmpty(!data.length);
+        setEmpty(!data.length, emptyText());
         return;
       }
       lastRenderSig = sig;
+      setCursor(page.cursor);
 
       clear();
 
       if (!data.length) {
         setLoading(false);
-        setEmpty(true);
+        setEmpty(true, emptyText());
         return;
       }
 
       setEmpty(false);
 
-      for (const r of data) {
+      shownSessions.clear();
+      for (const r of groupRows(data)) {
         listEl.appendChild(renderRow(r));
       }
 
       setLoading(false);
     } finally {
       renderInFlight = false;
+      if (renderQueued) { renderQueued = false; render(); }
     }
   }
 
-  function startVisibilityPoll() {
-    if (visPollTimer) return;
-    visPollTimer = window.setInterval(() => {
-      try {
-        const active = !!panelEl && panelEl.classList.contains("active");
-        if (active && !lastVisActive) {
-          lastVisActive = true;
-          render();
+  // ---- Incremental updates (VTStore vt:recordsChanged; no polling) ----
+  // Rows are keyed by record id; a change replaces only the affected rows. While the Log is
+  // hidden nothing is touched: the signature check in render() catches up when it is shown.
+  function rowKey(r) {
+    if (r.session) return "session:" + r.session.id;
+    if (r.ortho) return "ortho:" + r.ortho.id;
+    return r.id != null ? r.id : ("ts:" + r.ts);
+  }
+
+  function findRow(key) {
+    for (const el of listEl.children) {
+      if (el.dataset && el.dataset.key === key) return el;
+    }
+    return null;
+  }
+
+  function insertSorted(row, ts) {
+    for (const el of listEl.children) {
+      if (Number(el.dataset && el.dataset.ts) < ts) {
+        listEl.insertBefore(row, el);
+        return;
+      }
+    }
+    listEl.appendChild(row);
+  }
+
+  async function firstPageSig() {
+    try {
+      return makeSig((await getPageAsync(null)).rows);
+    } catch (_) {
+      return "";
+    }
+  }
+
+  // Oldest ts shown; older changes belong to pages not loaded yet.
+  function oldestShownTs() {
+    const last = listEl.lastElementChild;
+    const ts = last ? Number(last.dataset && last.dataset.ts) : NaN;
+    return Number.isFinite(ts) ? ts : null;
+  }
+
+  async function applyChange(detail) {
+    if (!detail) return;
+    const active = !!panelEl && panelEl.classList.contains("active");
+    if (!active || !lastRenderSig) return;
+    if (renderInFlight) { renderQueued = true; return; }
+
+    // A session / test reading changed: its row's mean or result and member list change too; rebuild from the first page.
+    const all = (detail.removed || []).concat(detail.updated || [], detail.added || []);
+    if (all.some((rec) => groupKey(rec))) {
+      lastRenderSig = "";
+      await render();
+      return;
+    }
+
+    const floor = nextCursor ? oldestShownTs() : null;
+
+    for (const rec of (detail.removed || [])) {
+      const el = findRow(rowKey(normalize(rec)));
+      if (el) el.remove();
+    }
+    for (const rec of (detail.updated || []).concat(detail.added || [])) {
+      const n = normalize(rec);
+      const old = findRow(rowKey(n));
+      if (old) old.remove();
+      if (n.ts != null && (floor == null || n.ts >= floor) && inFilter(rec)) insertSorted(renderRow(n), n.ts);
+    }
+
+    setEmpty(!listEl.children.length, emptyText());
+    lastRenderSig = await firstPageSig();
+  }
+
+  // ---- Paging ("Show older readings") ----
+  function setCursor(cursor) {
+    nextCursor = cursor || null;
+    if (moreBtn) moreBtn.hidden = !nextCursor;
+  }
+
+  async function showMore() {
+    if (!nextCursor || renderInFlight) return;
+    renderInFlight = true;
+    try {
+      if (moreBtn) moreBtn.disabled = true;
+      const page = await getPageAsync(nextCursor);
+      for (const r of groupRows(page.rows)) {
+        const grp = r.session || r.ortho;
+        if (!grp) {
+          if (!findRow(rowKey(r))) listEl.appendChild(renderRow(r));
+          continue;
         }
-        if (!active) lastVisActive = false;
-      } catch (_) {}
-    }, 350);
+        // A session / test already (partly) shown is re-rendered in place with all its members.
+        const old = [rowKey(r)].concat(grp.members.map(rowKey)).map(findRow).filter(Boolean);
+        const row = renderRow(r);
+        if (old.length) {
+          old[0].replaceWith(row);
+          old.slice(1).forEach((el) => el.remove());
+        } else {
+          listEl.appendChild(row);
+        }
+      }
+      setCursor(page.cursor);
+    } finally {
+      if (moreBtn) moreBtn.disabled = false;
+      renderInFlight = false;
+      if (renderQueued) { renderQueued = false; render(); }
+    }
   }
 
   function bind() {
@@ -459,7 +928,23 @@ Drift locks (do not change without intentional decision)
       } catch (_) {}
     });
 
-    startVisibilityPoll();
+    document.addEventListener("vt:recordsChanged", function (e) {
+      applyChange(e && e.detail).catch(function () {});
+    });
+
+    // New filter: start again from the newest page (a hidden Log re-renders on show).
+    document.addEventListener("vt:contextFilterChanged", function () {
+      lastRenderSig = "";
+      try { if (panelEl && panelEl.classList.contains("active")) render(); } catch (_) {}
+    });
+    try { if (filterEl && window.VTContext) window.VTContext.bindFilter(filterEl); } catch (_) {}
+
+    if (moreBtn) {
+      moreBtn.addEventListener("click", function (e) {
+        try { e.preventDefault(); } catch (_) {}
+        showMore();
+      });
+    }
 
     if (btnAdd) {
       btnAdd.addEventListener("click", function (e) {
@@ -491,8 +976,8 @@ App Version Authority: js/version.js
 Prime Pass: File 12 of 23
 Prev: js/chart.js
 Next: js/panels.js
-FileEditId: 0
-Edited: 2026-01-21
+FileEditId: 13
+Edited: 2026-10-19
 
 Implementation Fetch Directive (ONE-TIME ONLY; NOT A MASTER ORDER)
 ImplementationId: PP-20260121-001
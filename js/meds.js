@@ -0,0 +1,130 @@
+/*
+Vitals Tracker — BOF (Jyles Method Pass Header)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Medication Events (Step 4 Capture)
+ImplementationId: JYLES-20261019-MEDS-001
+App Version Authority: js/version.js
+
+File: js/meds.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Role / Ownership (LOCKED)
+- Medication event shape + normalization for records.
+- Formatting of med events for Log rows, summaries and exports, including
+  timing relative to the reading (before/after a dose).
+- Must NOT read/write storage (the saved med-name list is owned by js/settings.js).
+- Must NOT render panels or own navigation.
+
+Record shape (persisted by js/add.js)
+- meds: [{ name:string, dose:number|null, unit:string, takenAt:number(ms) }]
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+------------------------------------------------------------
+*/
+
+(function () {
+  "use strict";
+
+  const UNITS = Object.freeze(["mg", "mcg", "g", "mL", "tab", "cap", "puff", "drop", "units"]);
+  const DEFAULT_UNIT = "mg";
+
+  function normalizeEvent(m) {
+    if (!m || typeof m !== "object") return null;
+
+    const name = String(m.name || "").trim();
+    if (!name) return null;
+
+    const doseN = (m.dose === "" || m.dose == null) ? NaN : Number(m.dose);
+    const takenAt = Number(m.takenAt);
+
+    return {
+      name,
+      dose: Number.isFinite(doseN) && doseN > 0 ? doseN : null,
+      unit: String(m.unit || "").trim(),
+      takenAt: Number.isFinite(takenAt) && takenAt > 0 ? takenAt : null
+    };
+  }
+
+  function normalizeList(arr) {
+    const out = [];
+    for (const m of (Array.isArray(arr) ? arr : [])) {
+      const n = normalizeEvent(m);
+      if (n) out.push(n);
+    }
+    return out;
+  }
+
+  function fmtDuration(ms) {
+    const min = Math.round(Math.abs(ms) / 60000);
+    if (min < 60) return min + " min";
+    const h = Math.floor(min / 60);
+    const rem = min % 60;
+    return rem ? (h + " h " + rem + " min") : (h + " h");
+  }
+
+  // Relation of a dose to the reading time, from the reading's point of view.
+  // "taken 20 min before reading" | "taken 15 min after reading" | "taken at reading"
+  function relationText(takenAt, readingTs) {
+    if (!Number.isFinite(takenAt) || !Number.isFinite(readingTs)) return "";
+    const d = readingTs - takenAt;
+    if (Math.abs(d) < 60000) return "taken at reading";
+    return "taken " + fmtDuration(d) + (d > 0 ? " before reading" : " after reading");
+  }
+
+  // "Clonidine 0.1 mg (taken 20 min before reading)"
+  function formatEvent(m, readingTs) {
+    const n = normalizeEvent(m);
+    if (!n) return "";
+    let s = n.name;
+    if (n.dose != null) s += " " + n.dose + (n.unit ? " " + n.unit : "");
+    const rel = (n.takenAt != null && Number.isFinite(readingTs)) ? relationText(n.takenAt, readingTs) : "";
+    return rel ? (s + " (" + rel + ")") : s;
+  }
+
+  function format(rec) {
+    if (!rec || typeof rec !== "object") return "";
+    const ts = Number(rec.ts);
+    return normalizeList(rec.meds)
+      .map((m) => formatEvent(m, ts))
+      .filter(Boolean)
+      .join("; ");
+  }
+
+  window.VTMeds = Object.freeze({
+    UNITS: UNITS,
+    DEFAULT_UNIT: DEFAULT_UNIT,
+    normalizeEvent: normalizeEvent,
+    normalizeList: normalizeList,
+    relationText: relationText,
+    formatEvent: formatEvent,
+    format: format
+  });
+
+})();
+
+/*
+Vitals Tracker — EOF (Jyles Method Pass Footer)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Medication Events (Step 4 Capture)
+ImplementationId: JYLES-20261019-MEDS-001
+App Version Authority: js/version.js
+
+File: js/meds.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+
+Acceptance checks
+- window.VTMeds exists before js/add.js and js/log.js load (index.html order).
+- normalizeEvent() drops nameless events; dose is a positive number or null.
+- format() states whether each dose was taken before or after the reading time.
+
+Test and regroup for next pass.
+------------------------------------------------------------
+*/
@@ -0,0 +1,117 @@
+/*
+Vitals Tracker — BOF (Jyles Method Pass Header)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Mood Vocabulary (Step 3 + Exports)
+ImplementationId: JYLES-20261019-MOOD-001
+App Version Authority: js/version.js
+
+File: js/mood.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Role / Ownership (LOCKED)
+- Canonical mood vocabulary (fixed keys + clinician-friendly labels).
+- Formatting of a record's mood for Log rows, summaries and exports.
+- Must NOT read/write storage.
+- Must NOT render panels or own navigation.
+
+Record shape (persisted by js/add.js)
+- mood: string (vocabulary key, e.g. "anxious")
+- moodIntensity: number 1–5 (optional)
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+------------------------------------------------------------
+*/
+
+(function () {
+  "use strict";
+
+  // Keys are persisted on records — never rename a key; add new ones instead.
+  const MOODS = Object.freeze([
+    Object.freeze({ key: "calm",        label: "Calm",        valence: "positive" }),
+    Object.freeze({ key: "content",     label: "Content",     valence: "positive" }),
+    Object.freeze({ key: "hopeful",     label: "Hopeful",     valence: "positive" }),
+    Object.freeze({ key: "tired",       label: "Tired",       valence: "neutral" }),
+    Object.freeze({ key: "flat",        label: "Flat / numb", valence: "neutral" }),
+    Object.freeze({ key: "sad",         label: "Sad / low",   valence: "negative" }),
+    Object.freeze({ key: "anxious",     label: "Anxious",     valence: "negative" }),
+    Object.freeze({ key: "irritable",   label: "Irritable",   valence: "negative" }),
+    Object.freeze({ key: "angry",       label: "Angry",       valence: "negative" }),
+    Object.freeze({ key: "panicky",     label: "Panicky",     valence: "negative" }),
+    Object.freeze({ key: "overwhelmed", label: "Overwhelmed", valence: "negative" })
+  ]);
+
+  const INTENSITY_MIN = 1;
+  const INTENSITY_MAX = 5;
+
+  const _byKey = new Map(MOODS.map((m) => [m.key, m]));
+
+  function getMoods() {
+    return MOODS.map((m) => ({ key: m.key, label: m.label, valence: m.valence }));
+  }
+
+  function isMood(key) {
+    return _byKey.has(String(key || "").trim());
+  }
+
+  function labelFor(key) {
+    const k = String(key || "").trim();
+    if (!k) return "";
+    const m = _byKey.get(k);
+    // Unknown keys (older builds / hand-edited data) are shown verbatim rather than dropped.
+    return m ? m.label : k;
+  }
+
+  function normalizeIntensity(v) {
+    const n = Number(v);
+    if (!Number.isFinite(n)) return null;
+    const i = Math.round(n);
+    if (i < INTENSITY_MIN || i > INTENSITY_MAX) return null;
+    return i;
+  }
+
+  // "Anxious (4/5)" | "Anxious" | ""
+  function format(rec) {
+    if (!rec || typeof rec !== "object" || !rec.mood) return "";
+    const label = labelFor(rec.mood);
+    const i = normalizeIntensity(rec.moodIntensity);
+    return i != null ? (label + " (" + i + "/" + INTENSITY_MAX + ")") : label;
+  }
+
+  window.VTMood = Object.freeze({
+    INTENSITY_MIN: INTENSITY_MIN,
+    INTENSITY_MAX: INTENSITY_MAX,
+    getMoods: getMoods,
+    isMood: isMood,
+    labelFor: labelFor,
+    normalizeIntensity: normalizeIntensity,
+    format: format
+  });
+
+})();
+
+/*
+Vitals Tracker — EOF (Jyles Method Pass Footer)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Mood Vocabulary (Step 3 + Exports)
+ImplementationId: JYLES-20261019-MOOD-001
+App Version Authority: js/version.js
+
+File: js/mood.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+
+Acceptance checks
+- window.VTMood exists before js/add.js and js/log.js load (index.html order).
+- labelFor() returns the vocabulary label; unknown keys are returned verbatim.
+- format() returns "" when a record has no mood.
+
+Test and regroup for next pass.
+------------------------------------------------------------
+*/
@@ -0,0 +1,212 @@
+/*
+Vitals Tracker — BOF (Jyles Method Pass Header)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Orthostatic Vitals Protocol
+ImplementationId: JYLES-20261019-ORTHO-001
+App Version Authority: js/version.js
+
+File: js/orthostatic.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Role / Ownership (LOCKED)
+- The guided orthostatic test (Add Step 1 "Readings: Orthostatic"): posture steps, their timing and prompts.
+- The result of a test: SYS / DIA drop and HR rise from lying to standing, and whether the orthostatic-hypotension
+  or POTS heart-rate threshold is met. Used by the wizard summary, the Log (one row per test) and reports.
+- Must NOT read/write storage (the readings are ordinary records saved by js/add.js).
+- Must NOT render panels or own navigation.
+
+Record shape (persisted by js/add.js on every reading of a test)
+- orthoId: string      shared by the readings of one test
+- orthoStep: "lying" | "sitting" | "standing1" | "standing3"
+- position: the step's posture (js/context.js key)
+Steps 2–4 (symptoms, mood, meds, notes) are saved on the first reading (the anchor).
+
+Thresholds (adult screening values; the app flags them, it does not diagnose)
+- Orthostatic hypotension: SYS drop >= 20 or DIA drop >= 10 within 3 minutes of standing.
+- POTS: HR rise >= 30 bpm on standing without orthostatic hypotension (>= 40 for ages 12–19; not applied).
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+------------------------------------------------------------
+*/
+
+(function () {
+  "use strict";
+
+  const MIN = 60 * 1000;
+
+  // Waits are counted from `from`: "start" (Start test tapped) or the time of that step's reading.
+  // Standing starts right after the sitting reading, so both standing waits count from it.
+  const STEPS = Object.freeze([
+    Object.freeze({ key: "lying",     position: "lying",    label: "Lying",          from: "start",   waitMs: 5 * MIN,
+      waitText: "Lie down and rest.",               nowText: "Take the lying reading now, still lying down." }),
+    Object.freeze({ key: "sitting",   position: "sitting",  label: "Sitting",        from: "lying",   waitMs: 1 * MIN,
+      waitText: "Sit up and stay seated.",          nowText: "Take the sitting reading now." }),
+    Object.freeze({ key: "standing1", position: "standing", label: "Standing 1 min", from: "sitting", waitMs: 1 * MIN,
+      waitText: "Stand up now and stay standing.",  nowText: "Take the 1-minute standing reading now." }),
+    Object.freeze({ key: "standing3", position: "standing", label: "Standing 3 min", from: "sitting", waitMs: 3 * MIN,
+      waitText: "Keep standing.",                   nowText: "Take the 3-minute standing reading now." })
+  ]);
+
+  const THRESHOLDS = Object.freeze({ ohSys: 20, ohDia: 10, potsHr: 30 });
+
+  const _byKey = new Map(STEPS.map((s, i) => [s.key, Object.assign({ index: i }, s)]));
+
+  function num(v) {
+    if (v == null || v === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function newId() {
+    return "o-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+  }
+
+  function idOf(rec) {
+    return (rec && typeof rec.orthoId === "string" && rec.orthoId) ? rec.orthoId : "";
+  }
+
+  function stepIndex(key) {
+    const s = _byKey.get(String(key || ""));
+    return s ? s.index : -1;
+  }
+
+  function stepLabel(key) {
+    const s = _byKey.get(String(key || ""));
+    return s ? s.label : String(key || "");
+  }
+
+  // When step `index` may be measured: readings = [{ step, ts }] saved so far; startedAt = Start test time.
+  function readyAt(index, startedAt, readings) {
+    const s = STEPS[index];
+    if (!s) return 0;
+    let base = null;
+    if (s.from === "start") base = num(startedAt);
+    else {
+      const r = (readings || []).find((x) => x && x.step === s.from);
+      base = r ? num(r.ts) : null;
+    }
+    return base == null ? 0 : base + s.waitMs;
+  }
+
+  // "SYS −24" | "HR +32" | "DIA ±0"
+  function fmtChange(label, d) {
+    return label + " " + (d > 0 ? "+" : (d < 0 ? "−" : "±")) + Math.abs(d);
+  }
+
+  // { baseline, sysDrop, diaDrop, hrRise, oh, pots, text } from a test's readings ({ orthoStep | step, sys, dia, hr }),
+  // or null until there is a lying (else sitting) reading and a standing one. Drops/rise use the worst standing value.
+  function evaluate(readings) {
+    const list = (Array.isArray(readings) ? readings : []).map((r) => ({
+      step: String((r && (r.orthoStep || r.step)) || ""),
+      sys: num(r && r.sys),
+      dia: num(r && r.dia),
+      hr: num(r && r.hr)
+    }));
+    const base = list.find((r) => r.step === "lying" && r.sys != null) || list.find((r) => r.step === "sitting" && r.sys != null);
+    const standing = list.filter((r) => r.step.indexOf("standing") === 0 && (r.sys != null || r.hr != null));
+    if (!base || !standing.length) return null;
+
+    const pick = (f, worst) => {
+      const vals = standing.map((r) => r[f]).filter((n) => n != null);
+      return vals.length ? worst.apply(null, vals) : null;
+    };
+    const sysStand = pick("sys", Math.min);
+    const diaStand = pick("dia", Math.min);
+    const hrStand = pick("hr", Math.max);
+
+    const sysDrop = (sysStand != null) ? base.sys - sysStand : null;
+    const diaDrop = (diaStand != null && base.dia != null) ? base.dia - diaStand : null;
+    const hrRise = (hrStand != null && base.hr != null) ? hrStand - base.hr : null;
+
+    const oh = (sysDrop != null && sysDrop >= THRESHOLDS.ohSys) || (diaDrop != null && diaDrop >= THRESHOLDS.ohDia);
+    const pots = !oh && hrRise != null && hrRise >= THRESHOLDS.potsHr;
+
+    const parts = [];
+    if (sysDrop != null) parts.push(fmtChange("SYS", -sysDrop));
+    if (diaDrop != null) parts.push(fmtChange("DIA", -diaDrop));
+    if (hrRise != null) parts.push(fmtChange("HR", hrRise));
+    const change = parts.join(" · ") + " (" + stepLabel(base.step).toLowerCase() + " → standing)";
+
+    let verdict = "Neither threshold met.";
+    if (oh) verdict = "Meets the orthostatic hypotension threshold (SYS drop ≥ " + THRESHOLDS.ohSys + " or DIA drop ≥ " + THRESHOLDS.ohDia + ").";
+    else if (pots) verdict = "HR rise meets the POTS threshold (≥ " + THRESHOLDS.potsHr + " bpm without orthostatic hypotension).";
+
+    return { baseline: base.step, sysDrop, diaDrop, hrRise, oh, pots, change, verdict, text: change + " " + verdict };
+  }
+
+  // [{ kind:"single", record } | { kind:"test", id, members, anchor, result }] in input order; members in step order.
+  function group(records) {
+    const list = Array.isArray(records) ? records.filter(Boolean) : [];
+    const byId = new Map();
+    list.forEach((r) => {
+      const id = idOf(r);
+      if (!id) return;
+      if (!byId.has(id)) byId.set(id, []);
+      byId.get(id).push(r);
+    });
+
+    const out = [];
+    const placed = new Set();
+    list.forEach((r) => {
+      const id = idOf(r);
+      if (!id) {
+        out.push({ kind: "single", record: r });
+        return;
+      }
+      if (placed.has(id)) return;
+      placed.add(id);
+      const members = byId.get(id).slice().sort((a, b) =>
+        (stepIndex(a.orthoStep) - stepIndex(b.orthoStep)) || ((num(a.ts) || 0) - (num(b.ts) || 0)));
+      out.push({ kind: "test", id, members, anchor: members[0], result: evaluate(members) });
+    });
+    return out;
+  }
+
+  // "Orthostatic test · Standing 1 min" | ""
+  function memberText(rec) {
+    return idOf(rec) ? "Orthostatic test · " + stepLabel(rec.orthoStep) : "";
+  }
+
+  window.VTOrtho = Object.freeze({
+    STEPS: STEPS,
+    THRESHOLDS: THRESHOLDS,
+    newId: newId,
+    idOf: idOf,
+    stepIndex: stepIndex,
+    stepLabel: stepLabel,
+    readyAt: readyAt,
+    evaluate: evaluate,
+    group: group,
+    memberText: memberText
+  });
+
+})();
+
+/*
+Vitals Tracker — EOF (Jyles Method Pass Footer)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Orthostatic Vitals Protocol
+ImplementationId: JYLES-20261019-ORTHO-001
+App Version Authority: js/version.js
+
+File: js/orthostatic.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+
+Acceptance checks
+- window.VTOrtho exists before js/log.js and js/add.js load (index.html order).
+- Lying 120/80 HR 65, standing 98/70 HR 72: SYS −22, oh:true. Lying 118/76 HR 68, standing 115/78 HR 104: pots:true.
+- A drop of 20 SYS together with an HR rise of 35 flags orthostatic hypotension only (POTS requires no OH).
+- evaluate() is null without a lying/sitting baseline or without a standing reading.
+- readyAt(3, …) is 3 minutes after the sitting reading (standing starts right after it).
+
+Test and regroup for next pass.
+------------------------------------------------------------
+*/
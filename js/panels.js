@@ -4,9 +4,9 @@ Copyright © 2026 Wendell K. Jiles. All rights reserved. (Pen name: Keyth Jyles)
 
 File: js/panels.js
 App Version Authority: js/version.js
-ImplementationId: ADD-20260121-001
-FileEditId: 6
-Edited: 2026-01-21
+ImplementationId: JYLES-20261019-EDIT-001
+FileEditId: 7
+Edited: 2026-10-19
 
 Current file: js/panels.js, File 3 of 7
 
@@ -21,8 +21,8 @@ Role / Ownership (LOCKED)
 - Must NOT implement gesture detection here (only consumes swipeDelta/swipeEnd inputs)
 
 Scope (this step)
-- Navigation/escape hardening only.
-- Add-panel lifecycle signaling for wizard reset (event dispatch only; no wizard logic here).
+- openAdd() accepts either a source string or { mode:"edit", record, source }.
+- vt:addOpen detail now carries mode ("new" | "edit") and record (edit only); no wizard logic here.
 
 Beacon (sticky)
 - Beacon: update FileEditId by incrementing by one each time you generate a new full file.
@@ -225,12 +225,18 @@ Beacon (sticky)
     go(target);
   }
 
-  function openAdd(source) {
+  // openAdd("home") | openAdd({ mode:"edit", record, source })
+  function openAdd(arg) {
     if (!panels.add) return;
 
-    // Signal add.js to start a fresh wizard session every time Add opens.
+    const opts = (arg && typeof arg === "object") ? arg : { source: arg };
+    const isEdit = opts.mode === "edit" && !!opts.record;
+
+    // Signal add.js: fresh wizard session (mode "new") or edit session (mode "edit" + record).
     dispatchAddLifecycle("vt:addOpen", {
-      source: source || "unknown",
+      source: opts.source || (isEdit ? "edit" : "unknown"),
+      mode: isEdit ? "edit" : "new",
+      record: isEdit ? opts.record : null,
       from: currentPanel,
       lastMainPanel
     });
@@ -522,9 +528,9 @@ Copyright © 2026 Wendell K. Jiles. All rights reserved. (Pen name: Keyth Jyles)
 
 File: js/panels.js
 App Version Authority: js/version.js
-ImplementationId: ADD-20260121-001
-FileEditId: 6
-Edited: 2026-01-21
+ImplementationId: JYLES-20261019-EDIT-001
+FileEditId: 7
+Edited: 2026-10-19
 
 Current file: js/panels.js, File 3 of 7
 
@@ -536,6 +542,6 @@ Next file to fetch: js/add.js, File 4 of 7
 Acceptance checks (this file)
 - Direct nav is instant; Add remains non-rotating and excluded from swipe.
 - Closing Add returns to last main panel (home/charts/log) reliably.
-- Add open always dispatches vt:addOpen so add.js can start a fresh wizard session.
+- openAdd(string) dispatches vt:addOpen {mode:"new"}; openAdd({mode:"edit", record}) dispatches {mode:"edit", record}.
 - No gesture detection added here; only swipeDelta/swipeEnd consumption.
 ------------------------------------------------------------ */
@@ -0,0 +1,157 @@
+/*
+Vitals Tracker — BOF (Jyles Method Pass Header)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Reading Plausibility Checks (Step 1)
+ImplementationId: JYLES-20261019-RANGES-001
+App Version Authority: js/version.js
+
+File: js/ranges.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Role / Ownership (LOCKED)
+- Plausibility rules for SYS / DIA / HR: hard limits (impossible values are refused) and confirm bands
+  (valid but extreme values need a confirm). The bands are user-configurable (js/settings.js persists them).
+- Crisis definition for the "Retake in 5 min" reminder (same thresholds as the chart's crisis band / Log colors).
+- Must NOT read/write storage or settings.
+- Must NOT render panels or own navigation.
+
+Confirm bands shape (VTSettings.getVitalChecks())
+- { sys:{ low, high }, dia:{ low, high }, hr:{ low, high } }   values below low / at or above high ask first
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+------------------------------------------------------------
+*/
+
+(function () {
+  "use strict";
+
+  const FIELDS = Object.freeze(["sys", "dia", "hr"]);
+
+  const LABELS = Object.freeze({ sys: "SYS", dia: "DIA", hr: "HR" });
+
+  // Outside these a value cannot be a real reading (an extra digit, a swapped field).
+  const HARD = Object.freeze({
+    sys: Object.freeze({ min: 50, max: 300 }),
+    dia: Object.freeze({ min: 20, max: 200 }),
+    hr:  Object.freeze({ min: 20, max: 250 })
+  });
+
+  // Valid but extreme. sys.high / dia.high are the hypertensive crisis thresholds (js/chart.js band, js/log.js colors).
+  const DEFAULT_CONFIRM = Object.freeze({
+    sys: Object.freeze({ low: 90, high: 180 }),
+    dia: Object.freeze({ low: 50, high: 120 }),
+    hr:  Object.freeze({ low: 40, high: 130 })
+  });
+
+  const CRISIS = Object.freeze({ sys: 180, dia: 120 });
+
+  function num(v) {
+    if (v == null || v === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function defaults() {
+    const out = {};
+    FIELDS.forEach((f) => { out[f] = { low: DEFAULT_CONFIRM[f].low, high: DEFAULT_CONFIRM[f].high }; });
+    return out;
+  }
+
+  // Each bound is kept inside the hard limits; a band with low >= high falls back to the default.
+  function normalizeConfirm(obj) {
+    const src = (obj && typeof obj === "object") ? obj : {};
+    const out = {};
+    FIELDS.forEach((f) => {
+      const h = HARD[f];
+      const d = DEFAULT_CONFIRM[f];
+      const b = (src[f] && typeof src[f] === "object") ? src[f] : {};
+      const clampIn = (v, dflt) => {
+        const n = num(v);
+        return n == null ? dflt : Math.max(h.min, Math.min(h.max, Math.round(n)));
+      };
+      const low = clampIn(b.low, d.low);
+      const high = clampIn(b.high, d.high);
+      out[f] = (low < high) ? { low, high } : { low: d.low, high: d.high };
+    });
+    return out;
+  }
+
+  // { errors:[text], warnings:[text], crisis } for { sys, dia, hr } (missing values are skipped).
+  // errors = refuse the save; warnings = ask before saving. `only` limits warnings to those fields
+  // (edit mode: values the user did not change are not confirmed again).
+  function check(v, confirmBands, only) {
+    const r = v || {};
+    const bands = normalizeConfirm(confirmBands);
+    const errors = [];
+    const warnings = [];
+
+    FIELDS.forEach((f) => {
+      const n = num(r[f]);
+      if (n == null) return;
+      const h = HARD[f];
+      if (n < h.min || n > h.max) {
+        errors.push(LABELS[f] + " " + n + " is not a possible reading (" + h.min + "–" + h.max + ").");
+        return;
+      }
+      if (only && only.indexOf(f) < 0) return;
+      const b = bands[f];
+      if (n >= b.high) warnings.push(LABELS[f] + " " + n + " is at or above " + b.high + ".");
+      else if (n < b.low) warnings.push(LABELS[f] + " " + n + " is below " + b.low + ".");
+    });
+
+    const sys = num(r.sys);
+    const dia = num(r.dia);
+    if (sys != null && dia != null && dia >= sys) {
+      errors.push("DIA (" + dia + ") must be lower than SYS (" + sys + "). Check the two values are not swapped.");
+    }
+
+    return { errors, warnings, crisis: !errors.length && isCrisis(r) };
+  }
+
+  function isCrisis(r) {
+    const sys = num(r && r.sys);
+    const dia = num(r && r.dia);
+    return (sys != null && sys >= CRISIS.sys) || (dia != null && dia >= CRISIS.dia);
+  }
+
+  window.VTRanges = Object.freeze({
+    FIELDS: FIELDS,
+    LABELS: LABELS,
+    HARD: HARD,
+    DEFAULT_CONFIRM: DEFAULT_CONFIRM,
+    CRISIS: CRISIS,
+    defaults: defaults,
+    normalizeConfirm: normalizeConfirm,
+    check: check,
+    isCrisis: isCrisis
+  });
+
+})();
+
+/*
+Vitals Tracker — EOF (Jyles Method Pass Footer)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Reading Plausibility Checks (Step 1)
+ImplementationId: JYLES-20261019-RANGES-001
+App Version Authority: js/version.js
+
+File: js/ranges.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+
+Acceptance checks
+- window.VTRanges exists before js/settings.js loads (index.html order).
+- check({ sys:1320, dia:84 }) has an error; check({ sys:80, dia:120 }) has the "must be lower" error; HR 7 is an error.
+- check({ sys:185, dia:95 }) has one warning and crisis:true; 120/80 HR 70 has neither.
+- normalizeConfirm() never returns a band outside HARD or with low >= high.
+
+Test and regroup for next pass.
+------------------------------------------------------------
+*/
@@ -49,6 +49,54 @@ Exports
   function extractNote(r){
     return (r.note ?? r.notes ?? r.text ?? r.comment ?? "").toString().trim();
   }
+  // Context keys as stored (js/context.js vocabulary; also shipped in the JSON export).
+  function extractContext(r){
+    const out = {};
+    ["position","arm","cuff","device"].forEach(k => {
+      out[k] = (typeof r[k] === "string") ? r[k].trim().replace(/[",\n]/g, "") : "";
+    });
+    return out;
+  }
+
+  // Multi-reading session membership (js/sessions.js); every raw reading stays its own CSV row.
+  function extractSession(r){
+    const id = (typeof r.sessionId === "string") ? r.sessionId.replace(/[",\n]/g, "") : "";
+    const index = id ? safeNum(r.sessionIndex) : null;
+    return { id, index: index ?? "" };
+  }
+  // Orthostatic test membership (js/orthostatic.js).
+  function extractOrtho(r){
+    const id = (typeof r.orthoId === "string") ? r.orthoId.replace(/[",\n]/g, "") : "";
+    const step = id && typeof r.orthoStep === "string" ? r.orthoStep.replace(/[",\n]/g, "") : "";
+    return { id, step };
+  }
+  function extractMood(r){
+    // Vocabulary owned by js/mood.js; unknown keys pass through verbatim.
+    const key = (r.mood ?? "").toString().trim();
+    if(!key) return { label:"", intensity:null };
+    const VM = window.VTMood;
+    return {
+      label: VM ? VM.labelFor(key) : key,
+      intensity: VM ? VM.normalizeIntensity(r.moodIntensity) : safeNum(r.moodIntensity)
+    };
+  }
+
+  function extractMeds(r){
+    // "Name dose unit (taken N min before reading)"; formatting owned by js/meds.js.
+    if(window.VTMeds) return window.VTMeds.format(r);
+    return Array.isArray(r.meds) ? r.meds.map(m => m && m.name).filter(Boolean).join("; ") : "";
+  }
+
+  // Audit trail (js/store.js keeps it): entry time (enteredAt; createdAt on older records), last edit time, number of edits.
+  function extractHistory(r){
+    const created = safeNum(r.enteredAt) || safeNum(r.createdAt);
+    const revs = Array.isArray(r.revisions) ? r.revisions.length : 0;
+    return {
+      enteredAt: created && created > 0 ? new Date(created).toISOString() : "",
+      modifiedAt: revs && safeNum(r.updatedAt) ? new Date(r.updatedAt).toISOString() : "",
+      revisions: revs
+    };
+  }
 
   function ymd(ms){
     if(!Number.isFinite(ms) || ms<=0) return "—";
@@ -135,16 +183,56 @@ Exports
     return spans;
   }
 
+  // Report input straight from the indexed store (oldest first), e.g. loadRecords({ from, to, text }).
+  // Takes the VTStore.query() filters; falls back to the full getAll() snapshot on older stores.
+  async function loadRecords(query){
+    const S = window.VTStore;
+    if(!S) return [];
+    if(typeof S.query !== "function") return normalizeRecords(typeof S.getAll === "function" ? S.getAll() : []);
+    const res = await S.query(Object.assign({}, query || {}, { order:"asc", limit:0, cursor:null }));
+    return (res && Array.isArray(res.records)) ? res.records : [];
+  }
+
+  // One entry per measurement: the readings of a multi-reading session (js/sessions.js) count once, as their mean.
+  function measurements(records){
+    return window.VTSessions ? window.VTSessions.collapse(records) : records;
+  }
+
+  // One entry per orthostatic test (js/orthostatic.js): its date and the drop/rise it measured.
+  function orthostaticTests(records){
+    const VO = window.VTOrtho;
+    if(!VO) return [];
+    return VO.group(records).filter(it => it.kind === "test").map(it => {
+      const res = it.result;
+      return {
+        id: it.id,
+        date: ymd(new Date(extractTs(it.anchor) || 0).getTime()),
+        readings: it.members.length,
+        sysDrop: res ? res.sysDrop : null,
+        diaDrop: res ? res.diaDrop : null,
+        hrRise: res ? res.hrRise : null,
+        oh: !!(res && res.oh),
+        pots: !!(res && res.pots),
+        text: res ? res.text : "Incomplete test (no standing reading or no baseline)."
+      };
+    });
+  }
+
   function buildSummary({ records, range }){
     const recs = Array.isArray(records) ? records : [];
     const r = range && range.ok ? range : computeRange(recs);
-    const mm = computeMinMax(recs);
+    // Statistics use session means; `records` still counts every raw reading.
+    const meas = measurements(recs);
+    const mm = computeMinMax(meas);
 
     const notesCount = recs.reduce((acc,rr)=> acc + (extractNote(rr) ? 1 : 0), 0);
 
     return {
       generatedAt: new Date().toISOString(),
       records: recs.length,
+      measurements: meas.length,
+      sessions: meas.filter(m => m && m.sessionCount > 1).length,
+      orthostatic: orthostaticTests(recs),
       notesCount,
       dateRange: r.ok ? { from: ymd(r.tMin), to: ymd(r.tMax) } : { from:"—", to:"—" },
       bp: {
@@ -153,9 +241,9 @@ Exports
       },
       hr: { min: mm.hrMin, max: mm.hrMax },
       spans: {
-        htn2: countBandSpans(recs, "htn2"),
-        htn1: countBandSpans(recs, "htn1"),
-        hypo: countBandSpans(recs, "hypo")
+        htn2: countBandSpans(meas, "htn2"),
+        htn1: countBandSpans(meas, "htn1"),
+        hypo: countBandSpans(meas, "hypo")
       }
     };
   }
@@ -205,6 +293,16 @@ Exports
       exportedAt: new Date().toISOString(),
       records: Array.isArray(records) ? records : []
     };
+    // Records store mood as a vocabulary key; ship the vocabulary so reviewers can decode it.
+    if(window.VTMood) payload.vocabulary = { mood: window.VTMood.getMoods() };
+    if(window.VTContext){
+      const VC = window.VTContext;
+      const context = {};
+      VC.FIELDS.forEach(f => { context[f] = VC.getOptions(f); });
+      payload.vocabulary = Object.assign(payload.vocabulary || {}, { context });
+    }
+    // Hash chain (js/chain.js) so Settings → Evidence can verify this file.
+    if(window.VTChain) payload.chain = window.VTChain.exportSection();
     const text = JSON.stringify(payload, null, 2);
     const blob = new Blob([text], { type:"application/json" });
     const filename = (meta && meta.filename) ? meta.filename : `vitals_export_${Date.now()}.json`;
@@ -213,7 +311,7 @@ Exports
 
   function exportCSV({ records, meta }){
     const recs = Array.isArray(records) ? records : [];
-    const header = ["timestamp","date","time","systolic","diastolic","hr","notes"].join(",");
+    const header = ["timestamp","date","time","systolic","diastolic","hr","position","arm","cuff","device","session_id","session_index","ortho_id","ortho_step","mood","mood_intensity","meds","notes","entered_at","modified_at","revisions"].join(",");
     const rows = recs.map(r=>{
       const t = new Date(extractTs(r) || 0).getTime();
       const d = Number.isFinite(t) && t>0 ? new Date(t) : null;
@@ -223,7 +321,13 @@ Exports
       const time = d ? `${String(hh).padStart(2,"0")}:${mm}` : "";
       const bp = extractBP(r);
       const hr = extractHR(r);
+      const mood = extractMood(r);
+      const meds = extractMeds(r).replace(/"/g,'""');
       const note = extractNote(r).replace(/"/g,'""');
+      const hist = extractHistory(r);
+      const ctx = extractContext(r);
+      const sess = extractSession(r);
+      const ortho = extractOrtho(r);
       return [
         Number.isFinite(t) ? t : "",
         date,
@@ -231,7 +335,21 @@ Exports
         bp.sys ?? "",
         bp.dia ?? "",
         hr ?? "",
-        `"${note}"`
+        ctx.position,
+        ctx.arm,
+        ctx.cuff,
+        ctx.device,
+        sess.id,
+        sess.index,
+        ortho.id,
+        ortho.step,
+        `"${mood.label.replace(/"/g,'""')}"`,
+        mood.intensity ?? "",
+        `"${meds}"`,
+        `"${note}"`,
+        hist.enteredAt,
+        hist.modifiedAt,
+        hist.revisions
       ].join(",");
     });
     const text = [header, ...rows].join("\n");
@@ -248,6 +366,7 @@ Exports
   }
 
   window.VTReporting = {
+    loadRecords,
     computeRange,
     buildSummary,
     getTemplate,
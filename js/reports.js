@@ -14,7 +14,11 @@ Latest Update (v2.001):
 - Initial reporting module; designed to avoid “generic pop-up” exports and provide claim/medical context.
 */
 
-import { fmtDateTime } from "./utils.js";
+import {
+  fmtDateTime,
+  moodText, contextText, sessionText, orthoStepText, orthoSummaryText,
+  medsText, historyLines, chainHeadText, chainHash
+} from "./utils.js";
 import { openExportModal, copyToClipboard } from "./ui.js";
 import { APP_VERSION } from "./state.js";
 
@@ -26,11 +30,16 @@ function buildHeaderLines({ title, rangeLabel, reviewerNotes }){
     `Report: ${title}`,
     `Generated: ${now}`,
     rangeLabel ? `Range: ${rangeLabel}` : "",
+    chainHeadText(),
     "",
     "Method of capture:",
     "- Readings were entered manually by the user into Vitals Tracker on this device.",
     "- Data is stored locally on the device (no account, no cloud sync).",
-    "- Each record may include BP (systolic/diastolic), heart rate, symptoms, and notes.",
+    "- Each record may include BP (systolic/diastolic), heart rate, measurement context (position, arm, cuff, device), symptoms, mood, medications, and notes.",
+    "- Each entry states its original entry time and last-modified time; edits are kept as revision history.",
+    "- Readings taken as a session (2–3 readings about a minute apart) are listed individually; charts and summary statistics use the session mean.",
+    "- An orthostatic test (lying, sitting, standing 1 and 3 min) is listed reading by reading and summarized once with its SYS/DIA drop and HR rise. The orthostatic hypotension (drop of SYS ≥ 20 or DIA ≥ 10) and POTS (HR rise ≥ 30) flags are screening thresholds, not a diagnosis.",
+    "- Every save, edit and deletion is chained with SHA-256; each entry's hash links to the chain head above.",
     "",
     "For medical/claims review (why this matters):",
     reviewerNotes || "- These entries provide time-stamped, contemporaneous self-reported vitals and symptom context. Evaluate trends, clustering during symptomatic episodes, and response to treatment over time.",
@@ -46,15 +55,29 @@ function entryBlock(r){
   const bp = `BP ${r.sys ?? "—"}/${r.dia ?? "—"}`;
   const hr = `HR ${r.hr ?? "—"}`;
   const sym = (r.symptoms && r.symptoms.length) ? r.symptoms.join(", ") : "None";
+  const mood = moodText(r) || "None";
+  const ctx = contextText(r) || "Not recorded";
+  const sess = sessionText(r);
+  const ortho = orthoStepText(r);
+  const meds = medsText(r) || "None";
   const notes = (r.notes && r.notes.trim()) ? r.notes.trim() : "None";
+  const hash = chainHash(r);
 
-  return [
+  const lines = [
     dt,
     `${bp} • ${hr}`,
+    ...(sess ? [`Session: ${sess}`] : []),
+    ...(ortho ? [`Orthostatic test: ${ortho}`] : []),
+    `Context: ${ctx}`,
     `Symptoms: ${sym}`,
+    `Mood: ${mood}`,
+    `Meds: ${meds}`,
     `Notes: ${notes}`,
-    ""
-  ].join("\n");
+    ...historyLines(r)
+  ];
+  if(hash) lines.push(`Hash: ${hash}`);
+  lines.push("");
+  return lines.join("\n");
 }
 
 function makeFilename(base){
@@ -70,7 +93,28 @@ async function exportText({ text, filename }){
   openExportModal({ text, filename });
 }
 
-export function exportLogReport(recs, { search, from, to }){
+// Log filter bounds: "YYYY-MM-DD" covers that whole local day; numbers are ms.
+function dayBound(v, endOfDay){
+  if(v == null || v === "") return null;
+  if(typeof v === "number") return v;
+  const s = String(v);
+  const t = /^\d{4}-\d{2}-\d{2}$/.test(s)
+    ? new Date(`${s}T${endOfDay ? "23:59:59.999" : "00:00:00"}`).getTime()
+    : Date.parse(s);
+  return Number.isFinite(t) ? t : null;
+}
+
+// Without a pre-filtered list, the same filters go to the indexed store (newest first, like the Log).
+async function queryLogRecords({ search, from, to }){
+  const S = window.VTStore;
+  if(!S || typeof S.query !== "function") return [];
+  const res = await S.query({ text: search || null, from: dayBound(from, false), to: dayBound(to, true), order: "desc" });
+  return (res && res.records) || [];
+}
+
+export async function exportLogReport(recs, { search, from, to } = {}){
+  if(!Array.isArray(recs)) recs = await queryLogRecords({ search, from, to });
+
   const rangeLabel = (() => {
     if(from && to) return `${from} to ${to}`;
     if(from) return `From ${from}`;
@@ -89,7 +133,7 @@ export function exportLogReport(recs, { search, from, to }){
     reviewerNotes
   });
 
-  const body = (recs || []).map(entryBlock).join("\n");
+  const body = orthoSummaryText(recs) + (recs || []).map(entryBlock).join("\n");
   const out = header + body;
 
   exportText({
@@ -111,7 +155,7 @@ export function exportChartsVisibleReport(recsInVisibleRange, { viewMin, viewMax
     reviewerNotes
   });
 
-  const body = (recsInVisibleRange || []).map(entryBlock).join("\n");
+  const body = orthoSummaryText(recsInVisibleRange) + (recsInVisibleRange || []).map(entryBlock).join("\n");
   const out = header + body;
 
   exportText({
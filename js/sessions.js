@@ -0,0 +1,165 @@
+/*
+Vitals Tracker — BOF (Jyles Method Pass Header)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Multi-Reading Sessions (averaged)
+ImplementationId: JYLES-20261019-SESSION-001
+App Version Authority: js/version.js
+
+File: js/sessions.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Role / Ownership (LOCKED)
+- Grouping of session member readings (Add Step 1 "Readings: 2 / 3") and their mean, for the Chart
+  (plots means), the Log (one expandable row per session) and report statistics (js/reporting.js).
+- Must NOT read/write storage (members are ordinary records saved by js/add.js).
+- Must NOT render panels or own navigation.
+
+Record shape (persisted by js/add.js on every member)
+- sessionId: string       shared by the readings of one session
+- sessionIndex: number    1-based order within the session
+- sessionSize: number     readings planned when the session started (a session stopped early has fewer)
+Steps 2–4 (symptoms, mood, meds, notes) are saved on the first member (the anchor).
+A session with a single surviving member reads as an ordinary reading.
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+------------------------------------------------------------
+*/
+
+(function () {
+  "use strict";
+
+  // Guidelines: 2–3 readings about a minute apart.
+  const SIZES = Object.freeze([1, 2, 3]);
+  const INTERVAL_MS = 60 * 1000;
+
+  function newId() {
+    return "s-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+  }
+
+  function idOf(rec) {
+    return (rec && typeof rec.sessionId === "string" && rec.sessionId) ? rec.sessionId : "";
+  }
+
+  function num(v) {
+    if (v == null || v === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function order(a, b) {
+    const ia = num(a.sessionIndex);
+    const ib = num(b.sessionIndex);
+    if (ia != null && ib != null && ia !== ib) return ia - ib;
+    return (num(a.ts) || 0) - (num(b.ts) || 0);
+  }
+
+  // Rounded mean per vital over the members that have it: { sys, dia, hr } (null when none do).
+  function mean(members) {
+    const list = Array.isArray(members) ? members : [];
+    const out = {};
+    ["sys", "dia", "hr"].forEach((f) => {
+      const vals = list.map((r) => num(r && r[f])).filter((n) => n != null);
+      out[f] = vals.length ? Math.round(vals.reduce((a, b) => a + b, 0) / vals.length) : null;
+    });
+    // BP is averaged as pairs only.
+    if (out.sys == null || out.dia == null) { out.sys = null; out.dia = null; }
+    return out;
+  }
+
+  // [{ kind:"single", record } | { kind:"session", id, members, anchor, mean }] in input order
+  // (a session sits where its first member appears); members are sorted by sessionIndex.
+  function group(records) {
+    const list = Array.isArray(records) ? records.filter(Boolean) : [];
+    const byId = new Map();
+    list.forEach((r) => {
+      const id = idOf(r);
+      if (!id) return;
+      if (!byId.has(id)) byId.set(id, []);
+      byId.get(id).push(r);
+    });
+
+    const out = [];
+    const placed = new Set();
+    list.forEach((r) => {
+      const id = idOf(r);
+      const members = id ? byId.get(id) : null;
+      if (!members || members.length < 2) {
+        out.push({ kind: "single", record: r });
+        return;
+      }
+      if (placed.has(id)) return;
+      placed.add(id);
+      const sorted = members.slice().sort(order);
+      out.push({ kind: "session", id, members: sorted, anchor: sorted[0], mean: mean(sorted) });
+    });
+    return out;
+  }
+
+  // The record a session stands for: the anchor's fields with the mean vitals, timed at the first reading.
+  function meanRecord(item) {
+    const m = item.mean;
+    const firstTs = Math.min.apply(null, item.members.map((r) => num(r.ts)).filter((n) => n != null));
+    return Object.assign({}, item.anchor, {
+      ts: Number.isFinite(firstTs) ? firstTs : item.anchor.ts,
+      sys: m.sys,
+      dia: m.dia,
+      hr: m.hr,
+      sessionCount: item.members.length
+    });
+  }
+
+  // One entry per measurement: singles as-is, each session replaced by its mean record.
+  function collapse(records) {
+    return group(records).map((it) => (it.kind === "single" ? it.record : meanRecord(it)));
+  }
+
+  // "Reading 2 of 3" | ""
+  function memberText(rec) {
+    if (!idOf(rec)) return "";
+    const i = num(rec.sessionIndex);
+    const n = num(rec.sessionSize);
+    if (i == null) return "Session reading";
+    return "Reading " + i + (n != null && n >= i ? " of " + n : "");
+  }
+
+  window.VTSessions = Object.freeze({
+    SIZES: SIZES,
+    INTERVAL_MS: INTERVAL_MS,
+    newId: newId,
+    idOf: idOf,
+    mean: mean,
+    group: group,
+    meanRecord: meanRecord,
+    collapse: collapse,
+    memberText: memberText
+  });
+
+})();
+
+/*
+Vitals Tracker — EOF (Jyles Method Pass Footer)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Multi-Reading Sessions (averaged)
+ImplementationId: JYLES-20261019-SESSION-001
+App Version Authority: js/version.js
+
+File: js/sessions.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+
+Acceptance checks
+- window.VTSessions exists before js/chart.js, js/log.js and js/add.js load (index.html order).
+- mean() of 132/84 HR 70, 128/82 HR 68, 127/80 is 129/82 HR 69 (HR over the readings that have one).
+- collapse() of two singles plus a 3-reading session returns three records; the session's ts is its first reading.
+- A session with one remaining member is grouped as a single reading.
+
+Test and regroup for next pass.
+------------------------------------------------------------
+*/
@@ -1,8 +1,8 @@
 /* File: js/settings.js */
 /*
 Purpose of this header: verification metadata for this edit (not instructions).
-Edited: 2026-01-20
-Change focus: create Settings module to store/manage medication name list for Add/Edit prefill.
+Edited: 2026-10-19
+Change focus: Merge preview shows rows skipped as empty or unreadable (e.g. abandoned 3.0 placeholders).
 */
 
 (function () {
@@ -11,9 +11,20 @@ Change focus: create Settings module to store/manage medication name list for Ad
   const LS_KEY = "vt_settings_v1";
 
   const DEFAULTS = Object.freeze({
-    medNames: []
+    medNames: [],
+    trashRetentionDays: 30,
+    profile: null,
+    vaultAutoLockMinutes: 5,
+    keepDrafts: false,
+    vitalChecks: null,           // null = VTRanges defaults
+    lastContext: {}              // Add Step 1 context chips, last used
   });
 
+  const TRASH_DAYS_MIN = 1;
+  const TRASH_DAYS_MAX = 365;
+  const LOCK_MIN_MIN = 1;
+  const LOCK_MIN_MAX = 120;
+
   let cache = null;
 
   function safeParse(json) {
@@ -25,7 +36,13 @@ Change focus: create Settings module to store/manage medication name list for Ad
     const raw = localStorage.getItem(LS_KEY);
     const obj = raw ? safeParse(raw) : null;
     const merged = {
-      medNames: Array.isArray(obj && obj.medNames) ? obj.medNames.slice() : []
+      medNames: Array.isArray(obj && obj.medNames) ? obj.medNames.slice() : [],
+      trashRetentionDays: normalizeDays(obj && obj.trashRetentionDays),
+      profile: normalizeProfile(obj && obj.profile),
+      vaultAutoLockMinutes: normalizeLockMinutes(obj && obj.vaultAutoLockMinutes),
+      keepDrafts: (obj && typeof obj.keepDrafts === "boolean") ? obj.keepDrafts : DEFAULTS.keepDrafts,
+      vitalChecks: normalizeVitalChecks(obj && obj.vitalChecks),
+      lastContext: normalizeContext(obj && obj.lastContext)
     };
     merged.medNames = normalizeList(merged.medNames);
     cache = merged;
@@ -58,6 +75,195 @@ Change focus: create Settings module to store/manage medication name list for Ad
     return out;
   }
 
+  function normalizeDays(v) {
+    const n = (v == null || v === "") ? NaN : Math.round(Number(v));
+    if (!Number.isFinite(n)) return DEFAULTS.trashRetentionDays;
+    return Math.max(TRASH_DAYS_MIN, Math.min(TRASH_DAYS_MAX, n));
+  }
+
+  // Patient/provider details for reports: { name, doctor, clinic, conditions[] } or null.
+  function normalizeProfile(p) {
+    if (!p || typeof p !== "object") return null;
+    const out = {
+      name: normalizeOne(p.name),
+      doctor: normalizeOne(p.doctor),
+      clinic: normalizeOne(p.clinic),
+      conditions: Array.isArray(p.conditions) ? p.conditions.map(normalizeOne).filter(Boolean) : []
+    };
+    return (out.name || out.doctor || out.clinic || out.conditions.length) ? out : null;
+  }
+
+  function getProfile() {
+    const p = load().profile;
+    return p ? Object.assign({}, p, { conditions: p.conditions.slice() }) : null;
+  }
+
+  function setProfile(p) {
+    const s = load();
+    s.profile = normalizeProfile(p);
+    save();
+    notify();
+    return getProfile();
+  }
+
+  // Med names + profile from the prototype builds (VTStorage.readPrototypeSettings()).
+  // Adds missing med names; profile fields only fill blanks, never overwrite.
+  function prototypeChanges(data) {
+    const s = load();
+    const have = new Set(s.medNames.map(x => x.toLowerCase()));
+    const medNames = normalizeList((data && data.medNames) || []).filter(x => !have.has(x.toLowerCase()));
+
+    const incoming = normalizeProfile(data && data.profile);
+    let profile = null;
+    if (incoming) {
+      const cur = s.profile || { name: "", doctor: "", clinic: "", conditions: [] };
+      const next = {
+        name: cur.name || incoming.name,
+        doctor: cur.doctor || incoming.doctor,
+        clinic: cur.clinic || incoming.clinic,
+        conditions: cur.conditions.length ? cur.conditions : incoming.conditions
+      };
+      if (JSON.stringify(next) !== JSON.stringify(cur)) profile = next;
+    }
+    return { medNames, profile };
+  }
+
+  function importPrototypeSettings(data) {
+    const ch = prototypeChanges(data);
+    if (!ch.medNames.length && !ch.profile) return { medNames: 0, profile: false };
+    const s = load();
+    s.medNames = normalizeList(s.medNames.concat(ch.medNames));
+    if (ch.profile) s.profile = ch.profile;
+    save();
+    notify();
+    return { medNames: ch.medNames.length, profile: !!ch.profile };
+  }
+
+  function normalizeLockMinutes(v) {
+    const n = (v == null || v === "") ? NaN : Math.round(Number(v));
+    if (!Number.isFinite(n)) return DEFAULTS.vaultAutoLockMinutes;
+    return Math.max(LOCK_MIN_MIN, Math.min(LOCK_MIN_MAX, n));
+  }
+
+  function getVaultAutoLockMinutes() {
+    return load().vaultAutoLockMinutes;
+  }
+
+  function setVaultAutoLockMinutes(min) {
+    const s = load();
+    s.vaultAutoLockMinutes = normalizeLockMinutes(min);
+    save();
+    notify();
+    return s.vaultAutoLockMinutes;
+  }
+
+  // Opt-in: the Add wizard's unfinished entry is kept on the device (VTStore.DRAFT_TTL_MS).
+  function getKeepDrafts() {
+    return load().keepDrafts;
+  }
+
+  function setKeepDrafts(on) {
+    const s = load();
+    s.keepDrafts = !!on;
+    save();
+    // Turning it off must not leave a saved draft behind.
+    if (!s.keepDrafts) {
+      try { if (window.VTStore && typeof window.VTStore.clearDraft === "function") window.VTStore.clearDraft(); } catch (_) {}
+    }
+    notify();
+    return s.keepDrafts;
+  }
+
+  function renderKeepDrafts() {
+    const el = $("inKeepDraftsSetting");
+    if (el) el.checked = getKeepDrafts();
+  }
+
+  // Step 1 confirm bands: { sys:{low,high}, dia:{low,high}, hr:{low,high} } (js/ranges.js validates).
+  function normalizeVitalChecks(v) {
+    if (!v || typeof v !== "object") return DEFAULTS.vitalChecks;
+    try {
+      if (window.VTRanges) return window.VTRanges.normalizeConfirm(v);
+    } catch (_) {}
+    return DEFAULTS.vitalChecks;
+  }
+
+  function getVitalChecks() {
+    const v = load().vitalChecks;
+    if (v) return JSON.parse(JSON.stringify(v));
+    return window.VTRanges ? window.VTRanges.defaults() : null;
+  }
+
+  // null restores the defaults.
+  function setVitalChecks(v) {
+    const s = load();
+    s.vitalChecks = normalizeVitalChecks(v);
+    save();
+    notify();
+    return getVitalChecks();
+  }
+
+  // { position, arm, cuff, device } (known keys only; js/context.js owns the vocabulary).
+  function normalizeContext(v) {
+    try {
+      if (window.VTContext) return window.VTContext.normalize(v);
+    } catch (_) {}
+    return {};
+  }
+
+  function getLastContext() {
+    return Object.assign({}, load().lastContext);
+  }
+
+  // Not shown in Settings, so no vt:settingsChanged.
+  function setLastContext(v) {
+    const s = load();
+    s.lastContext = normalizeContext(v);
+    save();
+    return getLastContext();
+  }
+
+  const VITAL_CHECK_INPUTS = Object.freeze({
+    sys: ["inSysLowSetting", "inSysHighSetting"],
+    dia: ["inDiaLowSetting", "inDiaHighSetting"],
+    hr: ["inHrLowSetting", "inHrHighSetting"]
+  });
+
+  function renderVitalChecks() {
+    const v = getVitalChecks();
+    if (!v) return;
+    Object.keys(VITAL_CHECK_INPUTS).forEach(function (f) {
+      const ids = VITAL_CHECK_INPUTS[f];
+      const lo = $(ids[0]);
+      const hi = $(ids[1]);
+      if (lo) lo.value = String(v[f].low);
+      if (hi) hi.value = String(v[f].high);
+    });
+  }
+
+  function readVitalCheckInputs() {
+    const out = {};
+    Object.keys(VITAL_CHECK_INPUTS).forEach(function (f) {
+      const ids = VITAL_CHECK_INPUTS[f];
+      const lo = $(ids[0]);
+      const hi = $(ids[1]);
+      out[f] = { low: lo ? lo.value : null, high: hi ? hi.value : null };
+    });
+    return out;
+  }
+
+  function getTrashRetentionDays() {
+    return load().trashRetentionDays;
+  }
+
+  function setTrashRetentionDays(days) {
+    const s = load();
+    s.trashRetentionDays = normalizeDays(days);
+    save();
+    notify();
+    return s.trashRetentionDays;
+  }
+
   function getMedNames() {
     const s = load();
     return s.medNames.slice();
@@ -132,6 +338,434 @@ Change focus: create Settings module to store/manage medication name list for Ad
     });
   }
 
+  // --- Storage health (VTStorage.health(): backend, count, navigator.storage estimate)
+  function fmtBytes(n) {
+    const v = Number(n) || 0;
+    if (v < 1024) return `${v} B`;
+    if (v < 1024 * 1024) return `${(v / 1024).toFixed(1)} KB`;
+    if (v < 1024 * 1024 * 1024) return `${(v / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(v / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  }
+
+  const BACKEND_LABELS = Object.freeze({
+    indexedDB: "IndexedDB (LocalStorage backup copy)",
+    localStorage: "LocalStorage only"
+  });
+
+  function healthLine(host, label, value, warn) {
+    const row = document.createElement("div");
+    row.className = "settingsLine" + (warn ? " warn" : "");
+    const l = document.createElement("span");
+    l.className = "muted";
+    l.textContent = label;
+    const v = document.createElement("span");
+    v.textContent = value;
+    row.appendChild(l);
+    row.appendChild(v);
+    host.appendChild(row);
+  }
+
+  let _healthSeq = 0;
+
+  async function renderStorageHealth() {
+    const host = $("storageHealthSetting");
+    if (!host) return;
+
+    const S = window.VTStorage;
+    if (!S || typeof S.health !== "function") {
+      host.innerHTML = "";
+      healthLine(host, "Storage", "Unavailable in this build", true);
+      return;
+    }
+
+    const seq = ++_healthSeq;
+    let h = null;
+    try { h = await S.health(); } catch (_) {}
+    if (seq !== _healthSeq) return;   // a newer render superseded this one
+
+    host.innerHTML = "";
+    if (!h) {
+      healthLine(host, "Storage", "Could not read storage status", true);
+      return;
+    }
+
+    healthLine(host, "Backend", BACKEND_LABELS[h.backend] || h.backend, h.backend !== "indexedDB");
+    healthLine(host, "Records", String(h.count));
+
+    if (h.estimate && h.estimate.quota) {
+      const pct = Math.round((h.estimate.usage / h.estimate.quota) * 100);
+      healthLine(host, "Used", `${fmtBytes(h.estimate.usage)} of ${fmtBytes(h.estimate.quota)} (${pct}%)`, pct >= 90);
+    } else {
+      healthLine(host, "Used", "Estimate unavailable");
+    }
+    healthLine(host, "LocalStorage copy", fmtBytes(h.localStorageBytes));
+
+    healthLine(host, "Persistent",
+      h.persisted == null ? "Not supported" : (h.persisted ? "Yes" : "No (browser may clear data under pressure)"),
+      h.persisted === false);
+
+    if (h.lastLocalWrite && !h.lastLocalWrite.ok) {
+      healthLine(host, "Last backup copy",
+        h.lastLocalWrite.reason === "quota-exceeded" ? "Failed: LocalStorage is full" : "Failed", true);
+    }
+
+    const btnPersist = $("btnPersistSetting");
+    if (btnPersist) btnPersist.hidden = h.persisted !== false;
+  }
+
+  // --- Older data merge (VTStorage.previewMerge / commitMerge)
+  const MERGE_CONFLICTS_SHOWN = 10;
+
+  function fmtVitals(v) {
+    const bp = (v.sys != null && v.dia != null) ? `${v.sys}/${v.dia}` : "--/--";
+    return v.hr != null ? `${bp} HR ${v.hr}` : bp;
+  }
+
+  function shortSource(src) {
+    return String(src || "").replace(/^localStorage:/, "").replace(/^indexedDB:/, "IDB ");
+  }
+
+  function renderMergePreview(p) {
+    const host = $("mergePreviewSetting");
+    const actions = $("mergeActionsSetting");
+    if (!host) return;
+    host.innerHTML = "";
+    if (actions) actions.hidden = true;
+
+    if (!p || !p.ok) {
+      healthLine(host, "Scan", "Could not read older data", true);
+      return;
+    }
+
+    const ch = prototypeChanges(p.settings);
+    const pending = p.newCount + (p.trashCount || 0) + ch.medNames.length + (ch.profile ? 1 : 0);
+
+    if (!p.sources.length && !pending) {
+      healthLine(host, "Older sources", "None found");
+      return;
+    }
+
+    p.sources.forEach(src => {
+      const parts = [`${src.total} found`, `${src.added} new`, `${src.duplicates} already here`];
+      if (src.conflicts) parts.push(`${src.conflicts} conflict${src.conflicts === 1 ? "" : "s"}`);
+      if (src.trashed) parts.push(`${src.trashed} deleted → Trash`);
+      if (src.deleted) parts.push(`${src.deleted} deleted here (skipped)`);
+      if (src.invalid) parts.push(`${src.invalid} empty or unreadable (skipped)`);
+      healthLine(host, src.build ? `${src.build} build` : shortSource(src.source), parts.join(" · "), src.conflicts > 0);
+    });
+
+    p.conflicts.slice(0, MERGE_CONFLICTS_SHOWN).forEach(c => {
+      let when = "";
+      try { when = new Date(c.ts).toLocaleString(); } catch (_) {}
+      healthLine(host, `Conflict ${when}`,
+        `${fmtVitals(c.record)} (${shortSource(c.record.source)}) vs ${fmtVitals(c.other)} (${shortSource(c.other.source)})`, true);
+    });
+    if (p.conflicts.length > MERGE_CONFLICTS_SHOWN) {
+      healthLine(host, "", `…and ${p.conflicts.length - MERGE_CONFLICTS_SHOWN} more conflicts`, true);
+    }
+
+    if (ch.medNames.length) healthLine(host, "Medication names", `${ch.medNames.length} to add: ${ch.medNames.join(", ")}`);
+    if (ch.profile) healthLine(host, "Profile", [ch.profile.name, ch.profile.doctor, ch.profile.clinic].filter(Boolean).join(" · ") || "Conditions");
+
+    if (!pending) {
+      healthLine(host, "Result", "Everything is already merged");
+      return;
+    }
+
+    const btnAll = $("btnMergeAllSetting");
+    const btnSkip = $("btnMergeSkipSetting");
+    if (btnAll) btnAll.textContent = p.newCount ? `Merge all (${p.newCount})` : "Merge";
+    if (btnSkip) {
+      btnSkip.textContent = `Merge, skip conflicts (${p.newCount - p.conflictCount})`;
+      btnSkip.hidden = !p.conflictCount;
+    }
+    if (actions) actions.hidden = false;
+  }
+
+  async function scanOlderData() {
+    const S = window.VTStorage;
+    if (!S || typeof S.previewMerge !== "function") {
+      renderMergePreview(null);
+      return;
+    }
+    renderMergePreview(await S.previewMerge());
+  }
+
+  async function mergeOlderData(skipConflicts) {
+    const S = window.VTStorage;
+    if (!S || typeof S.commitMerge !== "function") return;
+
+    const res = await S.commitMerge({ skipConflicts: !!skipConflicts });
+    if (!res || !res.ok) {
+      alert(res && res.reason === "quota-exceeded"
+        ? "Merge failed: device storage is full. Nothing was added."
+        : "Merge failed. Nothing was added.");
+      return;
+    }
+
+    try { if (window.VTStore && typeof window.VTStore.reload === "function") await window.VTStore.reload(); } catch (_) {}
+
+    let imported = { medNames: 0, profile: false };
+    try { if (typeof S.readPrototypeSettings === "function") imported = importPrototypeSettings(S.readPrototypeSettings()); } catch (_) {}
+
+    const lines = [`Merged ${res.added} reading${res.added === 1 ? "" : "s"}` + (res.skipped ? ` (${res.skipped} conflicting skipped).` : ".")];
+    if (res.trashed) lines.push(`${res.trashed} previously deleted reading${res.trashed === 1 ? "" : "s"} moved to Trash.`);
+    if (imported.medNames) lines.push(`Added ${imported.medNames} medication name${imported.medNames === 1 ? "" : "s"}.`);
+    if (imported.profile) lines.push("Profile details filled in.");
+    alert(lines.join("\n"));
+    renderTrash();
+    scanOlderData();
+    renderStorageHealth();
+  }
+
+  // --- Vault (VTVault holds the key; VTStorage migrates records both ways)
+  const VAULT_ERRORS = Object.freeze({
+    "weak-passphrase": "Use a passphrase of at least 8 characters.",
+    "wrong-passphrase": "Wrong passphrase.",
+    "no-indexeddb": "This browser cannot use the vault (IndexedDB unavailable).",
+    "unsupported": "This browser cannot use the vault (WebCrypto unavailable).",
+    "quota-exceeded": "Device storage is full. Nothing was changed."
+  });
+
+  async function renderVault() {
+    const host = $("vaultStatusSetting");
+    const off = $("vaultOffSetting");
+    const on = $("vaultOnSetting");
+    if (!host) return;
+    host.innerHTML = "";
+
+    const V = window.VTVault;
+    if (!V || !V.isSupported()) {
+      healthLine(host, "Vault", "Not available in this browser", true);
+      if (off) off.hidden = true;
+      if (on) on.hidden = true;
+      return;
+    }
+
+    const enabled = V.isEnabled();
+    healthLine(host, "Vault", enabled ? `On · locks after ${getVaultAutoLockMinutes()} min idle` : "Off (stored as plain text)", !enabled);
+    if (off) off.hidden = enabled;
+    if (on) on.hidden = !enabled;
+
+    const inMin = $("inVaultLockMinSetting");
+    if (inMin && document.activeElement !== inMin) inMin.value = String(getVaultAutoLockMinutes());
+
+    if (enabled && window.VTStorage && typeof window.VTStorage.plaintextSources === "function") {
+      const left = await window.VTStorage.plaintextSources();
+      const n = left.reduce((a, x) => a + x.count, 0);
+      if (n) healthLine(host, "Not encrypted", `${n} reading${n === 1 ? "" : "s"} in older copies (merge them, then Clear Data to remove)`, true);
+    }
+  }
+
+  async function enableVault() {
+    const p1 = $("inVaultPassSetting");
+    const p2 = $("inVaultPass2Setting");
+    const a = p1 ? String(p1.value || "") : "";
+    const b = p2 ? String(p2.value || "") : "";
+    const min = (window.VTVault && window.VTVault.MIN_PASSPHRASE) || 8;
+    if (a.length < min) { alert(VAULT_ERRORS["weak-passphrase"]); return; }
+    if (a !== b) { alert("The passphrases do not match."); return; }
+    if (!confirm("Turn on the vault?\n\nIf the passphrase is forgotten, the readings on this device cannot be recovered.")) return;
+
+    const btn = $("btnVaultEnableSetting");
+    if (btn) btn.disabled = true;
+    let res = null;
+    try { res = await window.VTStorage.enableVault(a); } catch (_) {}
+    if (btn) btn.disabled = false;
+    if (p1) p1.value = "";
+    if (p2) p2.value = "";
+
+    if (!res || !res.ok) {
+      alert("Vault not turned on. " + (VAULT_ERRORS[res && res.reason] || "Nothing was changed."));
+    } else {
+      alert(`Vault on. ${res.records} reading${res.records === 1 ? "" : "s"} encrypted.`);
+    }
+    renderVault();
+    renderStorageHealth();
+  }
+
+  async function disableVault() {
+    const p = $("inVaultOffPassSetting");
+    const pass = p ? String(p.value || "") : "";
+    if (!pass) { alert("Enter the passphrase to turn off the vault."); return; }
+    if (!confirm("Turn off the vault? Readings will be stored on this device as plain text.")) return;
+
+    const btn = $("btnVaultDisableSetting");
+    if (btn) btn.disabled = true;
+    let res = null;
+    try { res = await window.VTStorage.disableVault(pass); } catch (_) {}
+    if (btn) btn.disabled = false;
+    if (p) p.value = "";
+
+    if (!res || !res.ok) alert("Vault still on. " + (VAULT_ERRORS[res && res.reason] || "Nothing was changed."));
+    else alert(`Vault off. ${res.records} reading${res.records === 1 ? "" : "s"} decrypted.`);
+    renderVault();
+    renderStorageHealth();
+  }
+
+  // --- Evidence (VTChain hash chain): status, evidence JSON, verify an exported file
+  const VERIFY_PROBLEMS_SHOWN = 20;
+
+  async function renderChain() {
+    const host = $("chainStatusSetting");
+    if (!host) return;
+    const C = window.VTChain;
+    if (!C || !C.isSupported()) {
+      host.innerHTML = "";
+      healthLine(host, "Hash chain", "Not available in this browser", true);
+      return;
+    }
+
+    try { await C.settled(); } catch (_) {}
+    host.innerHTML = "";
+    const h = C.head();
+    if (!h) {
+      healthLine(host, "Hash chain", "Starts with the next saved reading");
+      return;
+    }
+    const first = C.entries()[0];
+    healthLine(host, "Entries", `${h.count} since ${first ? new Date(first.at).toLocaleDateString() : "?"}`);
+    healthLine(host, "Head", C.short(h.hash) + "…");
+  }
+
+  async function exportEvidence() {
+    const C = window.VTChain;
+    const store = window.VTStore;
+    if (!C || !store || !window.VTUI || typeof window.VTUI.downloadJSON !== "function") return;
+    try { await C.settled(); } catch (_) {}
+
+    const records = store.getAll().sort((a, b) => a.ts - b.ts);
+    let appVersion = "";
+    try { appVersion = window.VTVersion.getVersionString(); } catch (_) {}
+    window.VTUI.downloadJSON({
+      app: "Vitals Tracker",
+      appVersion,
+      kind: "evidence",
+      exportedAt: new Date().toISOString(),
+      records,
+      chain: C.exportSection()
+    }, "vitals_evidence_" + new Date().toISOString().slice(0, 10) + ".json");
+  }
+
+  async function verifyFile(file) {
+    const host = $("verifyResultSetting");
+    if (!host || !file) return;
+    host.innerHTML = "";
+    healthLine(host, "Verify", "Checking…");
+
+    let res = null;
+    try {
+      res = await window.VTChain.verify(JSON.parse(await file.text()));
+    } catch (_) {
+      res = null;
+    }
+
+    host.innerHTML = "";
+    if (!res) {
+      healthLine(host, "Verify", "Not a Vitals Tracker JSON export", true);
+      return;
+    }
+
+    healthLine(host, "Result", res.ok ? "Intact — no gaps or modified entries" : `${res.problems.length} problem${res.problems.length === 1 ? "" : "s"} found`, !res.ok);
+    healthLine(host, "Entries", String(res.entries));
+    healthLine(host, "Readings matched", `${res.matched} of ${res.records}` + (res.notIncluded ? ` (${res.notIncluded} not in this file)` : ""));
+    if (res.head) healthLine(host, "Head", window.VTChain.short(res.head) + "…");
+    res.problems.slice(0, VERIFY_PROBLEMS_SHOWN).forEach(function (p) {
+      healthLine(host, "•", p.text, true);
+    });
+    if (res.problems.length > VERIFY_PROBLEMS_SHOWN) {
+      healthLine(host, "", `…and ${res.problems.length - VERIFY_PROBLEMS_SHOWN} more`, true);
+    }
+  }
+
+  // --- Trash view (records soft-deleted via VTStore.remove)
+  function describeTrashed(rec) {
+    const parts = [];
+    if (rec.sys != null && rec.dia != null) parts.push(`BP ${rec.sys}/${rec.dia}`);
+    if (rec.hr != null) parts.push(`HR ${rec.hr}`);
+    try { parts.push(new Date(rec.ts).toLocaleString()); } catch (_) {}
+    return parts.join(" • ");
+  }
+
+  function renderTrash() {
+    const host = $("trashListSetting");
+    if (!host) return;
+
+    const days = getTrashRetentionDays();
+    const inDays = $("inTrashDaysSetting");
+    if (inDays && document.activeElement !== inDays) inDays.value = String(days);
+
+    const store = window.VTStore;
+    if (!store || typeof store.getTrash !== "function") {
+      host.innerHTML = "";
+      const na = document.createElement("div");
+      na.className = "muted";
+      na.textContent = "Trash is unavailable in this build.";
+      host.appendChild(na);
+      return;
+    }
+
+    try { store.purgeExpiredTrash(); } catch (_) {}
+    const entries = store.getTrash();
+    host.innerHTML = "";
+
+    const btnEmpty = $("btnEmptyTrashSetting");
+    if (btnEmpty) btnEmpty.disabled = !entries.length;
+
+    if (!entries.length) {
+      const empty = document.createElement("div");
+      empty.className = "muted";
+      empty.textContent = "Trash is empty.";
+      host.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const rec = entry.record;
+
+      const row = document.createElement("div");
+      row.className = "settingsItem";
+
+      const left = document.createElement("div");
+      left.className = "settingsItemName";
+      left.textContent = describeTrashed(rec);
+
+      const meta = document.createElement("div");
+      meta.className = "muted settingsItemMeta";
+      const msLeft = entry.deletedAt + days * 86400000 - Date.now();
+      const daysLeft = Math.max(0, Math.ceil(msLeft / 86400000));
+      meta.textContent = `Deleted ${new Date(entry.deletedAt).toLocaleDateString()} · purged in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`;
+      left.appendChild(meta);
+
+      const btnRestore = document.createElement("button");
+      btnRestore.className = "settingsItemBtn";
+      btnRestore.type = "button";
+      btnRestore.textContent = "Restore";
+      btnRestore.addEventListener("click", async function () {
+        btnRestore.disabled = true;
+        let rec2 = null;
+        try { rec2 = await store.restore(rec.id); } catch (_) {}
+        if (!rec2) alert("Could not restore this reading.");
+        renderTrash();
+      });
+
+      const btnPurge = document.createElement("button");
+      btnPurge.className = "settingsItemBtn danger";
+      btnPurge.type = "button";
+      btnPurge.textContent = "Delete forever";
+      btnPurge.addEventListener("click", function () {
+        if (!window.confirm(`Permanently delete this reading (${describeTrashed(rec)})? This cannot be undone.`)) return;
+        store.purgeTrash(rec.id);
+        renderTrash();
+      });
+
+      row.appendChild(left);
+      row.appendChild(btnRestore);
+      row.appendChild(btnPurge);
+      host.appendChild(row);
+    });
+  }
+
   function bindOnce(el, key, handler, opts) {
     if (!el) return;
     const k = `vtBound_${key}`;
@@ -169,18 +803,143 @@ Change focus: create Settings module to store/manage medication name list for Ad
     }
 
     renderMedList();
+
+    // Unfinished entries (Add wizard draft)
+    const inKeep = $("inKeepDraftsSetting");
+    if (inKeep) {
+      inKeep.addEventListener("change", function () {
+        inKeep.checked = setKeepDrafts(inKeep.checked);
+      });
+    }
+    renderKeepDrafts();
+
+    // Reading checks (Step 1 confirm bands)
+    Object.keys(VITAL_CHECK_INPUTS).forEach(function (f) {
+      VITAL_CHECK_INPUTS[f].forEach(function (id) {
+        const el = $(id);
+        if (el) el.addEventListener("change", function () { setVitalChecks(readVitalCheckInputs()); });
+      });
+    });
+    bindOnce($("btnVitalChecksResetSetting"), "vitalChecksResetSetting", function () { setVitalChecks(null); });
+    renderVitalChecks();
+
+    // Trash
+    const inDays = $("inTrashDaysSetting");
+    if (inDays) {
+      inDays.addEventListener("change", function () {
+        inDays.value = String(setTrashRetentionDays(inDays.value));
+      });
+    }
+
+    bindOnce($("btnEmptyTrashSetting"), "emptyTrashSetting", function () {
+      const store = window.VTStore;
+      if (!store || typeof store.purgeTrash !== "function") return;
+      const n = store.getTrash().length;
+      if (!n) return;
+      if (!window.confirm(`Permanently delete ${n} reading${n === 1 ? "" : "s"} in Trash? This cannot be undone.`)) return;
+      store.purgeTrash();
+      renderTrash();
+    });
+
+    renderTrash();
+
+    // Storage health
+    bindOnce($("btnStorageRefreshSetting"), "storageRefreshSetting", function () {
+      renderStorageHealth();
+    });
+
+    bindOnce($("btnPersistSetting"), "persistSetting", async function () {
+      const S = window.VTStorage;
+      if (!S || typeof S.requestPersistence !== "function") return;
+      const granted = await S.requestPersistence({ force: true });
+      if (granted === false) alert("The browser declined persistent storage. Installing the app to the home screen usually allows it.");
+      renderStorageHealth();
+    });
+
+    renderStorageHealth();
+
+    // Vault
+    bindOnce($("btnVaultEnableSetting"), "vaultEnableSetting", function () { enableVault(); });
+    bindOnce($("btnVaultDisableSetting"), "vaultDisableSetting", function () { disableVault(); });
+    bindOnce($("btnVaultLockSetting"), "vaultLockSetting", function () {
+      try { document.dispatchEvent(new CustomEvent("vt:vaultLock", { detail: { reason: "manual" } })); } catch (_) {}
+    });
+    const inLockMin = $("inVaultLockMinSetting");
+    if (inLockMin) {
+      inLockMin.addEventListener("change", function () {
+        inLockMin.value = String(setVaultAutoLockMinutes(inLockMin.value));
+      });
+    }
+
+    renderVault();
+
+    // Older data merge (scan is explicit; nothing is written until a Merge button is tapped)
+    bindOnce($("btnMergeScanSetting"), "mergeScanSetting", function () { scanOlderData(); });
+    bindOnce($("btnMergeAllSetting"), "mergeAllSetting", function () { mergeOlderData(false); });
+    bindOnce($("btnMergeSkipSetting"), "mergeSkipSetting", function () { mergeOlderData(true); });
+
+    // Evidence (hash chain)
+    bindOnce($("btnChainExportSetting"), "chainExportSetting", function () { exportEvidence(); });
+    const inVerify = $("inVerifyFileSetting");
+    if (inVerify) {
+      inVerify.addEventListener("change", function () {
+        const f = inVerify.files && inVerify.files[0];
+        verifyFile(f).finally(function () { inVerify.value = ""; });
+      });
+    }
+
+    renderChain();
   }
 
   // Public API
   window.VTSettings = Object.freeze({
     getMedNames: getMedNames,
     addMedName: addMedName,
-    removeMedName: removeMedName
+    removeMedName: removeMedName,
+    getTrashRetentionDays: getTrashRetentionDays,
+    setTrashRetentionDays: setTrashRetentionDays,
+    getVaultAutoLockMinutes: getVaultAutoLockMinutes,
+    setVaultAutoLockMinutes: setVaultAutoLockMinutes,
+    getKeepDrafts: getKeepDrafts,
+    setKeepDrafts: setKeepDrafts,
+    getVitalChecks: getVitalChecks,
+    getLastContext: getLastContext,
+    setLastContext: setLastContext,
+    setVitalChecks: setVitalChecks,
+    getProfile: getProfile,
+    setProfile: setProfile,
+    importPrototypeSettings: importPrototypeSettings,
+    renderTrash: renderTrash,
+    renderStorageHealth: renderStorageHealth
   });
 
   // React to changes
   document.addEventListener("vt:settingsChanged", function () {
     renderMedList();
+    renderKeepDrafts();
+    renderVitalChecks();
+    renderTrash();
+    renderVault();
+  });
+
+  // Trash changes happen elsewhere (Log/Add delete); refresh whenever Settings is shown.
+  document.addEventListener("vt:panelChanged", function (e) {
+    try {
+      if (e && e.detail && e.detail.active === "settings") {
+        renderTrash();
+        renderStorageHealth();
+        renderVault();
+        renderChain();
+      }
+    } catch (_) {}
+  });
+
+  // Deletes/restores (this tab or another) change the Trash and the chain head while Settings is open.
+  document.addEventListener("vt:recordsChanged", function () {
+    const panel = $("panelSettings");
+    if (!panel || !panel.classList.contains("active")) return;
+    renderTrash();
+    renderChain();
   });
 
   if (document.readyState === "loading") {
@@ -16,12 +16,12 @@ End Beacon Drift Control Note
 
 File: js/storage.js
 App Version Authority: js/version.js
-ImplementationId: PP-20260121-001
+ImplementationId: JYLES-20261019-CONTEXT-001
 Prime Pass: Step 6 of 23
 Prev (this run): js/utils.js
 Next (this run): js/store.js
-FileEditId: 1
-Edited: 2026-01-21
+FileEditId: 19
+Edited: 2026-10-19
 
 Role / Ownership (LOCKED)
 - Single storage abstraction for the app.
@@ -29,17 +29,49 @@ Role / Ownership (LOCKED)
 - Chart/Log must pull records via VTStorage.getAllRecords().
 
 Implemented (facts only)
-- Exported API surface: detect(), getAllRecords(), putRecord(), deleteRecordById()
-- Canonical LocalStorage key write path enabled; cache invalidates on write/delete
+- Exported API surface: detect(), getAllRecords(), putRecord(), deleteRecordById(), saveAll(), clear(), exportBackup(), clearAll(), trash API
+- saveAll(records)/clear(): bulk replace/empty of the live set in one IDB transaction (sealed up front in vault mode),
+  or one LocalStorage write + one legacy-store transaction on the fallback path; trash and ledger untouched
+- clearAll() wipes CANON_LS_KEY, every LS_KEYS entry, the trash and every IDB_DBS/IDB_STORES store; returns a per-source report
+- previewMerge()/commitMerge({ skipConflicts }): union of all legacy sources (de-dupe by ts + sys/dia/hr),
+  per-source counts + conflicts before writing; merged/imported records carry `source`; readings in the Trash or
+  purged from it (PURGED_LS_KEY; sealed in vault mode) are skipped (`deleted` count)
+- Prototype builds (PROTOTYPE_LAYOUTS: kimi "vitals_readings", 3.0 "vitals_readings_v3_2A3") are read as sources:
+  position/arm -> lowercase keys, med names -> meds[], distress -> distressFinal (0–100), hidden -> Trash on merge,
+  abandoned 3.0 placeholders (complete:false, empty) skipped;
+  readPrototypeSettings() returns their med-name list + profile for VTSettings
+- health(): backend, record count, navigator.storage estimate/persisted, LocalStorage bytes, last LocalStorage write
+- requestPersistence(): navigator.storage.persist() once on first run (PERSIST_LS_KEY), or on demand with { force:true }
+- Trash (TRASH_LS_KEY): trashRecord(), getTrash(), restoreFromTrash(), purgeTrash(), purgeExpiredTrash(days)
+- Hash chain ledger (CHAIN_LS_KEY): readChain()/writeChain() persist js/chain.js entries (sealed in vault mode);
+  exportBackup() carries it as `chain`; clearAll() removes it
+- Add-wizard draft (DRAFT_LS_KEY): readDraft()/writeDraft(draft, expiresAt)/removeDraft() (sealed in vault mode;
+  dropped on vault on/off and by clearAll(); not part of exportBackup())
+- queryRecords({ from, to, hasSymptom, minSys, minHr, medName, text, position, arm, cuff, device, limit, cursor, order })
+  -> { records, cursor }: ts index range + direction, other filters on the cursor walk (context keys match exactly),
+  opaque "<ts>:<id>" page cursor
+- Other tabs: invalidate() drops the read cache (VTStore calls it on a BroadcastChannel change); a "storage" event
+  also clears it and, in vault mode, re-opens the sealed trash/ledger
+- Records carry an immutable string id (newId(); deterministic legacyId() backfill in normalizeRecord); ts is editable
+- Canonical IndexedDB "vitals_tracker_canon" (store "records", keyPath id, index ts; schema v2) is authoritative when it opens:
+  versioned via CANON_IDB_VERSION + MIGRATIONS chain (onupgradeneeded), one-time import from the best
+  LocalStorage/legacy source (meta marker "lsImport"), single-record put/delete per write
+- CANON_LS_KEY is a debounced mirror/backup of the canonical DB (flushMirror(); also flushed when hidden)
+- Without IndexedDB the LocalStorage key stays authoritative (previous write path); cache invalidates on write/delete
 - Normalization outputs canonical required fields:
-  { ts:number, sys:number|null, dia:number|null, hr:number|null, notes:string, symptoms:string[] }
+  { id:string, ts:number, sys:number|null, dia:number|null, hr:number|null, notes:string, symptoms:string[] }
 - PASS-THROUGH persistence: additional fields preserved (distress/mood/med markers/symptom scoring maps/etc)
-- IndexedDB writes/deletes are best-effort and never block LocalStorage persistence
+- Legacy IDB_DBS writes happen only on the LocalStorage fallback path
+- Vault mode (js/vault.js): canonical rows, CANON_LS_KEY mirror, trash, purged list and hash chain ledger are AES-GCM sealed
+  at rest (rows keep id/ts in clear for the keyPath/index); enableVault()/disableVault() migrate both ways;
+  no plaintext LocalStorage fallback while the vault is on
 
 Drift locks (do not change without intentional decision)
 - Do not remove pass-through field preservation
 - Do not change CANON_LS_KEY without a deliberate migration plan
-- Do not allow IDB failures to prevent LocalStorage writes
+- Do not edit a shipped MIGRATIONS step; add a new one and bump CANON_IDB_VERSION
+- Mirror (LocalStorage) failures must never fail a canonical IndexedDB write
+- Readers must keep accepting plaintext and sealed rows side by side (interrupted vault migration)
 ------------------------------------------------------------ */
 
 (function () {
@@ -81,6 +113,31 @@ Drift locks (do not change without intentional decision)
     "records",
   ];
 
+  // ---- Trash (soft-delete) LocalStorage key ----
+  // Stored as { version, entries:[{ deletedAt, record }] } (not a bare array) so the
+  // legacy key scan can never mistake deleted readings for a live record set.
+  const TRASH_LS_KEY = "vitals_tracker_trash_v1";
+
+  // ---- Hash chain ledger (js/chain.js computes it; persisted here like the trash) ----
+  // Stored as { version, entries:[{ seq, at, op, id, rh, prev, hash }] }; never read as a record source.
+  const CHAIN_LS_KEY = "vitals_tracker_chain_v1";
+
+  // ---- Add-wizard draft (opt-in; js/store.js owns the expiry, js/add.js the contents) ----
+  // Stored as { version, savedAt, expiresAt, draft }; sealed in vault mode; never read as a record source.
+  const DRAFT_LS_KEY = "vitals_tracker_draft_v1";
+
+  // ---- Purged readings (emptied from the Trash; Merge must not bring them back from a legacy copy) ----
+  // Stored as { version, keys:[dedupeKey] }; sealed in vault mode (like the trash); never read as a record source.
+  const PURGED_LS_KEY = "vitals_tracker_purged_v1";
+
+  // ---- Prototype builds (kimi/index.html, 3.0/index3b.html) ----
+  // Each saved readings, a med-name list and a profile object under its own keys.
+  const PROTOTYPE_LAYOUTS = Object.freeze([
+    Object.freeze({ build: "kimi", readings: "vitals_readings", meds: "vitals_medications", profile: "vitals_profile", distressMax: 10 }),
+    Object.freeze({ build: "3.0", readings: "vitals_readings_v3_2A3", meds: "vitals_medicines_v3_2A3", profile: "vitals_profile_v3_2A3", distressMax: 5 }),
+  ]);
+  const PROTOTYPE_KEYS = PROTOTYPE_LAYOUTS.flatMap(L => [L.readings, L.meds, L.profile]);
+
   function safeJSONParse(str) {
     try { return JSON.parse(str); } catch (_) { return null; }
   }
@@ -98,6 +155,8 @@ Drift locks (do not change without intentional decision)
 
   // ---- Value parsing ----
   function numOrNull(v){
+    // Missing values stay missing (Number(null) and Number("") are 0, not "no reading").
+    if(v == null || v === "") return null;
     const n = Number(v);
     return Number.isFinite(n) ? n : null;
   }
@@ -124,7 +183,7 @@ Drift locks (do not change without intentional decision)
   // We exclude known alias keys that would cause drift or duplication.
   const DROP_KEYS = new Set([
     // canonical keys (we re-set them)
-    "ts","sys","dia","hr","notes","symptoms",
+    "id","ts","sys","dia","hr","notes","symptoms",
     // timestamp aliases
     "time","timestamp","date","createdAt","created_at","iso",
     // bp/hr aliases
@@ -147,6 +206,43 @@ Drift locks (do not change without intentional decision)
     }catch(_){}
   }
 
+  // ---- Record identity ----
+  // Every record carries an immutable string `id`; `ts` is an ordinary (editable) field.
+  function newId(){
+    try{
+      if(window.crypto && typeof window.crypto.randomUUID === "function") return window.crypto.randomUUID();
+    }catch(_){}
+    return "r-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10);
+  }
+
+  // Deterministic backfill for records saved before ids existed: the same stored record
+  // yields the same id on every read, so LocalStorage-only installs stay consistent.
+  function legacyId(rec){
+    const basis = JSON.stringify([rec.ts, rec.sys, rec.dia, rec.hr, rec.notes]);
+    let h = 0x811c9dc5;
+    for(let i = 0; i < basis.length; i++){
+      h ^= basis.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return "legacy-" + rec.ts.toString(36) + "-" + h.toString(36);
+  }
+
+  // Accepts an id string, a record/key object ({ id } preferred, else its ts) or a legacy numeric ts.
+  function resolveKey(key){
+    if(typeof key === "string" && key) return { id: key };
+    if(typeof key === "number" && Number.isFinite(key) && key > 0) return { ts: key };
+    if(key && typeof key === "object"){
+      if(key.id != null && String(key.id)) return { id: String(key.id) };
+      const ts = toMs(extractTs(key));
+      if(ts) return { ts };
+    }
+    return null;
+  }
+
+  function matchesKey(r, k){
+    return k.id != null ? r.id === k.id : r.ts === k.ts;
+  }
+
   // ---- Record normalization (CRITICAL) ----
   // Accepts many shapes, outputs canonical required fields + preserved extras.
   function normalizeRecord(r){
@@ -184,6 +280,12 @@ Drift locks (do not change without intentional decision)
     // Preserve extended fields (distress model, mood, meds events, per-symptom scoring maps, etc.)
     copyExtras(out, r);
 
+    // createdAt doubles as a legacy ts alias; next to a real ts it is the original-entry time (js/store.js).
+    const created = Number(r.createdAt);
+    if(r.ts != null && Number.isFinite(created) && created > 0) out.createdAt = created;
+
+    out.id = (r.id != null && String(r.id)) ? String(r.id) : legacyId(out);
+
     return out;
   }
 
@@ -207,9 +309,103 @@ Drift locks (do not change without intentional decision)
     return m;
   }
 
+  // ---- Prototype mapping ----
+  // Prototype context values were Title-case labels ("Laying", "Left", "Unknown"); records store keys.
+  const POSITION_KEYS = Object.freeze({ laying: "lying", lying: "lying", supine: "lying", sitting: "sitting", standing: "standing" });
+  const ARM_KEYS = Object.freeze({ left: "left", right: "right" });
+  const PROTOTYPE_DROP = ["medications", "medicines", "medicine", "position", "arm", "distress", "hidden", "complete"];
+
+  function contextKey(map, v){
+    return map[String(v || "").trim().toLowerCase()] || null;
+  }
+
+  // One prototype reading -> the shape normalizeRecord() accepts (timestamp/systolic/heartRate aliases stay as-is).
+  function fromPrototype(r, layout){
+    if(!r || typeof r !== "object") return null;
+    const out = Object.assign({}, r);
+    for(const k of PROTOTYPE_DROP) delete out[k];
+
+    const position = contextKey(POSITION_KEYS, r.position);
+    const arm = contextKey(ARM_KEYS, r.arm);
+    if(position) out.position = position;
+    if(arm) out.arm = arm;
+
+    // Med names only; the prototypes never recorded dose or when it was taken.
+    const names = Array.isArray(r.medications) ? r.medications
+      : Array.isArray(r.medicines) ? r.medicines
+      : (typeof r.medicine === "string" ? [r.medicine] : []);
+    const meds = names.map(n => String(n || "").trim()).filter(Boolean)
+      .map(name => ({ name, dose: null, unit: "", takenAt: null }));
+    if(meds.length) out.meds = meds;
+
+    // Distress sliders were 0–10 (kimi) and 0–5 (3.0) with 0 as the untouched default; the app scores 0–100.
+    const d = Number(r.distress);
+    if(Number.isFinite(d) && d > 0) out.distressFinal = Math.min(100, Math.round(d / layout.distressMax * 100));
+
+    return out;
+  }
+
+  // 3.0 saved a placeholder (complete:false) as soon as an entry was started; one left with nothing filled in
+  // is an abandoned entry, not a reading.
+  function isPrototypePlaceholder(r){
+    if(!r || typeof r !== "object" || r.complete !== false) return false;
+    const n = normalizeRecord(r);
+    return !n || (n.sys == null && n.dia == null && n.hr == null && !n.notes.trim() && !n.symptoms.length);
+  }
+
+  // Readings per prototype build; 3.0 "deleted" readings were only hidden and come back as `hidden` (-> Trash on merge).
+  // Abandoned placeholders are skipped and counted as `invalid`.
+  function readPrototypeCandidates(){
+    const found = [];
+    for(const L of PROTOTYPE_LAYOUTS){
+      try{
+        const arr = normalizeArray(safeJSONParse(localStorage.getItem(L.readings) || ""));
+        if(!arr.length) continue;
+        const records = [];
+        const hidden = [];
+        let invalid = 0;
+        for(const r of arr){
+          if(isPrototypePlaceholder(r)){ invalid++; continue; }
+          const m = fromPrototype(r, L);
+          if(m) (r.hidden ? hidden : records).push(m);
+        }
+        found.push({ source: `localStorage:${L.readings}`, build: L.build, records, hidden, invalid });
+      }catch(_){}
+    }
+    return found;
+  }
+
+  // Med names + profile ({ name, doctor, clinic, conditions[] }) saved by the prototypes, for VTSettings.
+  function readPrototypeSettings(){
+    const medNames = [];
+    let profile = null;
+    for(const L of PROTOTYPE_LAYOUTS){
+      try{
+        const meds = safeJSONParse(localStorage.getItem(L.meds) || "");
+        if(Array.isArray(meds)) for(const m of meds) if(typeof m === "string" && m.trim()) medNames.push(m.trim());
+
+        const p = safeJSONParse(localStorage.getItem(L.profile) || "");
+        if(p && typeof p === "object" && !Array.isArray(p)){
+          const next = {
+            name: String(p.name || "").trim(),
+            doctor: String(p.doctor || "").trim(),
+            clinic: String(p.clinic || "").trim(),
+            conditions: Array.isArray(p.conditions) ? p.conditions.map(c => String(c || "").trim()).filter(Boolean) : [],
+          };
+          // Earlier layouts win field by field; later ones only fill gaps.
+          if(!profile) profile = next;
+          else for(const k of ["name", "doctor", "clinic"]) if(!profile[k]) profile[k] = next[k];
+          if(profile && !profile.conditions.length) profile.conditions = next.conditions;
+        }
+      }catch(_){}
+    }
+    if(profile && !profile.name && !profile.doctor && !profile.clinic && !profile.conditions.length) profile = null;
+    return { medNames, profile };
+  }
+
   // ---- LocalStorage read helpers ----
   function readLocalStorageCandidates() {
-    const found = [];
+    const found = readPrototypeCandidates();
 
     for (const k of LS_KEYS) {
       try {
@@ -227,7 +423,7 @@ Drift locks (do not change without intentional decision)
       for (let i = 0; i < limit; i++) {
         const key = localStorage.key(i);
         if (!key) continue;
-        if (LS_KEYS.includes(key)) continue;
+        if (LS_KEYS.includes(key) || PROTOTYPE_KEYS.includes(key) || key === TRASH_LS_KEY || key === CHAIN_LS_KEY || key === DRAFT_LS_KEY || key === PURGED_LS_KEY) continue;
         const raw = localStorage.getItem(key);
         if (!raw || raw.length < 10) continue;
         const parsed = safeJSONParse(raw);
@@ -442,6 +638,28 @@ Drift locks (do not change without intentional decision)
     });
   }
 
+  // Replaces a legacy store's rows in one transaction (LocalStorage fallback path of saveAll()).
+  async function idbReplaceAll(target, records){
+    if(!target) return { ok:false, reason:"no-idb-target" };
+    let db = null;
+    try{
+      db = await idbOpen(target.dbName);
+      if(!db) return { ok:false, reason:"idb-open-failed" };
+      if(!db.objectStoreNames || !db.objectStoreNames.contains(target.storeName)) return { ok:false, reason:"idb-store-missing" };
+
+      const tx = db.transaction(target.storeName, "readwrite");
+      const store = tx.objectStore(target.storeName);
+      store.clear();
+      for(const r of records) store.put(r);
+      await txDone(tx);
+      return { ok:true };
+    }catch(_){
+      return { ok:false, reason:"idb-write-error" };
+    }finally{
+      try{ db && db.close(); }catch(_){}
+    }
+  }
+
   // ---- LocalStorage write helpers (authoritative baseline) ----
   function readCanonLocal(){
     try{
@@ -455,15 +673,426 @@ Drift locks (do not change without intentional decision)
     }
   }
 
+  // Last CANON_LS_KEY write outcome (authoritative write or mirror); surfaced by health().
+  let _lsWrite = null;   // { ok, at, reason? }
+
+  function isQuotaError(e){
+    return !!e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED" || e.code === 22 || e.code === 1014);
+  }
+
   function writeCanonLocal(records){
     try{
       localStorage.setItem(CANON_LS_KEY, JSON.stringify(records));
+      _lsWrite = { ok:true, at: Date.now() };
       return true;
+    }catch(e){
+      _lsWrite = { ok:false, at: Date.now(), reason: isQuotaError(e) ? "quota-exceeded" : "write-failed" };
+      return false;
+    }
+  }
+
+  // ---- Vault mode (js/vault.js owns the key; this file decides what is sealed) ----
+  // Sealed at rest: canonical rows ({ id, ts, vault:1, iv, ct }; id/ts stay clear for the keyPath
+  // and ts index), the CANON_LS_KEY mirror and the trash (one sealed blob each).
+  // Readers accept plaintext and sealed rows side by side, so an interrupted migration stays readable.
+  function vaultOn(){
+    try{ return !!(window.VTVault && window.VTVault.isEnabled()); }catch(_){ return false; }
+  }
+
+  function isSealed(v){
+    return !!v && typeof v === "object" && v.vault === 1 && typeof v.ct === "string";
+  }
+
+  async function sealRow(rec, sealFn){
+    const seal = sealFn || (vaultOn() ? window.VTVault.seal : null);
+    if(!seal) return rec;
+    const box = await seal(rec);
+    return { id: rec.id, ts: rec.ts, vault: 1, iv: box.iv, ct: box.ct };
+  }
+
+  async function openRow(row){
+    return isSealed(row) ? window.VTVault.open(row) : row;
+  }
+
+  async function sealBlob(value, sealFn){
+    const box = await (sealFn || window.VTVault.seal)(value);
+    return JSON.stringify({ version: 1, vault: 1, iv: box.iv, ct: box.ct });
+  }
+
+  // Sealed LocalStorage writes are async; chain them so they land in order (flushMirror() waits).
+  let _sealChain = Promise.resolve();
+
+  function queueSealedWrite(key, value){
+    _sealChain = _sealChain.then(async () => {
+      try{ localStorage.setItem(key, await sealBlob(value)); }catch(_){}
+    });
+    return _sealChain;
+  }
+
+  // ---- Canonical IndexedDB (owned by VTStorage; authoritative when available) ----
+  // Object store "records" keyed by id with a "ts" index (schema v2; v1 was keyed by ts).
+  // LocalStorage CANON_LS_KEY becomes a debounced mirror/backup.
+  // If this DB cannot be opened (private mode, old WebView), the LocalStorage path stays authoritative.
+  const CANON_IDB_NAME = "vitals_tracker_canon";
+  const CANON_IDB_VERSION = 2;
+  const CANON_STORE = "records";
+  const META_STORE = "meta";
+  const CANON_SOURCE = `indexedDB:${CANON_IDB_NAME}/${CANON_STORE}`;
+  const META_LS_IMPORT = "lsImport";
+
+  // Migration chain: MIGRATIONS[v] upgrades the schema from v-1 to v inside onupgradeneeded.
+  // To change the schema: append the next step and bump CANON_IDB_VERSION. Never edit a shipped step.
+  const MIGRATIONS = {
+    1(db){
+      db.createObjectStore(CANON_STORE, { keyPath: "ts" });
+      db.createObjectStore(META_STORE, { keyPath: "key" });
+    },
+    // v2: key records on the immutable id (ts is editable and may repeat); keep a ts index.
+    2(db, tx){
+      const old = tx.objectStore(CANON_STORE);
+      const req = old.getAll();
+      req.onsuccess = () => {
+        const rows = Array.isArray(req.result) ? req.result : [];
+        db.deleteObjectStore(CANON_STORE);
+        const store = db.createObjectStore(CANON_STORE, { keyPath: "id" });
+        store.createIndex("ts", "ts", { unique: false });
+        for(const row of rows){
+          const n = normalizeRecord(row);
+          if(n) store.put(n);
+        }
+      };
+    },
+  };
+
+  function reqP(req){
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function txDone(tx){
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(true);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  let _canonPromise = null;
+
+  function canonOpenRaw(){
+    return new Promise((resolve) => {
+      try{
+        if(!("indexedDB" in window)) return resolve(null);
+        const req = indexedDB.open(CANON_IDB_NAME, CANON_IDB_VERSION);
+
+        req.onupgradeneeded = (e) => {
+          const db = req.result;
+          const tx = req.transaction;
+          try{
+            for(let v = (e.oldVersion || 0) + 1; v <= CANON_IDB_VERSION; v++){
+              if(typeof MIGRATIONS[v] === "function") MIGRATIONS[v](db, tx);
+            }
+          }catch(_){
+            // A failed step aborts the upgrade; open fails and the LocalStorage path stays in charge.
+            try{ tx.abort(); }catch(__){}
+          }
+        };
+        req.onsuccess = () => {
+          const db = req.result;
+          db.onversionchange = () => {
+            try{ db.close(); }catch(_){}
+            _canonPromise = null;
+          };
+          resolve(db);
+        };
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+      }catch(_){
+        resolve(null);
+      }
+    });
+  }
+
+  // One-time import: copies what the app was showing (best LocalStorage/legacy source) into the
+  // canonical DB, then records a marker so it never runs again (even after Clear Data).
+  async function canonImportOnce(db){
+    const tx0 = db.transaction(META_STORE, "readonly");
+    const marker = await reqP(tx0.objectStore(META_STORE).get(META_LS_IMPORT));
+    if(marker) return marker;
+
+    const ls = readLocalStorageCandidates();
+    const idb = await readIndexedDBCandidates();
+    const best = chooseBest([...idb, ...ls]);
+    const recs = normalizeRecords(best.records);
+
+    const info = { key: META_LS_IMPORT, at: Date.now(), source: best.source, count: recs.length, appVersion: vStr() };
+    for(const r of recs) if(!r.source) r.source = best.source;
+    // Seal before the transaction opens (awaiting inside it would let it auto-commit).
+    const rows = await Promise.all(recs.map(r => sealRow(r)));
+    const tx = db.transaction([CANON_STORE, META_STORE], "readwrite");
+    const store = tx.objectStore(CANON_STORE);
+    for(const row of rows) store.put(row);
+    tx.objectStore(META_STORE).put(info);
+    await txDone(tx);
+    return info;
+  }
+
+  function canonOpen(){
+    if(_canonPromise) return _canonPromise;
+    _canonPromise = (async () => {
+      const db = await canonOpenRaw();
+      if(!db) return null;
+      try{
+        await canonImportOnce(db);
+        return db;
+      }catch(_){
+        // Import must finish before the DB is trusted; otherwise stay on LocalStorage.
+        try{ db.close(); }catch(__){}
+        return null;
+      }
+    })();
+    return _canonPromise;
+  }
+
+  // Throws while the vault is locked (never returns a partial set).
+  async function canonGetAll(db){
+    // First read after unlock also opens the sealed trash and ledger (canonOpen may run while still locked).
+    if(vaultOn() && !_trashMem){
+      try{ await primeTrash(); }catch(_){}
+    }
+    if(vaultOn() && !_chainMem){
+      try{ await primeChain(); }catch(_){}
+    }
+    if(vaultOn() && !_purgedMem){
+      try{ await primePurged(); }catch(_){}
+    }
+    const tx = db.transaction(CANON_STORE, "readonly");
+    const rows = await reqP(tx.objectStore(CANON_STORE).getAll());
+    return normalizeRecords(await Promise.all((rows || []).map(openRow)));
+  }
+
+  async function canonPut(db, rec){
+    const row = await sealRow(rec);
+    const tx = db.transaction(CANON_STORE, "readwrite");
+    tx.objectStore(CANON_STORE).put(row);
+    return txDone(tx);
+  }
+
+  // Replaces every canonical row in one transaction (saveAll(); vault migration both ways).
+  async function canonReplaceAll(db, rows){
+    const tx = db.transaction(CANON_STORE, "readwrite");
+    const store = tx.objectStore(CANON_STORE);
+    store.clear();
+    for(const row of rows) store.put(row);
+    return txDone(tx);
+  }
+
+  async function canonDelete(db, k){
+    const tx = db.transaction(CANON_STORE, "readwrite");
+    const store = tx.objectStore(CANON_STORE);
+    if(k.id != null){
+      store.delete(k.id);
+    }else{
+      // Legacy ts-only key: remove every record at that ts.
+      const ids = await reqP(store.index("ts").getAllKeys(k.ts));
+      for(const id of (ids || [])) store.delete(id);
+    }
+    return txDone(tx);
+  }
+
+  async function canonClear(db){
+    const tx = db.transaction(CANON_STORE, "readwrite");
+    const store = tx.objectStore(CANON_STORE);
+    const count = await reqP(store.count());
+    store.clear();
+    await txDone(tx);
+    return Number(count) || 0;
+  }
+
+  // ---- Query (ts index drives range, order and paging; the other filters run on the cursor walk) ----
+  // q: { from, to, hasSymptom, minSys, minHr, medName, text, limit, cursor, order:"asc"|"desc" }
+  // Sealed rows keep only id/ts in clear, so in vault mode the ts range is the only index-side filter.
+  const QUERY_DIRECTIONS = { asc: "next", desc: "prev" };
+
+  function queryMs(v){
+    if(v == null || v === "") return null;
+    const t = (v instanceof Date) ? v.getTime() : (typeof v === "number" ? v : new Date(v).getTime());
+    return Number.isFinite(t) ? t : null;
+  }
+
+  function queryText(v){
+    return (typeof v === "string" && v.trim()) ? v.trim().toLowerCase() : null;
+  }
+
+  // Opaque page cursor: "<ts>:<id>" of the last record handed out (ids may contain ":").
+  function encodeCursor(r){
+    return r.ts + ":" + r.id;
+  }
+
+  function decodeCursor(c){
+    if(typeof c !== "string") return null;
+    const i = c.indexOf(":");
+    const ts = Number(c.slice(0, i));
+    if(i < 1 || !Number.isFinite(ts)) return null;
+    return { ts, id: c.slice(i + 1) };
+  }
+
+  function normalizeQuery(q){
+    const src = (q && typeof q === "object") ? q : {};
+    const limit = Math.floor(Number(src.limit));
+    return {
+      from: queryMs(src.from),
+      to: queryMs(src.to),
+      hasSymptom: src.hasSymptom === true ? true : queryText(src.hasSymptom),
+      minSys: numOrNull(src.minSys),
+      minHr: numOrNull(src.minHr),
+      medName: queryText(src.medName),
+      text: queryText(src.text),
+      position: queryText(src.position),
+      arm: queryText(src.arm),
+      cuff: queryText(src.cuff),
+      device: queryText(src.device),
+      limit: limit > 0 ? limit : 0,
+      after: decodeCursor(src.cursor),
+      order: src.order === "desc" ? "desc" : "asc",
+    };
+  }
+
+  const QUERY_CONTEXT_FIELDS = ["position", "arm", "cuff", "device"];
+
+  function medNamesOf(r){
+    return (Array.isArray(r.meds) ? r.meds : [])
+      .map(m => String((m && typeof m === "object") ? (m.name || "") : (m || "")).toLowerCase());
+  }
+
+  function matchesQuery(r, q){
+    if(!r || !Number.isFinite(r.ts)) return false;
+    if(q.from != null && r.ts < q.from) return false;
+    if(q.to != null && r.ts > q.to) return false;
+    const symptoms = Array.isArray(r.symptoms) ? r.symptoms : [];
+    if(q.hasSymptom === true && !symptoms.length) return false;
+    if(typeof q.hasSymptom === "string" && !symptoms.some(s => String(s).toLowerCase() === q.hasSymptom)) return false;
+    if(q.minSys != null && !(r.sys >= q.minSys)) return false;
+    if(q.minHr != null && !(r.hr >= q.minHr)) return false;
+    if(q.medName && !medNamesOf(r).some(n => n.includes(q.medName))) return false;
+    // Context keys (js/context.js vocabulary): exact match.
+    for(const f of QUERY_CONTEXT_FIELDS){
+      if(q[f] && String(r[f] || "").toLowerCase() !== q[f]) return false;
+    }
+    if(q.text){
+      const hay = [r.notes, r.mood, ...symptoms, ...medNamesOf(r)].join("\n").toLowerCase();
+      if(!hay.includes(q.text)) return false;
+    }
+    return true;
+  }
+
+  // Index order: ts, then id (IndexedDB orders equal index keys by primary key).
+  function compareTsId(a, b){
+    const sa = String(a.id), sb = String(b.id);
+    return (a.ts - b.ts) || (sa < sb ? -1 : (sa > sb ? 1 : 0));
+  }
+
+  function pastCursor(r, q){
+    if(!q.after) return true;
+    const cmp = compareTsId(r, q.after);
+    return q.order === "desc" ? cmp < 0 : cmp > 0;
+  }
+
+  function pageOf(recs, q){
+    if(!q.limit || recs.length <= q.limit) return { records: recs, cursor: null };
+    const records = recs.slice(0, q.limit);
+    return { records, cursor: encodeCursor(records[records.length - 1]) };
+  }
+
+  // undefined = whole index; null = empty range.
+  function queryRange(q){
+    let lo = q.from;
+    let hi = q.to;
+    if(q.after){
+      if(q.order === "desc") hi = (hi == null) ? q.after.ts : Math.min(hi, q.after.ts);
+      else lo = (lo == null) ? q.after.ts : Math.max(lo, q.after.ts);
+    }
+    if(lo != null && hi != null) return lo <= hi ? IDBKeyRange.bound(lo, hi) : null;
+    if(lo != null) return IDBKeyRange.lowerBound(lo);
+    if(hi != null) return IDBKeyRange.upperBound(hi);
+    return undefined;
+  }
+
+  async function canonQuery(db, q){
+    const range = queryRange(q);
+    if(range === null) return { records: [], cursor: null };
+
+    const tx = db.transaction(CANON_STORE, "readonly");
+    const index = tx.objectStore(CANON_STORE).index("ts");
+    const rows = [];
+    let hits = 0;
+    let sealed = false;
+
+    await new Promise((resolve, reject) => {
+      const req = index.openCursor(range, QUERY_DIRECTIONS[q.order]);
+      req.onsuccess = () => {
+        const cur = req.result;
+        if(!cur) return resolve();
+        const row = cur.value;
+        if(isSealed(row)){
+          // Cannot decrypt inside the transaction (it would auto-commit); filter after the walk.
+          sealed = true;
+          if(pastCursor(row, q)) rows.push(row);
+        }else{
+          const r = normalizeRecord(row);
+          if(r && pastCursor(r, q) && matchesQuery(r, q)){ rows.push(r); hits++; }
+        }
+        // One extra match tells whether another page exists.
+        if(!sealed && q.limit && hits > q.limit) return resolve();
+        cur.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+
+    if(!sealed) return pageOf(rows, q);
+    const opened = normalizeRecords(await Promise.all(rows.map(openRow)));
+    opened.sort((a, b) => (q.order === "desc" ? -compareTsId(a, b) : compareTsId(a, b)));
+    return pageOf(opened.filter(r => matchesQuery(r, q)), q);
+  }
+
+  // ---- LocalStorage mirror (debounced full snapshot of the canonical DB) ----
+  const MIRROR_DEBOUNCE_MS = 800;
+  let _mirrorTimer = null;
+
+  function scheduleMirror(){
+    try{ if(_mirrorTimer) clearTimeout(_mirrorTimer); }catch(_){}
+    _mirrorTimer = setTimeout(() => { flushMirror(); }, MIRROR_DEBOUNCE_MS);
+  }
+
+  async function flushMirror(){
+    try{ if(_mirrorTimer) clearTimeout(_mirrorTimer); }catch(_){}
+    _mirrorTimer = null;
+    try{
+      const db = await canonOpen();
+      if(!db) return false;
+      // Mirror failures (quota) never affect the canonical write that scheduled them.
+      const recs = await canonGetAll(db);
+      if(vaultOn()){
+        await queueSealedWrite(CANON_LS_KEY, recs);
+        _lsWrite = { ok:true, at: Date.now() };
+        return true;
+      }
+      return writeCanonLocal(recs);
     }catch(_){
       return false;
+    }finally{
+      try{ await _sealChain; }catch(_){}
     }
   }
 
+  try{
+    document.addEventListener("visibilitychange", () => {
+      if(document.visibilityState === "hidden" && _mirrorTimer) flushMirror();
+    });
+  }catch(_){}
+
   // ---- Public API ----
   async function detect() {
     const ls = readLocalStorageCandidates();
@@ -471,10 +1100,23 @@ Drift locks (do not change without intentional decision)
     const all = [...idb, ...ls];
     const best = chooseBest(all);
 
+    let canonical = null;
+    try{
+      const db = await canonOpen();
+      if(db){
+        const recs = await canonGetAll(db);
+        canonical = { source: CANON_SOURCE, version: db.version, count: recs.length, newestMs: newestMs(recs) };
+      }
+    }catch(_){}
+
     return {
       appVersion: vStr(),
       candidates: all.map(x => ({ source: x.source, count: x.records.length, newestMs: newestMs(x.records) })),
-      best: { source: best.source, count: best.records.length, newestMs: newestMs(best.records) },
+      // When the canonical DB is open it is what the app reads; legacy candidates are informational.
+      best: canonical
+        ? { source: canonical.source, count: canonical.count, newestMs: canonical.newestMs }
+        : { source: best.source, count: best.records.length, newestMs: newestMs(best.records) },
+      canonical,
     };
   }
 
@@ -483,6 +1125,13 @@ Drift locks (do not change without intentional decision)
       const cached = cacheGet();
       if (cached) return cached.records.slice();
 
+      const db = await canonOpen();
+      if (db) {
+        const recs = await canonGetAll(db);
+        cacheSet({ source: CANON_SOURCE, records: recs });
+        return recs.slice();
+      }
+
       const ls = readLocalStorageCandidates();
       const idb = await readIndexedDBCandidates();
       const all = [...idb, ...ls];
@@ -496,13 +1145,52 @@ Drift locks (do not change without intentional decision)
     }
   }
 
+  // Filtered, ordered page of records: { records, cursor } (cursor null on the last page).
+  // Pass the cursor back with the same query for the next page. A warm read cache is filtered
+  // in memory (no decrypt in vault mode); otherwise the canonical ts index is walked.
+  async function queryRecords(query) {
+    const q = normalizeQuery(query);
+    try {
+      const cached = cacheGet();
+      if (!cached) {
+        const db = await canonOpen();
+        if (db) return await canonQuery(db, q);
+      }
+
+      const all = cached ? cached.records : await getAllRecords();
+      const hits = all.filter(r => pastCursor(r, q) && matchesQuery(r, q));
+      hits.sort((a, b) => (q.order === "desc" ? -compareTsId(a, b) : compareTsId(a, b)));
+      const page = pageOf(hits, q);
+      // Cached records are shared; hand out copies of the page only.
+      return { records: JSON.parse(JSON.stringify(page.records)), cursor: page.cursor };
+    } catch (_) {
+      return { records: [], cursor: null };
+    }
+  }
+
   async function putRecord(record) {
     try{
       const n = normalizeRecord(record);
       if(!n) return { ok:false, reason:"invalid-record" };
 
+      // Canonical DB: one keyed put; LocalStorage is refreshed later by the debounced mirror.
+      const db = await canonOpen();
+      if(db){
+        try{
+          await canonPut(db, n);
+        }catch(e){
+          return { ok:false, reason: isQuotaError(e) ? "quota-exceeded" : "idb-write-failed" };
+        }
+        cacheClear();
+        scheduleMirror();
+        return { ok:true, stored: { indexedDB:true, localStorage:"mirror" } };
+      }
+
+      // Vault data never falls back to plaintext LocalStorage.
+      if(vaultOn()) return { ok:false, reason:"vault-unavailable" };
+
       const recs = readCanonLocal();
-      const idx = recs.findIndex(r => r.ts === n.ts);
+      const idx = recs.findIndex(r => r.id === n.id);
 
       if(idx >= 0) recs[idx] = n;
       else recs.unshift(n);
@@ -520,28 +1208,44 @@ Drift locks (do not change without intentional decision)
       }catch(_){}
 
       cacheClear();
-      return { ok: okLS || okIDB, stored: { localStorage: okLS, indexedDB: okIDB } };
+      if(!okLS && !okIDB) return { ok:false, reason: (_lsWrite && _lsWrite.reason) || "write-failed" };
+      return { ok:true, stored: { localStorage: okLS, indexedDB: okIDB } };
     }catch(_){
       return { ok:false, reason:"write-exception" };
     }
   }
 
+  // deleteRecordById(id | record | legacy ts). Ids are preferred; a bare ts removes every record at that ts.
   async function deleteRecordById(id) {
     try{
-      let ts = null;
-      if(typeof id === "number") ts = id;
-      else if(typeof id === "string") ts = toMs(id);
-      else if(id && typeof id === "object") ts = toMs(extractTs(id));
-      ts = Number.isFinite(ts) ? ts : 0;
-      if(!ts) return { ok:false, reason:"invalid-id" };
+      const k = resolveKey(id);
+      if(!k) return { ok:false, reason:"invalid-id" };
+
+      const db = await canonOpen();
+      if(db){
+        try{
+          await canonDelete(db, k);
+        }catch(_){
+          return { ok:false, reason:"idb-delete-failed" };
+        }
+        cacheClear();
+        scheduleMirror();
+        return { ok:true, deleted: { indexedDB:true, localStorage:"mirror" } };
+      }
 
-      const recs = readCanonLocal().filter(r => r.ts !== ts);
+      if(vaultOn()) return { ok:false, reason:"vault-unavailable" };
+
+      const all = readCanonLocal();
+      const hit = all.find(r => matchesKey(r, k));
+      const recs = all.filter(r => !matchesKey(r, k));
       const okLS = writeCanonLocal(recs);
 
+      // Legacy stores are keyed by ts.
+      const ts = hit ? hit.ts : k.ts;
       let okIDB = false;
       try{
         const target = await detectWritableIDBTarget();
-        if(target){
+        if(target && ts){
           const r = await idbDeleteByTs(target, ts);
           okIDB = !!r.ok;
         }
@@ -554,11 +1258,842 @@ Drift locks (do not change without intentional decision)
     }
   }
 
+  // ---- Bulk writes (restore/replace/clear): one transaction or one LocalStorage write for the whole set ----
+  // saveAll(records) makes the live set exactly `records`; trash and hash chain ledger are not touched.
+  // Resolves { ok:true, count } | { ok:false, reason } (same reasons as putRecord()).
+  async function saveAll(records) {
+    try{
+      const recs = normalizeRecords(Array.isArray(records) ? records : []);
+
+      const db = await canonOpen();
+      if(db){
+        let rows;
+        try{
+          // Seal before the transaction opens (awaiting inside it would let it auto-commit).
+          rows = await Promise.all(recs.map(r => sealRow(r)));
+        }catch(_){
+          return { ok:false, reason:"vault-locked" };
+        }
+        try{
+          await canonReplaceAll(db, rows);
+        }catch(e){
+          return { ok:false, reason: isQuotaError(e) ? "quota-exceeded" : "idb-write-failed" };
+        }
+        cacheClear();
+        scheduleMirror();
+        return { ok:true, count: recs.length };
+      }
+
+      if(vaultOn()) return { ok:false, reason:"vault-unavailable" };
+
+      const okLS = writeCanonLocal(recs);
+      let okIDB = false;
+      try{
+        const target = await detectWritableIDBTarget();
+        if(target) okIDB = !!(await idbReplaceAll(target, recs)).ok;
+      }catch(_){}
+
+      cacheClear();
+      if(!okLS && !okIDB) return { ok:false, reason: (_lsWrite && _lsWrite.reason) || "write-failed" };
+      return { ok:true, count: recs.length };
+    }catch(_){
+      return { ok:false, reason:"write-exception" };
+    }
+  }
+
+  // Removes every live record in one step (unlike clearAll(), which also wipes trash, ledger and legacy keys).
+  // Resolves { ok:true, count } | { ok:false, reason }.
+  async function clear() {
+    try{
+      const db = await canonOpen();
+      if(db){
+        let count = 0;
+        try{
+          count = await canonClear(db);
+        }catch(_){
+          return { ok:false, reason:"idb-delete-failed" };
+        }
+        cacheClear();
+        scheduleMirror();
+        return { ok:true, count };
+      }
+
+      const count = readCanonLocal().length;
+      const res = await saveAll([]);
+      return res.ok ? { ok:true, count } : res;
+    }catch(_){
+      return { ok:false, reason:"delete-exception" };
+    }
+  }
+
+  // ---- Trash (soft-delete; survives reloads) ----
+  // Vault mode: the sealed blob is opened once per unlock (primeTrash) and read/written from memory.
+  let _trashMem = null;
+
+  function trashEntries(entries){
+    const out = [];
+    for(const e of (Array.isArray(entries) ? entries : [])){
+      const rec = e && normalizeRecord(e.record);
+      if(rec && Number.isFinite(e.deletedAt)) out.push({ deletedAt: e.deletedAt, record: rec });
+    }
+    return out;
+  }
+
+  async function primeTrash(){
+    const parsed = safeJSONParse(localStorage.getItem(TRASH_LS_KEY) || "");
+    const plain = isSealed(parsed) ? await window.VTVault.open(parsed) : parsed;
+    _trashMem = trashEntries(plain && plain.entries);
+  }
+
+  function readTrash(){
+    try{
+      if(vaultOn()) return _trashMem ? trashEntries(_trashMem) : [];
+      const parsed = safeJSONParse(localStorage.getItem(TRASH_LS_KEY) || "");
+      return trashEntries(parsed && parsed.entries);
+    }catch(_){
+      return [];
+    }
+  }
+
+  function writeTrash(entries){
+    try{
+      if(vaultOn()){
+        // Not opened yet (locked): refuse rather than overwrite the sealed trash.
+        if(!_trashMem) return false;
+        _trashMem = entries.slice();
+        queueSealedWrite(TRASH_LS_KEY, { version: 1, entries });
+        return true;
+      }
+      localStorage.setItem(TRASH_LS_KEY, JSON.stringify({ version: 1, entries }));
+      return true;
+    }catch(_){
+      return false;
+    }
+  }
+
+  // ---- Purged readings (same vault handling as the trash; a dedupeKey is ts + vitals) ----
+  // purgeTrash()/purgeExpiredTrash() add the dedupeKey of every reading they drop; buildMergePlan() skips them.
+  let _purgedMem = null;
+
+  function purgedKeys(keys){
+    return (Array.isArray(keys) ? keys : []).filter(k => typeof k === "string");
+  }
+
+  async function primePurged(){
+    const parsed = safeJSONParse(localStorage.getItem(PURGED_LS_KEY) || "");
+    const plain = isSealed(parsed) ? await window.VTVault.open(parsed) : parsed;
+    _purgedMem = purgedKeys(plain && plain.keys);
+  }
+
+  function readPurged(){
+    try{
+      if(vaultOn()) return _purgedMem ? _purgedMem.slice() : [];
+      const parsed = safeJSONParse(localStorage.getItem(PURGED_LS_KEY) || "");
+      return purgedKeys(parsed && parsed.keys);
+    }catch(_){
+      return [];
+    }
+  }
+
+  function writePurged(keys){
+    try{
+      if(vaultOn()){
+        if(!_purgedMem) return false;
+        _purgedMem = keys.slice();
+        queueSealedWrite(PURGED_LS_KEY, { version: 1, keys });
+        return true;
+      }
+      localStorage.setItem(PURGED_LS_KEY, JSON.stringify({ version: 1, keys }));
+      return true;
+    }catch(_){
+      return false;
+    }
+  }
+
+  function rememberPurged(recs){
+    if(!recs || !recs.length) return true;
+    const keys = new Set(readPurged());
+    for(const r of recs) keys.add(dedupeKey(r));
+    return writePurged(Array.from(keys));
+  }
+
+  // ---- Hash chain ledger (same vault handling as the trash: sealed blob, opened once per unlock) ----
+  // Record hashes of low-entropy vitals are guessable, so the ledger is sealed with the records.
+  let _chainMem = null;
+
+  function chainEntries(entries){
+    return (Array.isArray(entries) ? entries : [])
+      .filter(e => e && Number.isFinite(e.seq) && typeof e.hash === "string");
+  }
+
+  async function primeChain(){
+    const parsed = safeJSONParse(localStorage.getItem(CHAIN_LS_KEY) || "");
+    const plain = isSealed(parsed) ? await window.VTVault.open(parsed) : parsed;
+    _chainMem = chainEntries(plain && plain.entries);
+  }
+
+  // null while the vault is locked (callers must not treat that as an empty ledger).
+  function readChain(){
+    try{
+      if(vaultOn()) return _chainMem ? _chainMem.slice() : null;
+      const parsed = safeJSONParse(localStorage.getItem(CHAIN_LS_KEY) || "");
+      return chainEntries(parsed && parsed.entries);
+    }catch(_){
+      return [];
+    }
+  }
+
+  function writeChain(entries){
+    try{
+      if(vaultOn()){
+        if(!_chainMem) return false;
+        _chainMem = entries.slice();
+        queueSealedWrite(CHAIN_LS_KEY, { version: 1, entries });
+        return true;
+      }
+      localStorage.setItem(CHAIN_LS_KEY, JSON.stringify({ version: 1, entries }));
+      return true;
+    }catch(_){
+      return false;
+    }
+  }
+
+  // ---- Add-wizard draft (one sealed blob in vault mode; read on demand, not primed) ----
+  // Resolves { savedAt, expiresAt, draft } | null (also null while the vault is locked).
+  async function readDraft(){
+    try{
+      try{ await _sealChain; }catch(_){}
+      const parsed = safeJSONParse(localStorage.getItem(DRAFT_LS_KEY) || "");
+      if(!parsed) return null;
+      if(isSealed(parsed) && !(window.VTVault && window.VTVault.isUnlocked())) return null;
+      const plain = isSealed(parsed) ? await window.VTVault.open(parsed) : parsed;
+      if(!plain || typeof plain !== "object" || !plain.draft || typeof plain.draft !== "object") return null;
+      return { savedAt: Number(plain.savedAt) || 0, expiresAt: Number(plain.expiresAt) || 0, draft: plain.draft };
+    }catch(_){
+      return null;
+    }
+  }
+
+  function writeDraft(draft, expiresAt){
+    try{
+      const value = { version: 1, savedAt: Date.now(), expiresAt: Number(expiresAt) || 0, draft };
+      if(vaultOn()){
+        if(!window.VTVault.isUnlocked()) return false;
+        queueSealedWrite(DRAFT_LS_KEY, value);
+        return true;
+      }
+      localStorage.setItem(DRAFT_LS_KEY, JSON.stringify(value));
+      return true;
+    }catch(_){
+      return false;
+    }
+  }
+
+  // Queued behind pending sealed writes so a late draft write cannot bring the key back.
+  function removeDraft(){
+    try{ localStorage.removeItem(DRAFT_LS_KEY); }catch(_){}
+    _sealChain = _sealChain.then(() => {
+      try{ localStorage.removeItem(DRAFT_LS_KEY); }catch(_){}
+    });
+    return _sealChain;
+  }
+
+  // Another tab saved: drop the read cache so the next read sees its writes (IndexedDB fires no event).
+  function invalidate(){
+    cacheClear();
+  }
+
+  // Another tab rewrote a LocalStorage copy: in vault mode re-open the sealed trash/ledger held in memory.
+  try{
+    window.addEventListener("storage", (e) => {
+      cacheClear();
+      if(!e || !vaultOn()) return;
+      if(e.key === TRASH_LS_KEY && _trashMem) primeTrash().catch(() => {});
+      if(e.key === CHAIN_LS_KEY && _chainMem) primeChain().catch(() => {});
+      if(e.key === PURGED_LS_KEY && _purgedMem) primePurged().catch(() => {});
+    });
+  }catch(_){}
+
+  // Newest deletion first.
+  function getTrash(){
+    return readTrash().sort((a,b)=> b.deletedAt - a.deletedAt);
+  }
+
+  // Moves a record to the trash, then removes it from the live stores.
+  // If the live delete fails the trash goes back to how it was (a reading is never both live and trashed).
+  async function trashRecord(record){
+    let before = null;
+    try{
+      const n = normalizeRecord(record);
+      if(!n) return { ok:false, reason:"invalid-record" };
+
+      before = readTrash();
+      const entries = before.filter(e => e.record.id !== n.id);
+      entries.push({ deletedAt: Date.now(), record: n });
+      if(!writeTrash(entries)) return { ok:false, reason:"trash-write-failed" };
+
+      const del = await deleteRecordById({ id: n.id });
+      if(!del || !del.ok){
+        writeTrash(before);
+        return { ok:false, reason: (del && del.reason) || "delete-failed", trashed: false };
+      }
+      return { ok:true, trashed: true, deleted: del.deleted };
+    }catch(_){
+      if(before) writeTrash(before);
+      return { ok:false, reason:"trash-exception" };
+    }
+  }
+
+  // Puts a trashed record back into the live stores; resolves to the record or null.
+  async function restoreFromTrash(key){
+    try{
+      const k = resolveKey(key);
+      if(!k) return null;
+      const entries = readTrash();
+      const hit = entries.find(e => matchesKey(e.record, k));
+      if(!hit) return null;
+
+      const r = await putRecord(hit.record);
+      if(!r || !r.ok) return null;
+
+      writeTrash(entries.filter(e => e !== hit));
+      return hit.record;
+    }catch(_){
+      return null;
+    }
+  }
+
+  // purgeTrash(id) removes one entry; purgeTrash() empties the trash. Returns the count purged.
+  function purgeTrash(key){
+    const entries = readTrash();
+    const k = (key == null) ? null : resolveKey(key);
+    if(key != null && !k) return 0;
+    const keep = k ? entries.filter(e => !matchesKey(e.record, k)) : [];
+    const n = entries.length - keep.length;
+    if(n && writeTrash(keep)) rememberPurged(entries.filter(e => !keep.includes(e)).map(e => e.record));
+    return n;
+  }
+
+  function purgeExpiredTrash(days){
+    const d = Number(days);
+    if(!Number.isFinite(d) || d <= 0) return 0;
+    const cutoff = Date.now() - d * 86400000;
+    const entries = readTrash();
+    const keep = entries.filter(e => e.deletedAt >= cutoff);
+    const n = entries.length - keep.length;
+    if(n && writeTrash(keep)) rememberPurged(entries.filter(e => !keep.includes(e)).map(e => e.record));
+    return n;
+  }
+
+  // ---- Merge mode (union of every detected legacy source into the canonical store) ----
+  // Duplicates = same ts + same sys/dia/hr. Same ts with different values = conflict (both kept
+  // unless the caller skips conflicts). Each merged record gets `source` = where it came from.
+  function dedupeKey(r){
+    return [r.ts, r.sys ?? "", r.dia ?? "", r.hr ?? ""].join("|");
+  }
+
+  // Imported-as-deleted records keep today's deletedAt so retention counts from the merge.
+  function appendTrash(recs){
+    if(!recs || !recs.length) return 0;
+    const now = Date.now();
+    const entries = readTrash().concat(recs.map(record => ({ deletedAt: now, record })));
+    return writeTrash(entries) ? recs.length : 0;
+  }
+
+  async function buildMergePlan(){
+    const db = await canonOpen();
+    const base = db ? await canonGetAll(db) : readCanonLocal();
+
+    // CANON_LS_KEY is the canonical set itself (or its mirror); everything else is a legacy source.
+    const candidates = [
+      ...(await readIndexedDBCandidates()),
+      ...readLocalStorageCandidates().filter(c => c.source !== `localStorage:${CANON_LS_KEY}`),
+    ];
+
+    const seen = new Set(base.map(dedupeKey));
+    // Readings the user deleted (in the Trash, or purged from it) are not merged back in.
+    const trashSeen = new Set(readTrash().map(e => dedupeKey(e.record)));
+    const purged = new Set(readPurged());
+    const ids = new Set(base.map(r => r.id));
+    const byTs = new Map();
+    for(const r of base) if(!byTs.has(r.ts)) byTs.set(r.ts, { source: "canonical", rec: r });
+
+    const sources = [];
+    const conflicts = [];
+    const toAdd = [];
+    const toTrash = [];
+
+    for(const c of candidates){
+      const stat = { source: c.source, build: c.build || null, total: 0, added: 0, duplicates: 0, conflicts: 0, invalid: c.invalid || 0, trashed: 0, deleted: 0 };
+
+      // Readings a prototype build had hidden ("deleted") go to the Trash, not the live set.
+      for(const raw of (c.hidden || [])){
+        const n = normalizeRecord(raw);
+        if(!n){ stat.invalid++; continue; }
+        stat.total++;
+        const k = dedupeKey(n);
+        if(seen.has(k) || trashSeen.has(k)){ stat.duplicates++; continue; }
+        if(purged.has(k)){ stat.deleted++; continue; }
+        trashSeen.add(k);
+        if(ids.has(n.id)) n.id = newId();
+        ids.add(n.id);
+        if(!n.source) n.source = c.source;
+        stat.trashed++;
+        toTrash.push(n);
+      }
+
+      for(const raw of (c.records || [])){
+        const n = normalizeRecord(raw);
+        if(!n){ stat.invalid++; continue; }
+        stat.total++;
+
+        const k = dedupeKey(n);
+        if(seen.has(k)){ stat.duplicates++; continue; }
+        if(trashSeen.has(k) || purged.has(k)){ stat.deleted++; continue; }
+        seen.add(k);
+
+        // Old stores may carry their own (auto-increment) ids; never let one overwrite another record.
+        if(ids.has(n.id)) n.id = newId();
+        ids.add(n.id);
+        if(!n.source) n.source = c.source;
+
+        const other = byTs.get(n.ts) || null;
+        if(other){
+          stat.conflicts++;
+          conflicts.push({
+            ts: n.ts,
+            record: { source: c.source, sys: n.sys, dia: n.dia, hr: n.hr },
+            other: { source: other.source, sys: other.rec.sys, dia: other.rec.dia, hr: other.rec.hr },
+          });
+        }else{
+          byTs.set(n.ts, { source: c.source, rec: n });
+        }
+
+        stat.added++;
+        toAdd.push({ record: n, conflict: !!other });
+      }
+
+      sources.push(stat);
+    }
+
+    return { backend: db ? "indexedDB" : "localStorage", db, canonicalCount: base.length, sources, conflicts, toAdd, toTrash };
+  }
+
+  // Read-only preview: counts per source and the conflict list. Nothing is written.
+  async function previewMerge(){
+    try{
+      const plan = await buildMergePlan();
+      return {
+        ok: true,
+        backend: plan.backend,
+        canonicalCount: plan.canonicalCount,
+        sources: plan.sources,
+        conflicts: plan.conflicts,
+        newCount: plan.toAdd.length,
+        conflictCount: plan.conflicts.length,
+        trashCount: plan.toTrash.length,
+        settings: readPrototypeSettings(),
+      };
+    }catch(_){
+      return { ok:false, reason:"preview-failed" };
+    }
+  }
+
+  // Re-plans (so a stale preview can never double-import) and writes in one go.
+  async function commitMerge(opts){
+    try{
+      const skipConflicts = !!(opts && opts.skipConflicts);
+      const plan = await buildMergePlan();
+      const recs = plan.toAdd.filter(x => !(skipConflicts && x.conflict)).map(x => x.record);
+      const skipped = plan.toAdd.length - recs.length;
+      const trashed = appendTrash(plan.toTrash);
+      if(!recs.length) return { ok:true, added: 0, skipped, trashed };
+
+      if(plan.db){
+        try{
+          const rows = await Promise.all(recs.map(r => sealRow(r)));
+          const tx = plan.db.transaction(CANON_STORE, "readwrite");
+          const store = tx.objectStore(CANON_STORE);
+          for(const row of rows) store.put(row);
+          await txDone(tx);
+        }catch(e){
+          return { ok:false, reason: isQuotaError(e) ? "quota-exceeded" : "idb-write-failed" };
+        }
+        cacheClear();
+        scheduleMirror();
+        return { ok:true, added: recs.length, skipped, trashed };
+      }
+
+      if(vaultOn()) return { ok:false, reason:"vault-unavailable" };
+      const all = readCanonLocal().concat(recs).sort((a,b)=> b.ts - a.ts);
+      if(!writeCanonLocal(all)) return { ok:false, reason: (_lsWrite && _lsWrite.reason) || "write-failed" };
+      cacheClear();
+      return { ok:true, added: recs.length, skipped, trashed };
+    }catch(_){
+      return { ok:false, reason:"merge-exception" };
+    }
+  }
+
+  // ---- Vault migration (both ways; js/vault.js holds the key) ----
+  // On: seal every canonical row in one transaction, then the trash, ledger, purged list and the mirror.
+  // Off: the reverse, then the vault meta is removed. Legacy sources (older keys/DBs) are not touched.
+  async function enableVault(passphrase){
+    const V = window.VTVault;
+    if(!V || !V.isSupported()) return { ok:false, reason:"unsupported" };
+    if(V.isEnabled()) return { ok:false, reason:"already-enabled" };
+    try{
+      const db = await canonOpen();
+      if(!db) return { ok:false, reason:"no-indexeddb" };
+
+      let pending;
+      try{ pending = await V.prepare(passphrase); }
+      catch(e){ return { ok:false, reason: (e && e.message === "vault-weak-passphrase") ? "weak-passphrase" : "unsupported" }; }
+
+      try{ if(_mirrorTimer) clearTimeout(_mirrorTimer); }catch(_){}
+      _mirrorTimer = null;
+
+      const recs = await canonGetAll(db);
+      const trash = readTrash();
+      const chain = readChain() || [];
+      const purged = readPurged();
+      const rows = await Promise.all(recs.map(r => sealRow(r, pending.seal)));
+      const trashBlob = await sealBlob({ version: 1, entries: trash }, pending.seal);
+      const chainBlob = await sealBlob({ version: 1, entries: chain }, pending.seal);
+      const purgedBlob = await sealBlob({ version: 1, keys: purged }, pending.seal);
+      const mirrorBlob = await sealBlob(recs, pending.seal);
+
+      // Meta first: readers accept plaintext rows, so a crash before the rewrite loses nothing.
+      pending.activate();
+      try{
+        await canonReplaceAll(db, rows);
+      }catch(e){
+        V.disable();
+        return { ok:false, reason: isQuotaError(e) ? "quota-exceeded" : "idb-write-failed" };
+      }
+
+      _trashMem = trash;
+      try{ localStorage.setItem(TRASH_LS_KEY, trashBlob); }catch(_){}
+      removeDraft();
+      _chainMem = chain;
+      try{ localStorage.setItem(CHAIN_LS_KEY, chainBlob); }catch(_){}
+      _purgedMem = purged;
+      try{ localStorage.setItem(PURGED_LS_KEY, purgedBlob); }catch(_){}
+      try{ localStorage.setItem(CANON_LS_KEY, mirrorBlob); }
+      catch(_){ try{ localStorage.removeItem(CANON_LS_KEY); }catch(__){} }
+
+      cacheClear();
+      return { ok:true, records: recs.length, trashed: trash.length };
+    }catch(_){
+      return { ok:false, reason:"vault-exception" };
+    }
+  }
+
+  async function disableVault(passphrase){
+    const V = window.VTVault;
+    if(!V || !V.isEnabled()) return { ok:false, reason:"not-enabled" };
+    if(!(await V.verify(passphrase))) return { ok:false, reason:"wrong-passphrase" };
+    try{
+      const db = await canonOpen();
+      if(!db) return { ok:false, reason:"no-indexeddb" };
+
+      try{ if(_mirrorTimer) clearTimeout(_mirrorTimer); }catch(_){}
+      _mirrorTimer = null;
+      try{ await _sealChain; }catch(_){}
+
+      const recs = await canonGetAll(db);
+      const trash = readTrash();
+      const chain = readChain() || [];
+      const purged = readPurged();
+      try{
+        await canonReplaceAll(db, recs);
+      }catch(e){
+        return { ok:false, reason: isQuotaError(e) ? "quota-exceeded" : "idb-write-failed" };
+      }
+
+      V.disable();
+      _trashMem = null;
+      writeTrash(trash);
+      _chainMem = null;
+      writeChain(chain);
+      _purgedMem = null;
+      writePurged(purged);
+      writeCanonLocal(recs);
+      removeDraft();
+
+      cacheClear();
+      return { ok:true, records: recs.length, trashed: trash.length };
+    }catch(_){
+      return { ok:false, reason:"vault-exception" };
+    }
+  }
+
+  // Older copies outside the canonical store stay plaintext; Settings warns about them.
+  async function plaintextSources(){
+    const out = [];
+    try{
+      const all = [...(await readIndexedDBCandidates()), ...readLocalStorageCandidates()];
+      for(const c of all){
+        if(c.source === `localStorage:${CANON_LS_KEY}`) continue;
+        const n = (c.records || []).length + (c.hidden || []).length;
+        if(n) out.push({ source: c.source, count: n });
+      }
+    }catch(_){}
+    return out;
+  }
+
+  // ---- Storage health (quota / persistence / backend) ----
+  const PERSIST_LS_KEY = "vt_storage_persist_v1";
+
+  async function estimate(){
+    try{
+      if(!navigator.storage || typeof navigator.storage.estimate !== "function") return null;
+      const e = await navigator.storage.estimate();
+      return { usage: Number(e.usage) || 0, quota: Number(e.quota) || 0 };
+    }catch(_){
+      return null;
+    }
+  }
+
+  async function isPersisted(){
+    try{
+      if(!navigator.storage || typeof navigator.storage.persisted !== "function") return null;
+      return !!(await navigator.storage.persisted());
+    }catch(_){
+      return null;
+    }
+  }
+
+  // Asks the browser not to evict our data. Without { force } it asks once per install (first run);
+  // browsers may also grant/deny silently. Resolves true | false | null (API unavailable).
+  async function requestPersistence(opts){
+    try{
+      if(!navigator.storage || typeof navigator.storage.persist !== "function") return null;
+      if(await isPersisted()) return true;
+
+      const force = !!(opts && opts.force);
+      if(!force && localStorage.getItem(PERSIST_LS_KEY) != null) return false;
+
+      const granted = !!(await navigator.storage.persist());
+      try{ localStorage.setItem(PERSIST_LS_KEY, JSON.stringify({ at: Date.now(), granted })); }catch(_){}
+      return granted;
+    }catch(_){
+      return false;
+    }
+  }
+
+  function lsBytes(key){
+    try{
+      const raw = localStorage.getItem(key);
+      return raw ? raw.length * 2 : 0;   // UTF-16
+    }catch(_){
+      return 0;
+    }
+  }
+
+  // Snapshot for the Settings storage-health card.
+  async function health(){
+    let backend = "localStorage";
+    let source = `localStorage:${CANON_LS_KEY}`;
+    let count = 0;
+    try{
+      const det = await detect();
+      if(det.canonical){
+        backend = "indexedDB";
+        source = det.canonical.source;
+        count = det.canonical.count;
+      }else{
+        source = det.best.source;
+        count = det.best.count;
+      }
+    }catch(_){}
+
+    return {
+      backend,
+      source,
+      count,
+      estimate: await estimate(),
+      persisted: await isPersisted(),
+      localStorageBytes: lsBytes(CANON_LS_KEY) + lsBytes(TRASH_LS_KEY) + lsBytes(CHAIN_LS_KEY) + lsBytes(DRAFT_LS_KEY) + lsBytes(PURGED_LS_KEY),
+      lastLocalWrite: _lsWrite ? Object.assign({}, _lsWrite) : null,
+      vault: vaultOn(),
+    };
+  }
+
+  // Raw snapshot of every known source (before any wipe). Payloads are kept as stored,
+  // so legacy shapes survive a restore exactly; `records` is the canonical view.
+  async function exportBackup() {
+    const sources = {};
+
+    for (const k of LS_KEYS.concat(PROTOTYPE_KEYS)) {
+      try{
+        const raw = localStorage.getItem(k);
+        if(raw == null) continue;
+        const parsed = safeJSONParse(raw);
+        sources[`localStorage:${k}`] = parsed != null ? parsed : raw;
+      }catch(_){}
+    }
+
+    try{
+      for (const c of await readIndexedDBCandidates()) sources[c.source] = c.records;
+    }catch(_){}
+
+    try{
+      const db = await canonOpen();
+      if(db) sources[CANON_SOURCE] = await canonGetAll(db);
+    }catch(_){}
+
+    const trash = readTrash();
+    if(trash.length) sources[`localStorage:${TRASH_LS_KEY}`] = { version: 1, entries: trash };
+
+    let records = [];
+    try{ records = await getAllRecords(); }catch(_){}
+
+    // Ledger for Settings → Verify (js/chain.js); `records` is what it checks.
+    const chain = readChain() || [];
+
+    return {
+      app: "Vitals Tracker",
+      appVersion: vStr(),
+      kind: "backup",
+      exportedAt: new Date().toISOString(),
+      records,
+      chain: { version: 1, algorithm: "SHA-256", head: chain.length ? chain[chain.length - 1].hash : null, entries: chain },
+      sources,
+    };
+  }
+
+  function idbClearStore(db, storeName){
+    return new Promise((resolve) => {
+      try{
+        if(!db.objectStoreNames || !db.objectStoreNames.contains(storeName)) return resolve(null);
+        const tx = db.transaction(storeName, "readwrite");
+        const store = tx.objectStore(storeName);
+
+        let count = 0;
+        const cReq = store.count();
+        cReq.onsuccess = () => { count = Number(cReq.result) || 0; };
+        store.clear();
+
+        tx.oncomplete = () => resolve({ ok:true, count });
+        tx.onerror = () => resolve({ ok:false, count:0 });
+        tx.onabort = () => resolve({ ok:false, count:0 });
+      }catch(_){
+        resolve({ ok:false, count:0 });
+      }
+    });
+  }
+
+  // Wipes the canonical key, every legacy LS_KEYS entry, the trash and every IDB_DBS/IDB_STORES store.
+  // Returns a report: { ok, total, removed:[{ source, count }], failed:[source] }.
+  async function clearAll() {
+    const removed = [];
+    const failed = [];
+
+    // Cancel any pending mirror so it cannot rewrite CANON_LS_KEY after the wipe.
+    try{ if(_mirrorTimer) clearTimeout(_mirrorTimer); }catch(_){}
+    _mirrorTimer = null;
+    try{ await _sealChain; }catch(_){}
+
+    try{
+      const db = await canonOpen();
+      if(db) removed.push({ source: CANON_SOURCE, count: await canonClear(db) });
+    }catch(_){
+      failed.push(CANON_SOURCE);
+    }
+
+    for (const k of LS_KEYS.concat(PROTOTYPE_KEYS)) {
+      try{
+        const raw = localStorage.getItem(k);
+        if(raw == null) continue;
+        // Counts readings only (prototype med-name lists and profiles count as 0).
+        const count = normalizeArray(safeJSONParse(raw)).filter(x => x && typeof x === "object").length;
+        localStorage.removeItem(k);
+        removed.push({ source: `localStorage:${k}`, count });
+      }catch(_){
+        failed.push(`localStorage:${k}`);
+      }
+    }
+
+    try{
+      const trashed = readTrash().length;
+      if(_trashMem) _trashMem = [];
+      if(localStorage.getItem(TRASH_LS_KEY) != null){
+        localStorage.removeItem(TRASH_LS_KEY);
+        removed.push({ source: `localStorage:${TRASH_LS_KEY}`, count: trashed });
+      }
+    }catch(_){
+      failed.push(`localStorage:${TRASH_LS_KEY}`);
+    }
+
+    // The ledger describes the records just erased; a new chain starts with the next save.
+    try{
+      if(_chainMem) _chainMem = [];
+      localStorage.removeItem(CHAIN_LS_KEY);
+    }catch(_){}
+    // The legacy copies go too, so nothing is left to keep out of a later Merge.
+    try{
+      if(_purgedMem) _purgedMem = [];
+      localStorage.removeItem(PURGED_LS_KEY);
+    }catch(_){}
+    removeDraft();
+
+    if ("indexedDB" in window) {
+      for (const dbName of IDB_DBS) {
+        const db = await idbOpen(dbName);
+        if (!db) continue;
+
+        try {
+          for (const storeName of IDB_STORES) {
+            const r = await idbClearStore(db, storeName);
+            if (!r) continue;
+            if (r.ok) removed.push({ source: `indexedDB:${dbName}/${storeName}`, count: r.count });
+            else failed.push(`indexedDB:${dbName}/${storeName}`);
+          }
+        } catch (_) {
+          // ignore
+        } finally {
+          try { db.close(); } catch (_) {}
+        }
+      }
+    }
+
+    cacheClear();
+
+    const total = removed.reduce((n, x) => n + (x.count || 0), 0);
+    return { ok: failed.length === 0, total, removed, failed };
+  }
+
   window.VTStorage = {
     detect,
     getAllRecords,
+    queryRecords,
     putRecord,
     deleteRecordById,
+    saveAll,
+    clear,
+    exportBackup,
+    clearAll,
+    getTrash,
+    trashRecord,
+    restoreFromTrash,
+    purgeTrash,
+    purgeExpiredTrash,
+    flushMirror,
+    newId,
+    health,
+    requestPersistence,
+    previewMerge,
+    commitMerge,
+    readPrototypeSettings,
+    enableVault,
+    disableVault,
+    plaintextSources,
+    readChain,
+    writeChain,
+    readDraft,
+    writeDraft,
+    removeDraft,
+    invalidate,
   };
 
 })();
@@ -567,12 +2102,12 @@ Drift locks (do not change without intentional decision)
 Vitals Tracker — EOF (Prime Pass Footer)
 File: js/storage.js
 App Version Authority: js/version.js
-ImplementationId: PP-20260121-001
+ImplementationId: JYLES-20261019-CONTEXT-001
 Prime Pass: Step 6 of 23
 Prev (this run): js/utils.js
 Next (this run): js/store.js
-FileEditId: 1
-Edited: 2026-01-21
+FileEditId: 19
+Edited: 2026-10-19
 
 Implementation Fetch Aid (ONE-TIME ONLY; NOT A MASTER ORDER)
 Meaning:
@@ -585,6 +2120,25 @@ Next file to fetch/paste (this run): js/store.js
 
 Acceptance checks
 - VTStorage global exists with required methods.
-- putRecord/deleteRecordById always persist to LocalStorage even if IDB fails.
+- putRecord/deleteRecordById persist to the canonical DB, or to LocalStorage when IndexedDB is unavailable.
 - normalizeRecord preserves extra fields without duplicating alias keys.
+- exportBackup() captures every source raw before a wipe; clearAll() reports { total, removed[], failed[] }.
+- trashRecord() keeps the record under TRASH_LS_KEY before deleting it; the trash key is never read as a record source.
+- A trashRecord() whose live delete fails resolves ok:false and leaves the trash as it was (the reading stays live only).
+- First run with IndexedDB imports existing LocalStorage data once; later runs read/write vitals_tracker_canon.
+- putRecord() writes one IDB row (no full-array rewrite); CANON_LS_KEY catches up after the mirror debounce.
+- Two records with the same ts are kept side by side; putRecord() replaces only on equal id.
+- A v1 canonical DB (keyPath ts) upgrades to v2 (keyPath id) without losing rows.
+- Missing sys/dia/hr normalize to null (not 0).
+- previewMerge() writes nothing; commitMerge() adds only records not already present and tags each with its source.
+- Delete a reading that a legacy source also holds, then Merge: it stays deleted (in the Trash, and after purging it too).
+- With the vault on, IDB rows and LocalStorage mirror/trash/purged list hold only { vault:1, iv, ct } payloads; disableVault() restores plaintext.
+- kimi/3.0 readings import with position ("lying"/"sitting"/"standing"), arm ("left"/"right") and meds[]; 3.0 hidden readings land in the Trash.
+- A 3.0 placeholder (complete:false, no vitals/notes/symptoms) is not imported; the Merge preview counts it as invalid.
+- putRecord() returns { ok:false, reason:"quota-exceeded" } when the write did not land; mirror failures show in health().
+- CHAIN_LS_KEY is never read as a record source; readChain() is null (not []) while the vault is locked.
+- queryRecords() pages through a filtered range in ts order without repeats or gaps, also over sealed rows.
+- queryRecords({ position:"standing" }) returns only readings recorded standing (records without a position never match).
+- saveAll() of 5,000 records is one transaction (no per-record delete/put); clear() leaves the trash and ledger alone.
+- DRAFT_LS_KEY is never read as a record source; with the vault on it holds only a sealed blob; readDraft() is null while locked.
 */ 
@@ -5,9 +5,9 @@ Copyright © 2026 Wendell K. Jiles. All rights reserved.
 
 File: js/store.js
 App Version Authority: js/version.js
-ImplementationId: ADD-20260122-001
-FileEditId: 4
-Edited: 2026-01-22
+ImplementationId: JYLES-20261019-CONTEXT-001
+FileEditId: 19
+Edited: 2026-10-19
 
 Current file: js/store.js, File 2 of 3
 
@@ -25,9 +25,9 @@ Beacon Sticky Notes (persist until user changes)
 ------------------------------------------------------------
 
 Scope (this Pass)
-- Convert Draft API to memory-only (no localStorage resume).
-- One-time cleanup: delete any legacy localStorage key used for drafts.
-- No chart work. No log work.
+- query() also filters on the measurement context keys (position, arm, cuff, device; js/context.js vocabulary),
+  passed through to VTStorage.queryRecords().
+- Draft API, bulk writes, change events, revision history (enteredAt immutable), hash chain sync and vault wait unchanged.
 - Do NOT change record normalization semantics.
 ------------------------------------------------------------ 
 */
@@ -39,9 +39,11 @@ Scope (this Pass)
   var initPromise = null;
   var cache = [];
 
-  // Draft support (wizard). MUST be runtime-only.
-  // Legacy localStorage key is cleaned once during init to eliminate resume behavior.
+  // Draft support (wizard). Memory copy always; persisted only when Settings opts in, and only
+  // for DRAFT_TTL_MS after the last change (js/add.js offers it, never resumes it on its own).
+  // Legacy localStorage key is cleaned once during init (older builds resumed it silently).
   var DRAFT_KEY = "vt_add_draft_v1";
+  var DRAFT_TTL_MS = 30 * 60 * 1000;
   var _draftMem = null;
 
   function dbgInit() {
@@ -110,6 +112,46 @@ Scope (this Pass)
     return out;
   }
 
+  // ---- Revision history (append-only; lives on the record) ----
+  // createdAt: original entry time; updatedAt: last edit; revisions: [{ at, changes: { field: { from, to } } }].
+  // enteredAt: when the Add wizard stored it (ts is when it was taken; set once by add(), never by update()).
+  // Only update() appends; caller-supplied history fields are ignored so nothing can rewrite it.
+  var HISTORY_FIELDS = { id: 1, createdAt: 1, enteredAt: 1, updatedAt: 1, revisions: 1, source: 1 };
+
+  // Steps 2–4 of a new entry (add.js wizard) complete the original entry rather than edit it.
+  var ENTRY_WINDOW_MS = 30 * 60 * 1000;
+
+  function isEmptyValue(v) {
+    return v == null || v === "" || (Array.isArray(v) && !v.length);
+  }
+
+  function sameValue(a, b) {
+    if (isEmptyValue(a) && isEmptyValue(b)) return true;
+    try { return JSON.stringify(a) === JSON.stringify(b); } catch (_) { return a === b; }
+  }
+
+  function diffRecords(prev, next) {
+    var changes = {};
+    var n = 0;
+    var keys = {};
+    var k;
+    for (k in prev) if (Object.prototype.hasOwnProperty.call(prev, k)) keys[k] = 1;
+    for (k in next) if (Object.prototype.hasOwnProperty.call(next, k)) keys[k] = 1;
+
+    for (k in keys) {
+      if (HISTORY_FIELDS[k]) continue;
+      var a = prev[k];
+      var b = next[k];
+      if (sameValue(a, b)) continue;
+      changes[k] = {
+        from: a === undefined ? null : clone(a),
+        to: b === undefined ? null : clone(b)
+      };
+      n++;
+    }
+    return n ? changes : null;
+  }
+
   function normalizeArray(arr) {
     if (!Array.isArray(arr)) return [];
     var out = [];
@@ -182,19 +224,23 @@ Scope (this Pass)
     return false;
   }
 
+  // Whole-set writes. VTStorage.saveAll()/clear() do it in one transaction; the per-record
+  // delete/put loop (O(n²) on LocalStorage) is only for storage layers without them.
+  // Both resolve { ok, reason }.
   async function writeAllToStorage(arr) {
-    if (!window.VTStorage) return false;
-
-    var writeApi = pickStorageWriteAPI();
-    dbgSet("writeApi", writeApi);
+    if (!window.VTStorage) return { ok: false, reason: "no-storage" };
 
     try {
-      if (writeApi === "saveAll") {
+      if (typeof window.VTStorage.saveAll === "function") {
+        dbgSet("writeApi", "saveAll");
         var res = window.VTStorage.saveAll(arr);
-        if (isThenable(res)) await res;
-        return true;
+        if (isThenable(res)) res = await res;
+        return (res && res.ok) ? { ok: true } : { ok: false, reason: (res && res.reason) || "write-failed" };
       }
 
+      var writeApi = pickStorageWriteAPI();
+      dbgSet("writeApi", writeApi);
+
       if (writeApi === "putRecord") {
         if (typeof window.VTStorage.deleteRecordById === "function") {
           try {
@@ -210,21 +256,27 @@ Scope (this Pass)
         for (var j = 0; j < arr.length; j++) {
           try { await writeOneToStorage(arr[j]); } catch (_) {}
         }
-        return true;
+        return { ok: true };
       }
-    } catch (_) {}
+    } catch (_) {
+      return { ok: false, reason: "write-exception" };
+    }
 
-    return false;
+    return { ok: false, reason: "no-storage" };
   }
 
   async function clearStorageAll() {
-    if (!window.VTStorage) return false;
+    if (!window.VTStorage) return { ok: false, reason: "no-storage" };
 
     try {
       if (typeof window.VTStorage.clear === "function") {
         var r0 = window.VTStorage.clear();
-        if (isThenable(r0)) await r0;
-        return true;
+        if (isThenable(r0)) r0 = await r0;
+        return (r0 && r0.ok) ? { ok: true } : { ok: false, reason: (r0 && r0.reason) || "delete-failed" };
+      }
+
+      if (typeof window.VTStorage.saveAll === "function") {
+        return await writeAllToStorage([]);
       }
 
       if (typeof window.VTStorage.deleteRecordById === "function") {
@@ -234,20 +286,28 @@ Scope (this Pass)
             try { await window.VTStorage.deleteRecordById(existing[i]); } catch (_) {}
           }
         }
-        return true;
+        return { ok: true };
       }
+    } catch (_) {
+      return { ok: false, reason: "delete-exception" };
+    }
 
-      if (typeof window.VTStorage.saveAll === "function") {
-        var r1 = window.VTStorage.saveAll([]);
-        if (isThenable(r1)) await r1;
-        return true;
-      }
-    } catch (_) {}
+    return { ok: false, reason: "no-storage" };
+  }
 
-    return false;
+  // ---------- Draft API (wizard support; persisted only when opted in) ----------
+  function keepDrafts() {
+    try {
+      return !!(window.VTSettings && typeof window.VTSettings.getKeepDrafts === "function" && window.VTSettings.getKeepDrafts());
+    } catch (_) {
+      return false;
+    }
+  }
+
+  function hasDraftStorage() {
+    return !!(window.VTStorage && typeof window.VTStorage.writeDraft === "function");
   }
 
-  // ---------- Draft API (wizard support; memory-only) ----------
   function getDraft() {
     try {
       if (!_draftMem || typeof _draftMem !== "object") return null;
@@ -261,7 +321,12 @@ Scope (this Pass)
     try {
       if (!draftObj || typeof draftObj !== "object") return false;
       _draftMem = clone(draftObj);
-      dbgSet("draft", "SET_MEM");
+      if (keepDrafts() && hasDraftStorage()) {
+        var ok = window.VTStorage.writeDraft(_draftMem, Date.now() + DRAFT_TTL_MS);
+        dbgSet("draft", ok ? "SET_PERSISTED" : "SET_MEM_PERSIST_FAIL");
+      } else {
+        dbgSet("draft", "SET_MEM");
+      }
       return true;
     } catch (_) {
       dbgSet("draft", "SET_MEM_FAIL");
@@ -272,16 +337,35 @@ Scope (this Pass)
   function clearDraft() {
     try {
       _draftMem = null;
-      dbgSet("draft", "CLEARED_MEM");
+      if (hasDraftStorage()) window.VTStorage.removeDraft();
+      dbgSet("draft", "CLEARED");
       return true;
     } catch (_) {
-      dbgSet("draft", "CLEAR_MEM_FAIL");
+      dbgSet("draft", "CLEAR_FAIL");
       return false;
     }
   }
 
+  // Resolves { draft, savedAt, expiresAt } | null. An expired draft (or one left behind after the
+  // setting was turned off) is removed here, so it can never be offered later.
+  async function getPersistedDraft() {
+    try {
+      if (!hasDraftStorage()) return null;
+      var d = await window.VTStorage.readDraft();
+      if (!d) return null;
+      if (!keepDrafts() || !(d.expiresAt > Date.now())) {
+        window.VTStorage.removeDraft();
+        dbgSet("draft", "EXPIRED_REMOVED");
+        return null;
+      }
+      return { draft: clone(d.draft), savedAt: d.savedAt, expiresAt: d.expiresAt };
+    } catch (_) {
+      return null;
+    }
+  }
+
   function legacyDraftCleanupOnce() {
-    // One-time cleanup: remove any legacy persistent draft key to prevent resume.
+    // One-time cleanup: remove the legacy persistent draft key (it was resumed without asking).
     try {
       if (!window.localStorage) return;
       if (localStorage.getItem(DRAFT_KEY) != null) {
@@ -303,9 +387,14 @@ Scope (this Pass)
       dbgInit();
       dbgSet("storagePresent", hasStorage() ? "YES" : "NO");
 
-      // Ensure no draft resume can occur from prior builds.
+      // Ensure no silent draft resume can occur from prior builds.
       legacyDraftCleanupOnce();
 
+      // Vault mode: panels/log/add may call init() early; nothing is read until the vault is open.
+      try {
+        if (window.VTVault && typeof window.VTVault.whenUnlocked === "function") await window.VTVault.whenUnlocked();
+      } catch (_) {}
+
       if (!hasStorage()) {
         try { console.warn("VTStore: storage layer not available"); } catch (_) {}
         cache = [];
@@ -334,138 +423,482 @@ Scope (this Pass)
         cache = [];
       }
 
+      purgeExpiredTrash();
+
       ready = true;
       dbgSet("cacheLen", Array.isArray(cache) ? cache.length : 0);
+      chainSync();
     })();
 
     return initPromise;
   }
 
+  // Tamper-evident ledger (js/chain.js): chains whatever changed since the last sync.
+  // Fire-and-forget; exports wait on VTChain.settled(). Never blocks or fails a save.
+  function chainSync() {
+    try {
+      if (window.VTChain && typeof window.VTChain.sync === "function") window.VTChain.sync(cache);
+    } catch (_) {}
+  }
+
+  // ---------- Change events ----------
+  // Every change reaches subscribe() listeners and document "vt:recordsChanged" with
+  // { added:[rec], updated:[rec], removed:[rec], reason, source:"local"|"remote" } (copies).
+  // Other tabs hear about local changes over BroadcastChannel and re-read storage themselves.
+  var CHANNEL_NAME = "vt_records_v1";
+  var TAB_ID = Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 8);
+  var _subscribers = [];
+  var _channel = null;
+
+  function subscribe(fn) {
+    if (typeof fn !== "function") return function () {};
+    _subscribers.push(fn);
+    return function unsubscribe() {
+      var i = _subscribers.indexOf(fn);
+      if (i >= 0) _subscribers.splice(i, 1);
+    };
+  }
+
+  function emitChange(change, reason, source) {
+    var detail = {
+      added: clone(change.added || []),
+      updated: clone(change.updated || []),
+      removed: clone(change.removed || []),
+      reason: reason,
+      source: source || "local"
+    };
+    if (!detail.added.length && !detail.updated.length && !detail.removed.length) return;
+
+    _subscribers.slice().forEach(function (fn) {
+      try { fn(detail); } catch (_) {}
+    });
+    try { document.dispatchEvent(new CustomEvent("vt:recordsChanged", { detail: detail })); } catch (_) {}
+
+    if (detail.source === "local" && _channel) {
+      try {
+        _channel.postMessage({
+          from: TAB_ID,
+          reason: reason,
+          added: detail.added.map(idOf),
+          updated: detail.updated.map(idOf),
+          removed: detail.removed.map(idOf)
+        });
+      } catch (_) {}
+    }
+  }
+
+  function idOf(r) {
+    return r ? (r.id || r.ts) : null;
+  }
+
+  // { added, updated, removed } between two record sets (matched on id).
+  function diffSets(before, after) {
+    var prev = {};
+    var seen = {};
+    var out = { added: [], updated: [], removed: [] };
+    var i;
+    for (i = 0; i < before.length; i++) if (before[i]) prev[idOf(before[i])] = before[i];
+    for (i = 0; i < after.length; i++) {
+      var r = after[i];
+      if (!r) continue;
+      var k = idOf(r);
+      seen[k] = true;
+      if (!prev[k]) out.added.push(r);
+      else if (!sameValue(prev[k], r)) out.updated.push(r);
+    }
+    for (i = 0; i < before.length; i++) {
+      if (before[i] && !seen[idOf(before[i])]) out.removed.push(before[i]);
+    }
+    return out;
+  }
+
+  // Re-reads the cache from storage (after a bulk import/merge written below VTStore).
+  async function reload() {
+    await init();
+    var before = cache.slice();
+    try {
+      var data = await readAllFromStorage();
+      cache = normalizeArray(data);
+    } catch (_) {}
+    dbgSet("cacheLen", cache.length);
+    chainSync();
+    emitChange(diffSets(before, cache), "reload");
+    return cache.length;
+  }
+
+  // Another tab changed records: re-read storage (the tab that saved chains the change).
+  async function onRemoteChange(msg) {
+    if (!msg || msg.from === TAB_ID) return;
+    await init();
+    try {
+      if (window.VTStorage && typeof window.VTStorage.invalidate === "function") window.VTStorage.invalidate();
+    } catch (_) {}
+    var before = cache.slice();
+    try {
+      var data = await readAllFromStorage();
+      cache = normalizeArray(data);
+    } catch (_) {
+      return;
+    }
+    dbgSet("cacheLen", cache.length);
+    emitChange(diffSets(before, cache), msg.reason || "remote", "remote");
+  }
+
+  try {
+    if (typeof BroadcastChannel === "function") {
+      _channel = new BroadcastChannel(CHANNEL_NAME);
+      _channel.onmessage = function (e) { onRemoteChange(e && e.data); };
+    }
+  } catch (_) {
+    _channel = null;
+  }
+
   function getAll() {
     if (!ready) { try { init(); } catch (_) {} }
     return clone(Array.isArray(cache) ? cache : []);
   }
 
+  // Indexed read for renders/reports (VTStorage.queryRecords): resolves { records, cursor } with
+  // only the requested page copied. q: { from, to, hasSymptom, minSys, minHr, medName, text,
+  // position, arm, cuff, device, limit, cursor, order:"asc"|"desc" }; pass cursor back with the same q for the next page.
+  async function query(q) {
+    await init();
+    try {
+      if (window.VTStorage && typeof window.VTStorage.queryRecords === "function") {
+        var res = await window.VTStorage.queryRecords(q || {});
+        dbgSet("lastQuery", { n: res && res.records ? res.records.length : 0, more: !!(res && res.cursor) });
+        return { records: normalizeArray(res && res.records), cursor: (res && res.cursor) || null };
+      }
+    } catch (_) {}
+    // Without storage nothing is ever saved, so there is nothing to find.
+    return { records: [], cursor: null };
+  }
+
+  function newId() {
+    try {
+      if (window.VTStorage && typeof window.VTStorage.newId === "function") return window.VTStorage.newId();
+    } catch (_) {}
+    return "r-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10);
+  }
+
+  // Keys: { id } (preferred; immutable) or legacy { ts } / numeric { id } (== ts).
   function findIndexByKey(key, rec) {
+    var id = null;
     var ts = null;
     if (key && typeof key === "object") {
-      if (typeof key.ts === "number" && isFinite(key.ts)) ts = key.ts;
+      if (typeof key.id === "string" && key.id) id = key.id;
       else if (typeof key.id === "number" && isFinite(key.id)) ts = key.id;
+      if (id == null && ts == null && typeof key.ts === "number" && isFinite(key.ts)) ts = key.ts;
+    }
+    if (id == null && ts == null && rec) {
+      if (typeof rec.id === "string" && rec.id) id = rec.id;
+      else if (typeof rec.ts === "number" && isFinite(rec.ts)) ts = rec.ts;
     }
-    if (ts == null && rec && typeof rec.ts === "number" && isFinite(rec.ts)) ts = rec.ts;
-    if (ts == null) return -1;
 
     for (var i = 0; i < cache.length; i++) {
       var r = cache[i];
       if (!r) continue;
+      if (id != null) {
+        if (r.id === id) return i;
+        continue;
+      }
       var rts = (typeof r.ts === "number" && isFinite(r.ts)) ? r.ts : null;
-      if (rts != null && rts === ts) return i;
-      if (r && (r.id === ts || r._id === ts)) return i;
+      if (ts != null && rts === ts) return i;
+      if (ts != null && (r.id === ts || r._id === ts)) return i;
     }
     return -1;
   }
 
-  async function add(record) {
-    await init();
-
-    var rec = normalizeRecord(record);
-    cache.push(rec);
-
+  // Writes one record through VTStorage. Resolves { ok, reason }.
+  async function persistOne(rec) {
     try {
-      var ok = false;
-
       if (window.VTStorage && typeof window.VTStorage.putRecord === "function") {
         var r = window.VTStorage.putRecord(rec);
         if (isThenable(r)) r = await r;
-        ok = !!(r && r.ok);
-      } else if (window.VTStorage && typeof window.VTStorage.saveAll === "function") {
+        return (r && r.ok) ? { ok: true } : { ok: false, reason: (r && r.reason) || "write-failed" };
+      }
+      if (window.VTStorage && typeof window.VTStorage.saveAll === "function") {
         var res = window.VTStorage.saveAll(cache);
         if (isThenable(res)) await res;
-        ok = true;
+        return { ok: true };
       }
+      return { ok: false, reason: "no-storage" };
+    } catch (_) {
+      return { ok: false, reason: "write-exception" };
+    }
+  }
 
-      dbgSet("lastAddOk", ok ? "YES" : "NO");
-    } catch (_) {}
+  // add()/update() reject with this when the write did not land, so a reading never looks saved
+  // while it was lost. err.code: "quota-exceeded" | "no-storage" | "idb-write-failed" | ...
+  function writeError(reason) {
+    var err = new Error(reason === "quota-exceeded"
+      ? "Device storage is full. The reading was not saved."
+      : "The reading could not be saved (" + reason + ").");
+    err.name = "VTStoreWriteError";
+    err.code = reason;
+    return err;
+  }
+
+  async function add(record) {
+    await init();
 
+    var rec = normalizeRecord(record);
+    if (rec && !rec.id) rec.id = newId();
+    if (rec) {
+      // A new record starts without history.
+      delete rec.revisions;
+      delete rec.updatedAt;
+      if (!(typeof rec.createdAt === "number" && isFinite(rec.createdAt))) rec.createdAt = Date.now();
+    }
+    cache.push(rec);
+
+    var res = await persistOne(rec);
+    dbgSet("lastAddOk", res.ok ? "YES" : ("NO:" + res.reason));
+
+    if (!res.ok) {
+      // Roll back so the cache never shows an unsaved reading.
+      var at = cache.indexOf(rec);
+      if (at >= 0) cache.splice(at, 1);
+      throw writeError(res.reason);
+    }
+
+    chainSync();
+    emitChange({ added: [rec] }, "add");
     return rec;
   }
 
-  async function update(key, record) {
+  // update(key, record, { entry }) — entry:true marks the wizard finishing a brand-new record
+  // (no revision while the record has none and is younger than ENTRY_WINDOW_MS).
+  async function update(key, record, opts) {
     await init();
 
     var rec = normalizeRecord(record);
 
-    // Preserve timestamp if caller provided a key.ts (edit should not move the record in time)
-    try {
-      if (key && typeof key === "object" && typeof key.ts === "number" && isFinite(key.ts)) {
-        rec.ts = key.ts;
-      } else if (key && typeof key === "object" && typeof key.id === "number" && isFinite(key.id)) {
-        rec.ts = key.id;
+    // id is immutable: the matched record keeps its id. ts is an ordinary field and may change;
+    // when the caller omits it, the stored time is kept.
+    var idx = findIndexByKey(key, rec);
+    var prev = idx >= 0 ? cache[idx] : null;
+    if (prev && prev.id) rec.id = prev.id;
+    if (!rec.id) rec.id = newId();
+    if (!(typeof rec.ts === "number" && isFinite(rec.ts)) && prev) rec.ts = prev.ts;
+
+    // History comes from the stored record only.
+    delete rec.revisions;
+    delete rec.updatedAt;
+    delete rec.createdAt;
+    delete rec.enteredAt;
+    if (prev) {
+      if (prev.createdAt != null) rec.createdAt = prev.createdAt;
+      if (prev.enteredAt != null) rec.enteredAt = prev.enteredAt;
+      if (prev.source != null) rec.source = prev.source;
+      if (prev.updatedAt != null) rec.updatedAt = prev.updatedAt;
+      if (Array.isArray(prev.revisions) && prev.revisions.length) rec.revisions = prev.revisions.slice();
+
+      var changes = diffRecords(prev, rec);
+      var completingEntry = !!(opts && opts.entry) && !rec.revisions &&
+        typeof prev.createdAt === "number" && (Date.now() - prev.createdAt) < ENTRY_WINDOW_MS;
+
+      if (changes && !completingEntry) {
+        var at = Date.now();
+        rec.revisions = (rec.revisions || []).concat([{ at: at, changes: changes }]);
+        rec.updatedAt = at;
       }
-    } catch (_) {}
+    } else if (typeof rec.createdAt !== "number") {
+      rec.createdAt = Date.now();
+    }
 
-    var idx = findIndexByKey(key, rec);
     if (idx >= 0) cache[idx] = rec;
     else cache.push(rec);
 
+    var res = await persistOne(rec);
+    dbgSet("lastUpdateOk", res.ok ? "YES" : ("NO:" + res.reason));
+
+    if (!res.ok) {
+      var pos = cache.indexOf(rec);
+      if (pos >= 0) {
+        if (prev) cache[pos] = prev;
+        else cache.splice(pos, 1);
+      }
+      throw writeError(res.reason);
+    }
+
+    chainSync();
+    if (prev) emitChange({ updated: [rec] }, "update");
+    else emitChange({ added: [rec] }, "update");
+    return rec;
+  }
+
+  async function removeFromStorage(rec, hard) {
+    if (!window.VTStorage) return false;
+
     try {
-      var ok = false;
+      // Soft delete (default): the record is kept in the storage trash until purged.
+      if (!hard && typeof window.VTStorage.trashRecord === "function") {
+        var t = window.VTStorage.trashRecord(rec);
+        if (isThenable(t)) t = await t;
+        return !!(t && t.ok);
+      }
 
-      if (window.VTStorage && typeof window.VTStorage.putRecord === "function") {
-        var r = window.VTStorage.putRecord(rec);
+      if (typeof window.VTStorage.deleteRecordById === "function") {
+        var r = window.VTStorage.deleteRecordById(rec);
         if (isThenable(r)) r = await r;
-        ok = !!(r && r.ok);
-      } else if (window.VTStorage && typeof window.VTStorage.saveAll === "function") {
+        return !!(r && r.ok);
+      }
+
+      if (typeof window.VTStorage.saveAll === "function") {
         var res = window.VTStorage.saveAll(cache);
         if (isThenable(res)) await res;
-        ok = true;
+        return true;
       }
-
-      dbgSet("lastUpdateOk", ok ? "YES" : "NO");
     } catch (_) {}
 
-    return rec;
+    return false;
   }
 
-  async function replaceAll(arr) {
+  // Removes one record (matched like update(): key.id, or legacy key.ts).
+  // Default is a soft delete into the trash; pass { hard:true } to delete permanently.
+  // Resolves to the removed record (a copy), or null if not found or storage did not take the delete
+  // (the record stays in the cache; nothing is emitted).
+  async function remove(key, opts) {
     await init();
-    if (!Array.isArray(arr)) return;
 
-    cache = normalizeArray(arr);
+    var k = (typeof key === "number") ? { ts: key } : (typeof key === "string") ? { id: key } : key;
+    var idx = findIndexByKey(k, (k && typeof k === "object") ? k : null);
+    if (idx < 0) {
+      dbgSet("lastRemoveOk", "NOT_FOUND");
+      return null;
+    }
+
+    var removed = cache.splice(idx, 1)[0];
 
+    var ok = false;
+    try { ok = await removeFromStorage(removed, !!(opts && opts.hard)); } catch (_) {}
+    dbgSet("lastRemoveOk", ok ? "YES" : "NO");
+    if (!ok) {
+      cache.splice(idx, 0, removed);
+      return null;
+    }
+    chainSync();
+    emitChange({ removed: [removed] }, "remove");
+
+    return clone(removed);
+  }
+
+  // ---------- Trash (soft-deleted records; owned by VTStorage) ----------
+  function getTrash() {
     try {
-      await writeAllToStorage(cache);
-      dbgSet("lastReplaceAll", "OK");
+      if (!window.VTStorage || typeof window.VTStorage.getTrash !== "function") return [];
+      return clone(window.VTStorage.getTrash() || []);
     } catch (_) {
-      dbgSet("lastReplaceAll", "NO");
+      return [];
     }
   }
 
-  async function clear() {
+  // restore(id) (legacy: a numeric ts) puts a trashed record back in cache and storage.
+  async function restore(key) {
     await init();
+    if (!window.VTStorage || typeof window.VTStorage.restoreFromTrash !== "function") return null;
 
-    cache = [];
+    var rec = null;
+    try {
+      rec = window.VTStorage.restoreFromTrash(key);
+      if (isThenable(rec)) rec = await rec;
+    } catch (_) { rec = null; }
+    if (!rec) return null;
+
+    rec = normalizeRecord(rec);
+    var idx = findIndexByKey(rec.id ? { id: rec.id } : { ts: rec.ts }, rec);
+    if (idx >= 0) cache[idx] = rec;
+    else cache.push(rec);
 
+    dbgSet("lastRestore", rec.id || rec.ts);
+    chainSync();
+    if (idx >= 0) emitChange({ updated: [rec] }, "restore");
+    else emitChange({ added: [rec] }, "restore");
+    return clone(rec);
+  }
+
+  // purgeTrash(id) permanently deletes one trashed record; purgeTrash() empties the trash.
+  function purgeTrash(key) {
+    try {
+      if (!window.VTStorage || typeof window.VTStorage.purgeTrash !== "function") return 0;
+      return window.VTStorage.purgeTrash(key) || 0;
+    } catch (_) {
+      return 0;
+    }
+  }
+
+  // Retention comes from VTSettings (Settings → Trash); no-op until settings are available.
+  function purgeExpiredTrash() {
     try {
-      await clearStorageAll();
-      dbgSet("lastClear", "OK");
+      if (!window.VTStorage || typeof window.VTStorage.purgeExpiredTrash !== "function") return 0;
+      if (!window.VTSettings || typeof window.VTSettings.getTrashRetentionDays !== "function") return 0;
+      var n = window.VTStorage.purgeExpiredTrash(window.VTSettings.getTrashRetentionDays()) || 0;
+      dbgSet("trashPurged", n);
+      return n;
     } catch (_) {
-      dbgSet("lastClear", "NO");
+      return 0;
     }
   }
 
+  // Replaces every live record (restore) in one bulk write. Rejects like add() when it did not land;
+  // the cache is then left as it was. Storage assigns ids, so the cache is re-read afterwards.
+  async function replaceAll(arr) {
+    await init();
+    if (!Array.isArray(arr)) return;
+
+    var res = await writeAllToStorage(normalizeArray(arr));
+    dbgSet("lastReplaceAll", res.ok ? "OK" : "NO");
+    if (!res.ok) throw writeError(res.reason);
+
+    var before = cache.slice();
+    try {
+      cache = normalizeArray(await readAllFromStorage());
+    } catch (_) {}
+    dbgSet("cacheLen", cache.length);
+    chainSync();
+    emitChange(diffSets(before, cache), "replaceAll");
+  }
+
+  async function clear() {
+    await init();
+
+    var res = await clearStorageAll();
+    dbgSet("lastClear", res.ok ? "OK" : "NO");
+    if (!res.ok) throw writeError(res.reason);
+
+    var before = cache.slice();
+    cache = [];
+    chainSync();
+    emitChange({ removed: before }, "clear");
+  }
+
   window.VTStore = {
     init: init,
+    reload: reload,
     getAll: getAll,
+    query: query,
     add: add,
     update: update,
+    remove: remove,
     replaceAll: replaceAll,
     clear: clear,
 
-    // Draft API (wizard support; memory-only)
+    // Change events (also document "vt:recordsChanged"; other tabs via BroadcastChannel)
+    subscribe: subscribe,
+
+    // Trash (soft delete; restore/purge)
+    getTrash: getTrash,
+    restore: restore,
+    purgeTrash: purgeTrash,
+    purgeExpiredTrash: purgeExpiredTrash,
+
+    // Draft API (wizard support; persisted for DRAFT_TTL_MS when Settings opts in)
+    DRAFT_TTL_MS: DRAFT_TTL_MS,
     getDraft: getDraft,
     setDraft: setDraft,
-    clearDraft: clearDraft
+    clearDraft: clearDraft,
+    getPersistedDraft: getPersistedDraft
   };
 
   try { init(); } catch (_) {}
@@ -479,9 +912,9 @@ Copyright © 2026 Wendell K. Jiles. All rights reserved.
 
 File: js/store.js
 App Version Authority: js/version.js
-ImplementationId: ADD-20260122-001
-FileEditId: 4
-Edited: 2026-01-22
+ImplementationId: JYLES-20261019-CONTEXT-001
+FileEditId: 19
+Edited: 2026-10-19
 
 Current file: js/store.js, File 2 of 3
 
@@ -496,9 +929,17 @@ Current file (pasted/edited in this step): js/store.js
 
 Acceptance checks
 - window.VTStore exists; getAll() remains synchronous.
-- add()/update() preserve pass-through fields and persist via VTStorage when present.
-- Draft API exists (getDraft/setDraft/clearDraft) and is memory-only.
-- Legacy localStorage draft key is removed once during init to prevent resume behavior.
+- After VTStorage.commitMerge(), reload() makes getAll() include the merged records.
+- A failed putRecord() makes add()/update() reject, and getAll() does not show the unsaved change.
+- Draft API exists (getDraft/setDraft/clearDraft/getPersistedDraft); with "Keep unfinished entries" off nothing is persisted.
+- update() with a different enteredAt keeps the stored one; changing ts appends a "ts" revision.
+- getPersistedDraft() resolves null (and removes the copy) once DRAFT_TTL_MS has passed since the last setDraft().
+- After a save, VTChain.settled() resolves with a ledger entry for the change (none for a no-op update).
+- Each successful add/update/remove emits exactly one vt:recordsChanged; a failed save emits none.
+- A remove() that storage refuses resolves null, keeps the record in getAll() and emits nothing (Log shows "Could not delete…").
+- query({ order:"desc", limit }) pages match getAll() sorted newest first; the last page has cursor null.
+- replaceAll() of 5,000 records makes one saveAll() call; getAll() afterwards equals what storage holds.
+- query({ position:"standing" }) returns only standing readings.
 
 Test and regroup for next pass.
 */
@@ -5,9 +5,9 @@ Copyright © 2026 Wendell K. Jiles. All rights reserved.
 
 File: js/ui.js
 App Version Authority: js/version.js
-ImplementationId: ADD-20260121-006
-FileEditId: 1
-Edited: 2026-01-22
+ImplementationId: JYLES-20261019-ORTHO-001
+FileEditId: 8
+Edited: 2026-10-19
 
 Current file: js/ui.js, File 3 of 3
 
@@ -25,12 +25,9 @@ Beacon Sticky Notes (persist until user changes)
 ------------------------------------------------------------
 
 Scope (this Pass)
-- File list (3 files, fixed order):
-  1) js/add.js — File 1 of 3
-  2) js/store.js — File 2 of 3
-  3) js/ui.js — File 3 of 3
-- This file: align BOF/EOF to Pass Method; do not invent next files; end-of-pass only (EOL, EOP).
-- No UI behavior changes in this step.
+- deleteSession(recs, opts): opts.what names the group in the confirm/alerts ("orthostatic test" for a Log test row,
+  js/orthostatic.js); default "session".
+- deleteRecord(), downloadJSON() and the Clear Data flow unchanged.
 ------------------------------------------------------------ 
 */
 
@@ -39,13 +36,18 @@ Vitals Tracker — BOF Version/Detail Notes (REQUIRED)
 File: js/ui.js
 App Version Authority: js/version.js
 Base: v2.026a (as currently pasted)
-Pass: ADD-20260121-006
+Pass: JYLES-20261019-ORTHO-001
 Pass order: File 3 of 3
 Prev file: js/store.js (File 2 of 3)
 Next file: EOL, EOP
 
 Change Log (THIS FILE ONLY)
-1) No functional changes. Metadata alignment only.
+1) deleteRecord() keys on the record id (ts only as a legacy fallback).
+2) deleteRecord() now moves the reading to Trash; Undo restores it from Trash.
+3) Clear Data now offers a JSON backup (VTStorage.exportBackup), awaits VTStorage.clearAll() and reports what was removed.
+4) downloadJSON() added to the VTUI surface (evidence JSON from Settings).
+5) deleteSession() added: one confirm for every reading of a session; Undo restores all of them.
+6) deleteSession() opts.what: the same flow for an orthostatic test ("Move this orthostatic test (4 readings …) to Trash?").
 */
 
 (function () {
@@ -180,13 +182,225 @@ Change Log (THIS FILE ONLY)
       } catch (_) {}
     });
 
-    bindOnce(dom.btnClearData, "clearData", () => {
-      if (!window.confirm("This will permanently delete all local data. Continue?")) return;
-      if (window.VTStorage && window.VTStorage.clearAll) {
-        window.VTStorage.clearAll();
-        location.reload();
+    bindOnce(dom.btnClearData, "clearData", clearAllData);
+  }
+
+  /* ==============================
+     Clear Data (backup first, then wipe + report)
+     ============================== */
+
+  function stampNow() {
+    const d = new Date();
+    const p = (n) => String(n).padStart(2, "0");
+    return d.getFullYear() + "-" + p(d.getMonth() + 1) + "-" + p(d.getDate()) + "_" + p(d.getHours()) + p(d.getMinutes());
+  }
+
+  function downloadJSON(obj, filename) {
+    const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => { try { URL.revokeObjectURL(url); } catch (_) {} }, 1500);
+  }
+
+  async function clearAllData() {
+    const S = window.VTStorage;
+    if (!S || typeof S.clearAll !== "function") {
+      alert("Clear Data is not available in this build.");
+      return;
+    }
+
+    if (!window.confirm("This will permanently delete all local data. Continue?")) return;
+
+    // A wipe on a health log must be recoverable: offer a backup first (default path).
+    if (typeof S.exportBackup === "function" &&
+        window.confirm("Download a backup (JSON) of all readings before clearing?\n\nOK = back up first, Cancel = clear without a backup.")) {
+      try {
+        const backup = await S.exportBackup();
+        downloadJSON(backup, "vitals_backup_" + stampNow() + ".json");
+      } catch (_) {
+        alert("Backup failed. Nothing was deleted.");
+        return;
+      }
+    }
+
+    let report = null;
+    try {
+      report = await S.clearAll();
+    } catch (_) {
+      report = null;
+    }
+
+    if (!report) {
+      alert("Clear Data failed. Nothing was reported as removed.");
+      return;
+    }
+
+    const lines = report.removed.length
+      ? report.removed.map((x) => "• " + x.source + " (" + x.count + ")")
+      : ["• Nothing was stored."];
+    if (report.failed && report.failed.length) {
+      lines.push("", "Could not clear:");
+      report.failed.forEach((src) => lines.push("• " + src));
+    }
+
+    alert("Removed " + report.total + " record(s):\n" + lines.join("\n"));
+    location.reload();
+  }
+
+  /* ==============================
+     Toast (single slot; optional action)
+     ============================== */
+
+  let toastTimer = null;
+
+  function hideToast() {
+    try { if (toastTimer) clearTimeout(toastTimer); } catch (_) {}
+    toastTimer = null;
+    const el = document.getElementById("vtToast");
+    if (el) el.classList.remove("show");
+  }
+
+  // toast("Reading deleted", { actionLabel:"Undo", onAction:fn, ms:6000 })
+  function toast(message, opts) {
+    const o = opts || {};
+    let el = document.getElementById("vtToast");
+    if (!el) {
+      el = document.createElement("div");
+      el.id = "vtToast";
+      el.className = "vtToast";
+      el.setAttribute("role", "status");
+      el.setAttribute("aria-live", "polite");
+      document.body.appendChild(el);
+    }
+
+    hideToast();
+    el.innerHTML = "";
+
+    const msg = document.createElement("span");
+    msg.className = "vtToastMsg";
+    msg.textContent = String(message || "");
+    el.appendChild(msg);
+
+    if (o.actionLabel && typeof o.onAction === "function") {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "vtToastBtn";
+      btn.textContent = o.actionLabel;
+      btn.addEventListener("click", () => {
+        hideToast();
+        try { o.onAction(); } catch (_) {}
+      });
+      el.appendChild(btn);
+    }
+
+    el.classList.add("show");
+    toastTimer = setTimeout(hideToast, Number(o.ms) > 0 ? Number(o.ms) : 4000);
+  }
+
+  /* ==============================
+     Record delete (confirm + undo window)
+     ============================== */
+
+  const UNDO_MS = 6000;
+
+  function describeRecord(rec) {
+    const parts = [];
+    if (rec && rec.sys != null && rec.dia != null) parts.push("BP " + rec.sys + "/" + rec.dia);
+    if (rec && rec.hr != null) parts.push("HR " + rec.hr);
+    if (rec && typeof rec.ts === "number") {
+      try { parts.push(new Date(rec.ts).toLocaleString()); } catch (_) {}
+    }
+    return parts.join(" • ");
+  }
+
+  // Shared by Log rows and the Add wizard's edit mode.
+  // Resolves true once the record is removed; onChange runs after delete and after undo.
+  async function deleteRecord(rec, opts) {
+    const o = opts || {};
+    if (!rec || (!rec.id && typeof rec.ts !== "number")) return false;
+    if (!window.VTStore || typeof window.VTStore.remove !== "function") return false;
+
+    const desc = describeRecord(rec);
+    if (!window.confirm("Move this reading" + (desc ? " (" + desc + ")" : "") + " to Trash?\n\nIt can be restored from Settings → Trash.")) return false;
+
+    let removed = null;
+    // Key on the immutable id; ts only for records that predate ids.
+    try { removed = await window.VTStore.remove(rec.id ? { id: rec.id } : { ts: rec.ts }); } catch (_) {}
+    if (!removed) {
+      try { alert("Could not delete this reading."); } catch (_) {}
+      return false;
+    }
+
+    try { if (typeof o.onChange === "function") o.onChange(); } catch (_) {}
+
+    toast("Moved to Trash", {
+      actionLabel: "Undo",
+      ms: UNDO_MS,
+      onAction: async () => {
+        // Restore from trash when available (clears the trash entry); otherwise re-add.
+        try {
+          if (typeof window.VTStore.restore === "function") await window.VTStore.restore(removed.id || removed.ts);
+          else await window.VTStore.add(removed);
+        } catch (_) {}
+        try { if (typeof o.onChange === "function") o.onChange(); } catch (_) {}
       }
     });
+
+    return true;
+  }
+
+  // A multi-reading session (js/sessions.js) as one Log row: every member goes to Trash together
+  // and Undo brings them all back. recs: the members; opts.what: "session" | "orthostatic test";
+  // resolves true once at least one is removed.
+  async function deleteSession(recs, opts) {
+    const o = opts || {};
+    const what = String(o.what || "session");
+    const list = (Array.isArray(recs) ? recs : []).filter((r) => r && (r.id || typeof r.ts === "number"));
+    if (!list.length) return false;
+    if (list.length === 1) return deleteRecord(list[0], o);
+    if (!window.VTStore || typeof window.VTStore.remove !== "function") return false;
+
+    const first = list.reduce((a, b) => (Number(b.ts) < Number(a.ts) ? b : a));
+    const when = describeRecord({ ts: first.ts });
+    if (!window.confirm("Move this " + what + " (" + list.length + " readings" + (when ? " • " + when : "") + ") to Trash?\n\nThe readings can be restored from Settings → Trash.")) return false;
+
+    const removed = [];
+    for (const rec of list) {
+      try {
+        const r = await window.VTStore.remove(rec.id ? { id: rec.id } : { ts: rec.ts });
+        if (r) removed.push(r);
+      } catch (_) {}
+    }
+    if (!removed.length) {
+      try { alert("Could not delete this " + what + "."); } catch (_) {}
+      return false;
+    }
+    if (removed.length < list.length) {
+      try { alert("Only " + removed.length + " of " + list.length + " readings could be deleted."); } catch (_) {}
+    }
+
+    try { if (typeof o.onChange === "function") o.onChange(); } catch (_) {}
+
+    toast("Moved " + removed.length + " reading" + (removed.length === 1 ? "" : "s") + " to Trash", {
+      actionLabel: "Undo",
+      ms: UNDO_MS,
+      onAction: async () => {
+        for (const r of removed) {
+          try {
+            if (typeof window.VTStore.restore === "function") await window.VTStore.restore(r.id || r.ts);
+            else await window.VTStore.add(r);
+          } catch (_) {}
+        }
+        try { if (typeof o.onChange === "function") o.onChange(); } catch (_) {}
+      }
+    });
+
+    return true;
   }
 
   /* ==============================
@@ -206,7 +420,11 @@ Change Log (THIS FILE ONLY)
     // Stable routing surface for other modules
     showPanel,
     openSettings,
-    closeSettings
+    closeSettings,
+    toast,
+    deleteRecord,
+    deleteSession,
+    downloadJSON
   });
 
 })();
@@ -214,7 +432,7 @@ Change Log (THIS FILE ONLY)
 /*
 Vitals Tracker — EOF Version/Detail Notes (REQUIRED)
 File: js/ui.js
-Pass: ADD-20260121-006
+Pass: JYLES-20261019-ORTHO-001
 Pass order: File 3 of 3
 Prev file: js/store.js (File 2 of 3)
 Next file: EOL, EOP
@@ -227,9 +445,9 @@ Copyright © 2026 Wendell K. Jiles. All rights reserved.
 
 File: js/ui.js
 App Version Authority: js/version.js
-ImplementationId: ADD-20260121-006
-FileEditId: 1
-Edited: 2026-01-22
+ImplementationId: JYLES-20261019-ORTHO-001
+FileEditId: 8
+Edited: 2026-10-19
 
 Current file: js/ui.js, File 3 of 3
 
@@ -243,9 +461,12 @@ Beacon: update FileEditId by incrementing by one each time you generate a new fu
 Current file (pasted/edited in this step): js/ui.js
 
 Acceptance checks
-- Pass header/footer aligned to ADD-20260121-006 (File 3 of 3).
-- Next file correctly marked as EOL, EOP (end of pass).
-- No functional/UI behavior changes in this step.
+- Delete asks for confirmation and names Settings → Trash as the way back.
+- Undo within ~6s restores the same record (same ts) and removes it from Trash.
+- Clear Data still offers a backup first and reports what was removed.
+- VTUI.downloadJSON(obj, filename) saves a pretty-printed JSON file.
+- Deleting a 3-reading session from the Log moves 3 readings to Trash; Undo brings all 3 back.
+- Deleting an orthostatic test row asks "Move this orthostatic test (4 readings • …) to Trash?" and moves all 4.
 
 Test and regroup for next pass.
 */
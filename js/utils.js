@@ -17,8 +17,8 @@ ImplementationId: PP-20260121-001
 Prime Pass: Step 5 of 23
 Prev (this run): css/app.css (manifest skipped)
 Next (this run): js/storage.js
-FileEditId: 1
-Edited: 2026-01-21
+FileEditId: 2
+Edited: 2026-10-19
 
 Role / Ownership
 - Shared utilities: formatting, parsing, escaping, and small DOM helpers
@@ -30,6 +30,8 @@ Implemented (facts only)
 - Consistent timestamp formatting helpers (fmtDateTime, fmtTimeCommaDate, dowShortFromTs, mmddFromTs)
 - Date field parsing (parseDateField) and end-of-day clamp (clampEndOfDay)
 - ISO week helper (getISOWeekInputValueFromDate)
+- Report text formatters shared by js/export.js and js/reports.js (moodText, contextText, sessionText,
+  orthoStepText, orthoSummaryText, medsText, historyLines, chainHeadText, chainHash)
 
 Drift locks (do not change without intentional decision)
 - Keep output formatting stable (export/report text depends on it)
@@ -93,6 +95,91 @@ export function clampEndOfDay(ts){
   return d.getTime();
 }
 
+/* Report formatters (shared by js/export.js and js/reports.js; read window.VT* modules, with plain fallbacks) */
+// Mood vocabulary lives in js/mood.js (classic script; window.VTMood).
+export function moodText(r){
+  try{
+    if(window.VTMood && typeof window.VTMood.format === "function") return window.VTMood.format(r);
+  }catch{}
+  return r && r.mood ? String(r.mood) : "";
+}
+
+// Position / arm / cuff / device; vocabulary lives in js/context.js (classic script; window.VTContext).
+export function contextText(r){
+  try{
+    if(window.VTContext && typeof window.VTContext.format === "function") return window.VTContext.format(r);
+  }catch{}
+  return r ? ["position", "arm", "cuff", "device"].map(k => r[k]).filter(v => typeof v === "string" && v).join(" · ") : "";
+}
+
+// "Reading 2 of 3" for a multi-reading session member; js/sessions.js (classic script; window.VTSessions).
+export function sessionText(r){
+  try{
+    if(window.VTSessions && typeof window.VTSessions.memberText === "function") return window.VTSessions.memberText(r);
+  }catch{}
+  return (r && r.sessionId && r.sessionIndex) ? `Reading ${r.sessionIndex}${r.sessionSize ? ` of ${r.sessionSize}` : ""}` : "";
+}
+
+// "Standing 1 min" for an orthostatic test reading; js/orthostatic.js (classic script; window.VTOrtho).
+export function orthoStepText(r){
+  try{
+    if(window.VTOrtho && window.VTOrtho.idOf(r)) return window.VTOrtho.stepLabel(r.orthoStep);
+  }catch{}
+  return (r && r.orthoId && r.orthoStep) ? String(r.orthoStep) : "";
+}
+
+// Each orthostatic test once: its readings in step order and the computed drop/rise. "" when there are none.
+export function orthoSummaryText(recs){
+  try{
+    const VO = window.VTOrtho;
+    if(!VO) return "";
+    const tests = VO.group(recs || []).filter(it => it.kind === "test");
+    if(!tests.length) return "";
+    const blocks = tests.map(t => {
+      const lines = [`- ${fmtDateTime(t.anchor.ts)}: ${t.result ? t.result.text : "Incomplete test (no standing reading or no baseline)."}`];
+      t.members.forEach(m => lines.push(`  ${VO.stepLabel(m.orthoStep)}: BP ${m.sys ?? "—"}/${m.dia ?? "—"} • HR ${m.hr ?? "—"}`));
+      return lines.join("\n");
+    });
+    return `Orthostatic tests (${tests.length}):\n${blocks.join("\n")}\n\n`;
+  }catch{}
+  return "";
+}
+
+// Med events are formatted by js/meds.js (window.VTMeds), incl. before/after-reading timing.
+export function medsText(r){
+  try{
+    if(window.VTMeds && typeof window.VTMeds.format === "function") return window.VTMeds.format(r);
+  }catch{}
+  return (r && Array.isArray(r.meds)) ? r.meds.map(m => m && m.name).filter(Boolean).join(", ") : "";
+}
+
+// Measured vs entered vs last-modified lines; formatting owned by js/history.js (window.VTHistory).
+export function historyLines(r){
+  try{
+    if(window.VTHistory && typeof window.VTHistory.reportLines === "function") return window.VTHistory.reportLines(r);
+  }catch{}
+  const entered = r && (r.enteredAt || r.createdAt);
+  const out = [`Measured: ${fmtDateTime(r && r.ts)}`, `Entered: ${entered ? fmtDateTime(entered) : "not recorded"}`];
+  const n = (r && Array.isArray(r.revisions)) ? r.revisions.length : 0;
+  out.push(n ? `Last modified: ${fmtDateTime(r.updatedAt)} (edited ${n}×)` : "Last modified: never edited");
+  return out;
+}
+
+// Tamper evidence: chain head + per-entry short hash from js/chain.js (window.VTChain).
+export function chainHeadText(){
+  try{
+    if(window.VTChain && typeof window.VTChain.headText === "function") return window.VTChain.headText();
+  }catch{}
+  return "";
+}
+
+export function chainHash(r){
+  try{
+    if(window.VTChain && r && r.id != null) return window.VTChain.shortFor(r.id);
+  }catch{}
+  return "";
+}
+
 /* ISO week helpers (kept for potential future selector or labels) */
 export function getISOWeekInputValueFromDate(d){
   const date = new Date(d.getTime());
@@ -119,8 +206,8 @@ ImplementationId: PP-20260121-001
 Prime Pass: Step 5 of 23
 Prev (this run): css/app.css (manifest skipped)
 Next (this run): js/storage.js
-FileEditId: 1
-Edited: 2026-01-21
+FileEditId: 2
+Edited: 2026-10-19
 
 Implementation Fetch Aid (ONE-TIME ONLY; NOT A MASTER ORDER)
 Meaning:
@@ -134,4 +221,5 @@ Next file to fetch/paste (this run): js/storage.js
 Acceptance checks
 - App still boots; no import path changes introduced.
 - fmtDateTime output remains stable for report exports.
+- export.js and reports.js import the report formatters from here; neither keeps a local copy.
 */ 
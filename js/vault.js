@@ -0,0 +1,335 @@
+/*
+Vitals Tracker — BOF (Jyles Method Pass Header)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Vault Mode (Encrypted at Rest)
+ImplementationId: JYLES-20261019-VAULT-001
+App Version Authority: js/version.js
+
+File: js/vault.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Role / Ownership (LOCKED)
+- Passphrase -> key (WebCrypto PBKDF2-SHA-256 -> AES-GCM 256); the key lives in memory only.
+- seal()/open() of JSON values for js/storage.js (which owns what gets encrypted and when).
+- Lock screen at boot (#vaultLock) and idle detection (vt:vaultLock { reason:"idle" }; js/app.js locks + reloads).
+- Must NOT read/write records directly (js/storage.js owns migration both ways).
+- Must NOT render panels or own navigation.
+
+Vault meta (LocalStorage META_LS_KEY; no secrets)
+- { version, kdf:{ name, hash, iterations, salt }, check:{ iv, ct } }
+- check = seal(CHECK_TEXT); a wrong passphrase fails AES-GCM authentication.
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+------------------------------------------------------------
+*/
+
+(function () {
+  "use strict";
+
+  const META_LS_KEY = "vt_vault_v1";
+  const KDF_ITERATIONS = 600000;
+  const CHECK_TEXT = "vitals-tracker-vault";
+  const MIN_PASSPHRASE = 8;
+
+  const IDLE_DEFAULT_MIN = 5;
+  const IDLE_CHECK_MS = 15000;
+
+  let _key = null;
+  let _lastActivity = Date.now();
+  let _idleTimer = 0;
+  let _idleFired = false;
+  let _unlockWaiters = [];
+
+  function subtle() {
+    try { return (window.crypto && window.crypto.subtle) || null; } catch (_) { return null; }
+  }
+
+  function isSupported() {
+    return !!subtle() && ("indexedDB" in window);
+  }
+
+  // ---- base64 <-> bytes ----
+  function b64(bytes) {
+    const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    let s = "";
+    for (let i = 0; i < u8.length; i++) s += String.fromCharCode(u8[i]);
+    return btoa(s);
+  }
+
+  function unb64(str) {
+    const s = atob(String(str || ""));
+    const u8 = new Uint8Array(s.length);
+    for (let i = 0; i < s.length; i++) u8[i] = s.charCodeAt(i);
+    return u8;
+  }
+
+  // ---- meta ----
+  function readMeta() {
+    try {
+      const m = JSON.parse(localStorage.getItem(META_LS_KEY) || "null");
+      if (m && m.kdf && m.kdf.salt && m.check && m.check.iv && m.check.ct) return m;
+    } catch (_) {}
+    return null;
+  }
+
+  function isEnabled() {
+    return !!readMeta();
+  }
+
+  function isUnlocked() {
+    return !!_key;
+  }
+
+  // Resolves once data can be read (immediately when the vault is off or already open).
+  function whenUnlocked() {
+    if (_key || !isEnabled()) return Promise.resolve(true);
+    return new Promise((resolve) => { _unlockWaiters.push(resolve); });
+  }
+
+  function setKey(key) {
+    _key = key;
+    touch();
+    startIdleWatch();
+    const waiters = _unlockWaiters;
+    _unlockWaiters = [];
+    waiters.forEach((fn) => { try { fn(true); } catch (_) {} });
+  }
+
+  // ---- crypto ----
+  async function deriveKey(passphrase, salt, iterations) {
+    const s = subtle();
+    const base = await s.importKey("raw", new TextEncoder().encode(String(passphrase)), "PBKDF2", false, ["deriveKey"]);
+    return s.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      base,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  async function sealWith(key, value) {
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const data = new TextEncoder().encode(JSON.stringify(value));
+    const ct = await subtle().encrypt({ name: "AES-GCM", iv }, key, data);
+    return { iv: b64(iv), ct: b64(ct) };
+  }
+
+  async function openWith(key, box) {
+    const pt = await subtle().decrypt({ name: "AES-GCM", iv: unb64(box.iv) }, key, unb64(box.ct));
+    return JSON.parse(new TextDecoder().decode(pt));
+  }
+
+  // Throws when locked; js/storage.js treats that as "cannot read/write right now".
+  function seal(value) {
+    if (!_key) return Promise.reject(new Error("vault-locked"));
+    return sealWith(_key, value);
+  }
+
+  function open(box) {
+    if (!_key) return Promise.reject(new Error("vault-locked"));
+    if (!box || !box.iv || !box.ct) return Promise.reject(new Error("vault-bad-box"));
+    return openWith(_key, box);
+  }
+
+  async function keyFor(passphrase) {
+    const meta = readMeta();
+    if (!meta) return null;
+    try {
+      const key = await deriveKey(passphrase, unb64(meta.kdf.salt), meta.kdf.iterations);
+      const check = await openWith(key, meta.check);
+      return check === CHECK_TEXT ? key : null;
+    } catch (_) {
+      return null; // AES-GCM auth failure = wrong passphrase
+    }
+  }
+
+  async function verify(passphrase) {
+    return !!(await keyFor(passphrase));
+  }
+
+  async function unlock(passphrase) {
+    const key = await keyFor(passphrase);
+    if (!key) return false;
+    setKey(key);
+    return true;
+  }
+
+  function lock() {
+    _key = null;
+    stopIdleWatch();
+  }
+
+  // New vault, not yet active: js/storage.js seals everything with it, then calls activate().
+  async function prepare(passphrase) {
+    if (!isSupported()) throw new Error("vault-unsupported");
+    if (String(passphrase || "").length < MIN_PASSPHRASE) throw new Error("vault-weak-passphrase");
+
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+    const meta = {
+      version: 1,
+      kdf: { name: "PBKDF2", hash: "SHA-256", iterations: KDF_ITERATIONS, salt: b64(salt) },
+      check: await sealWith(key, CHECK_TEXT),
+      createdAt: Date.now()
+    };
+
+    return {
+      seal: (value) => sealWith(key, value),
+      activate: function () {
+        localStorage.setItem(META_LS_KEY, JSON.stringify(meta));
+        setKey(key);
+      }
+    };
+  }
+
+  // Turns vault mode off (js/storage.js has already written plaintext copies).
+  function disable() {
+    try { localStorage.removeItem(META_LS_KEY); } catch (_) {}
+    lock();
+  }
+
+  // ---- idle auto-lock ----
+  function idleMs() {
+    let min = IDLE_DEFAULT_MIN;
+    try {
+      if (window.VTSettings && typeof window.VTSettings.getVaultAutoLockMinutes === "function") {
+        min = window.VTSettings.getVaultAutoLockMinutes();
+      }
+    } catch (_) {}
+    return Math.max(1, Number(min) || IDLE_DEFAULT_MIN) * 60000;
+  }
+
+  function touch() {
+    _lastActivity = Date.now();
+  }
+
+  function checkIdle() {
+    if (!_key || _idleFired) return;
+    if (Date.now() - _lastActivity < idleMs()) return;
+    _idleFired = true;
+    try {
+      document.dispatchEvent(new CustomEvent("vt:vaultLock", { detail: { reason: "idle", idleMs: Date.now() - _lastActivity } }));
+    } catch (_) {}
+  }
+
+  function startIdleWatch() {
+    _idleFired = false;
+    if (_idleTimer) return;
+    _idleTimer = setInterval(checkIdle, IDLE_CHECK_MS);
+  }
+
+  function stopIdleWatch() {
+    try { if (_idleTimer) clearInterval(_idleTimer); } catch (_) {}
+    _idleTimer = 0;
+  }
+
+  try {
+    ["pointerdown", "keydown", "touchstart", "wheel"].forEach((t) => {
+      document.addEventListener(t, touch, { passive: true, capture: true });
+    });
+    // Timers are throttled in the background; re-check as soon as the app is visible again.
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") checkIdle();
+    });
+  } catch (_) {}
+
+  // ---- lock screen (boot; shown before VTStore.init) ----
+  function $(id) { return document.getElementById(id); }
+
+  function showLockScreen() {
+    return new Promise((resolve) => {
+      const root = $("vaultLock");
+      const input = $("vaultPassIn");
+      const btn = $("btnVaultUnlock");
+      const err = $("vaultLockErr");
+      const reset = $("btnVaultReset");
+      if (!root || !input || !btn) return resolve(false);
+
+      root.hidden = false;
+      try { input.focus(); } catch (_) {}
+
+      let busy = false;
+      async function attempt() {
+        if (busy) return;
+        busy = true;
+        btn.disabled = true;
+        if (err) err.textContent = "Unlocking…";
+        const ok = await unlock(input.value);
+        input.value = "";
+        busy = false;
+        btn.disabled = false;
+        if (!ok) {
+          if (err) err.textContent = "Wrong passphrase.";
+          try { input.focus(); } catch (_) {}
+          return;
+        }
+        if (err) err.textContent = "";
+        root.hidden = true;
+        resolve(true);
+      }
+
+      btn.addEventListener("click", attempt);
+      input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") { e.preventDefault(); attempt(); }
+      });
+
+      // No recovery without the passphrase: the only way forward is erasing the vault.
+      if (reset) {
+        reset.addEventListener("click", async () => {
+          if (!confirm("Without the passphrase the saved readings cannot be decrypted.\n\nErase ALL readings on this device and start over?")) return;
+          if (!confirm("This cannot be undone. Erase everything?")) return;
+          try { if (window.VTStorage && typeof window.VTStorage.clearAll === "function") await window.VTStorage.clearAll(); } catch (_) {}
+          disable();
+          try { location.reload(); } catch (_) {}
+        });
+      }
+    });
+  }
+
+  window.VTVault = Object.freeze({
+    MIN_PASSPHRASE: MIN_PASSPHRASE,
+    isSupported: isSupported,
+    isEnabled: isEnabled,
+    isUnlocked: isUnlocked,
+    whenUnlocked: whenUnlocked,
+    prepare: prepare,
+    verify: verify,
+    unlock: unlock,
+    lock: lock,
+    disable: disable,
+    seal: seal,
+    open: open,
+    showLockScreen: showLockScreen
+  });
+
+})();
+
+/*
+Vitals Tracker — EOF (Jyles Method Pass Footer)
+Copyright © 2026 Wendell K. Jiles. All rights reserved.
+(Pen name: Keyth Jyles)
+
+PASS: Vault Mode (Encrypted at Rest)
+ImplementationId: JYLES-20261019-VAULT-001
+App Version Authority: js/version.js
+
+File: js/vault.js
+FileEditId: 1
+Edited: 2026-10-19
+
+Beacon: update FileEditId by incrementing by one each time you generate a new full file.
+
+Acceptance checks
+- window.VTVault exists before js/storage.js loads (index.html order).
+- The key is derived per unlock and never written anywhere; meta holds only salt/iterations/check.
+- unlock() with a wrong passphrase resolves false and leaves the vault locked.
+- whenUnlocked() holds VTStore.init() (whoever calls it first) until the passphrase is entered.
+- vt:vaultLock { reason:"idle" } fires once after the Settings auto-lock minutes without input (re-checked when visible again).
+
+Test and regroup for next pass.
+------------------------------------------------------------
+*/